@@ -0,0 +1,213 @@
+/**
+ * Aliases Module
+ * Scope-aware resolution of console references
+ *
+ * Besides `console.log(...)`, calls made through these forms are recognized:
+ *   globalThis.console.log(...) / window.console.log(...)
+ *   const c = console;                          c.log(...)
+ *   const { log, warn: w } = console;           log(...) / w(...)
+ *   const log = console.log;                    log(...)
+ *   const log = console.log.bind(console);      log(...)
+ * Only bindings that are never reassigned are followed.
+ */
+
+// Global objects that expose `console` as a property
+const GLOBAL_OBJECTS = ['globalThis', 'window', 'global', 'self'];
+
+// Guards against alias cycles (e.g. `const a = b, b = a`)
+const MAX_ALIAS_DEPTH = 10;
+
+/**
+ * Get the console method a call expression invokes
+ * @param {object} node - CallExpression node
+ * @param {object} scope - Babel scope of the call
+ * @returns {string|null} Method name (e.g. "log") or null if not a console call
+ */
+function getConsoleCallMethod(node, scope) {
+  const callee = node.callee;
+
+  // console.log(), console['log'](), c.log(), globalThis.console.log()
+  if (isMemberExpression(callee)) {
+    return isConsoleReference(callee.object, scope) ? getPropertyName(callee) : null;
+  }
+
+  // log() where log is a destructured, assigned or bound console method
+  if (callee.type === 'Identifier') {
+    return resolveMethodAlias(callee, scope);
+  }
+
+  return null;
+}
+
+/**
+ * Get the binding of an identifier that aliases console or one of its methods
+ * @param {object} identifier - Identifier node
+ * @param {object} scope - Babel scope the identifier is used in
+ * @returns {object|null} Babel binding or null if the identifier is not an alias
+ */
+function getConsoleAliasBinding(identifier, scope) {
+  const declarator = getAliasDeclarator(identifier, scope);
+  if (!declarator) {
+    return null;
+  }
+
+  const isAlias = isConsoleReference(identifier, scope) || resolveMethodAlias(identifier, scope) !== null;
+  return isAlias ? declarator.binding : null;
+}
+
+/**
+ * Check if an expression evaluates to the global console object
+ */
+function isConsoleReference(node, scope, depth = 0) {
+  if (!node || depth > MAX_ALIAS_DEPTH) {
+    return false;
+  }
+
+  if (node.type === 'Identifier') {
+    if (node.name === 'console') {
+      // A local `console` binding shadows the global one
+      return !scope.hasBinding('console', true);
+    }
+
+    const declarator = getAliasDeclarator(node, scope);
+    return Boolean(declarator) &&
+      declarator.id.type === 'Identifier' &&
+      isConsoleReference(declarator.init, declarator.scope, depth + 1);
+  }
+
+  // globalThis.console, window['console'], ...
+  if (isMemberExpression(node)) {
+    return node.object.type === 'Identifier' &&
+      GLOBAL_OBJECTS.includes(node.object.name) &&
+      !scope.hasBinding(node.object.name, true) &&
+      getPropertyName(node) === 'console';
+  }
+
+  return false;
+}
+
+/**
+ * Resolve an identifier bound to a console method
+ * @returns {string|null} Method name or null
+ */
+function resolveMethodAlias(identifier, scope, depth = 0) {
+  if (depth > MAX_ALIAS_DEPTH) {
+    return null;
+  }
+
+  const declarator = getAliasDeclarator(identifier, scope);
+  if (!declarator) {
+    return null;
+  }
+
+  const { id, init } = declarator;
+
+  // const { log, warn: w } = console
+  if (id.type === 'ObjectPattern') {
+    if (!isConsoleReference(init, declarator.scope, depth + 1)) {
+      return null;
+    }
+    const property = id.properties.find(prop =>
+      prop.type === 'ObjectProperty' && getPatternName(prop.value) === identifier.name
+    );
+    return property ? getKeyName(property) : null;
+  }
+
+  return getMethodReference(init, declarator.scope, depth + 1);
+}
+
+/**
+ * Get the console method an expression refers to (without calling it)
+ * Handles `console.log`, `console.log.bind(...)` and identifiers aliasing them.
+ */
+function getMethodReference(node, scope, depth) {
+  if (!node || depth > MAX_ALIAS_DEPTH) {
+    return null;
+  }
+
+  if (isMemberExpression(node)) {
+    return isConsoleReference(node.object, scope, depth) ? getPropertyName(node) : null;
+  }
+
+  // console.log.bind(console)
+  if (node.type === 'CallExpression' &&
+      isMemberExpression(node.callee) &&
+      getPropertyName(node.callee) === 'bind') {
+    return getMethodReference(node.callee.object, scope, depth + 1);
+  }
+
+  if (node.type === 'Identifier') {
+    return resolveMethodAlias(node, scope, depth + 1);
+  }
+
+  return null;
+}
+
+/**
+ * Get the variable declarator behind an identifier, if it can be an alias
+ * The binding must be a never-reassigned variable with an initializer.
+ * @returns {object|null} { id, init, scope, binding, path } or null
+ */
+function getAliasDeclarator(identifier, scope) {
+  const binding = scope.getBinding(identifier.name);
+  if (!binding || !binding.constant || !binding.path.isVariableDeclarator()) {
+    return null;
+  }
+
+  const { id, init } = binding.path.node;
+  if (!init) {
+    return null;
+  }
+
+  return { id, init, scope: binding.path.scope, binding, path: binding.path };
+}
+
+function isMemberExpression(node) {
+  return node.type === 'MemberExpression' || node.type === 'OptionalMemberExpression';
+}
+
+/**
+ * Get the property name of `obj.name` or `obj['name']`
+ */
+function getPropertyName(memberExpr) {
+  const { property, computed } = memberExpr;
+  if (property.type === 'Identifier' && !computed) {
+    return property.name;
+  }
+  if (property.type === 'StringLiteral' && computed) {
+    return property.value;
+  }
+  return null;
+}
+
+/**
+ * Get the key of an object pattern property (`log` or `'log'`)
+ */
+function getKeyName(property) {
+  if (property.key.type === 'Identifier' && !property.computed) {
+    return property.key.name;
+  }
+  if (property.key.type === 'StringLiteral') {
+    return property.key.value;
+  }
+  return null;
+}
+
+/**
+ * Get the local name bound by a pattern value (`log` or `log = noop`)
+ */
+function getPatternName(value) {
+  if (value.type === 'Identifier') {
+    return value.name;
+  }
+  if (value.type === 'AssignmentPattern' && value.left.type === 'Identifier') {
+    return value.left.name;
+  }
+  return null;
+}
+
+module.exports = {
+  getConsoleCallMethod,
+  getConsoleAliasBinding,
+  getPropertyName
+};
@@ -0,0 +1,160 @@
+/**
+ * Authors Module
+ * Author and date filters matched against `git blame` lines (--git-author, --git-before, --git-after)
+ *
+ * An author is an email, a name, a glob matched against both (e.g. `*@agency.com`),
+ * or `@team` for every member of a team in the team alias file:
+ *
+ *   .logsweepteams (JSON, at the repository root)
+ *   { "frontend": ["jane@example.com", "Bob Smith"], "alumni": ["*@old-company.com"] }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { minimatch } = require('minimatch');
+
+const TEAMS_FILE = '.logsweepteams';
+const TEAM_PREFIX = '@';
+const GLOB_REGEX = /[*?[\]]/;
+
+// 2024-01-31, 2024-01-31T12:00, 2024-01-31 12:00:00+02:00
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2})?(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+
+// "6 months ago", "2 weeks", "1 year ago"
+const RELATIVE_DATE_REGEX = /^(\d+)\s*(second|minute|hour|day|week|month|year)s?(?:\s+ago)?$/i;
+const UNIT_SECONDS = {
+  second: 1,
+  minute: 60,
+  hour: 60 * 60,
+  day: 24 * 60 * 60,
+  week: 7 * 24 * 60 * 60,
+  month: 30 * 24 * 60 * 60,
+  year: 365 * 24 * 60 * 60
+};
+
+/**
+ * Load team aliases
+ * @param {object|string|null} teams - Teams map (from the config), path to a teams file,
+ *   or null to read .logsweepteams from `rootDir` when there is one
+ * @param {string} rootDir - Repository root
+ * @returns {object} Map of team name to member authors
+ */
+function loadTeams(teams, rootDir) {
+  if (teams && typeof teams === 'object') {
+    return checkTeams(teams, 'config');
+  }
+
+  const filePath = teams ? path.resolve(process.cwd(), teams) : path.join(rootDir, TEAMS_FILE);
+  if (!fs.existsSync(filePath)) {
+    if (teams) {
+      throw new Error(`Teams file not found: ${filePath}`);
+    }
+    return {};
+  }
+
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not parse ${filePath}: ${error.message}`);
+  }
+  return checkTeams(raw, filePath);
+}
+
+/**
+ * Check that teams map names to lists of authors
+ */
+function checkTeams(teams, source) {
+  if (!teams || typeof teams !== 'object' || Array.isArray(teams) ||
+      !Object.values(teams).every(members => Array.isArray(members) &&
+        members.every(member => typeof member === 'string' && member.trim()))) {
+    throw new Error(`Invalid teams in ${source}: expected team names mapped to lists of emails, names or globs`);
+  }
+  return teams;
+}
+
+/**
+ * Turn --git-author values into author matchers, expanding `@team` entries
+ * @param {string[]} specs - Emails, names, globs or @team references
+ * @param {object} teams - Team aliases from loadTeams()
+ * @returns {object[]} [{ type: 'email' | 'name' | 'pattern', value }]
+ */
+function parseAuthors(specs, teams) {
+  const authors = [];
+
+  const add = (spec, seen) => {
+    const value = spec.trim();
+    if (value.startsWith(TEAM_PREFIX)) {
+      const team = value.slice(TEAM_PREFIX.length);
+      if (!Object.prototype.hasOwnProperty.call(teams, team)) {
+        const known = Object.keys(teams);
+        throw new Error(`Unknown team: ${team}` + (known.length > 0 ? ` (known teams: ${known.join(', ')})` : ` (no ${TEAMS_FILE} file found)`));
+      }
+      // Teams may include other teams; each is expanded once
+      if (!seen.has(team)) {
+        seen.add(team);
+        teams[team].forEach(member => add(member, seen));
+      }
+      return;
+    }
+
+    if (GLOB_REGEX.test(value)) {
+      authors.push({ type: 'pattern', value });
+    } else if (value.includes('@')) {
+      authors.push({ type: 'email', value: value.replace(/^<|>$/g, '').toLowerCase() });
+    } else {
+      authors.push({ type: 'name', value: value.toLowerCase() });
+    }
+  };
+
+  specs.forEach(spec => add(spec, new Set()));
+  return authors;
+}
+
+/**
+ * Check whether a blamed line's author is one of the given authors
+ * @param {object} author - { name, email } from getFileBlame()
+ * @param {object[]} authors - Matchers from parseAuthors()
+ * @returns {boolean}
+ */
+function matchesAuthor(author, authors) {
+  const email = (author.email || '').toLowerCase();
+  const name = (author.name || '').toLowerCase();
+
+  return authors.some(({ type, value }) => {
+    if (type === 'email') return email === value;
+    if (type === 'name') return name === value;
+    return minimatch(email, value, { nocase: true }) || minimatch(name, value, { nocase: true });
+  });
+}
+
+/**
+ * Parse an absolute (2024-01-31) or relative ("6 months ago") date
+ * Dates without a time zone are read in local time.
+ * @param {string} value - Date as given on the command line
+ * @returns {number|null} Unix timestamp in seconds, or null if `value` isn't a date
+ */
+function parseDate(value) {
+  const text = value.trim();
+
+  if (DATE_REGEX.test(text)) {
+    // Date-only strings would otherwise be read as UTC
+    const time = Date.parse(text.length === 10 ? `${text}T00:00` : text.replace(' ', 'T'));
+    return Number.isNaN(time) ? null : Math.floor(time / 1000);
+  }
+
+  const match = text.match(RELATIVE_DATE_REGEX);
+  if (match) {
+    return Math.floor(Date.now() / 1000) - Number(match[1]) * UNIT_SECONDS[match[2].toLowerCase()];
+  }
+
+  return null;
+}
+
+module.exports = {
+  TEAMS_FILE,
+  loadTeams,
+  parseAuthors,
+  matchesAuthor,
+  parseDate
+};
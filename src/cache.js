@@ -0,0 +1,184 @@
+/**
+ * Cache Module
+ * On-disk cache of per-file detection results, so repeated scans only parse changed files
+ *
+ * Entries are keyed by file path and content hash. The whole cache is dropped when
+ * the log-sweep version, the detector version, the logger targets or the effective
+ * config change. Git filters are applied after
+ * the cache (blame and uncommitted lines change without the file changing), so
+ * switching git filters (--git-mine, --git-author, --git-since, ...) never serves stale results.
+ *
+ * Caches are trusted as they are read, so they live where only the current user can
+ * write: the project's node_modules/.cache/log-sweep, or a per-user temp directory
+ * outside projects. Cache directories owned by others or writable by others are refused.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const VERSION = require('../package.json').version;
+const { DETECTOR_VERSION } = require('./detector');
+
+// Bump when the shape of cached entries changes
+const CACHE_FORMAT = 1;
+
+const CACHE_FILE_PREFIX = 'scan-';
+
+/**
+ * Get the default cache directory of a scanned directory
+ * @param {string} directory - Scanned directory
+ * @returns {string} node_modules/.cache/log-sweep of the nearest package.json,
+ *   or log-sweep-cache-<user> in the OS temp directory outside projects
+ */
+function getDefaultCacheDir(directory = process.cwd()) {
+  let currentDir = path.resolve(directory);
+
+  while (true) {
+    if (fs.existsSync(path.join(currentDir, 'package.json'))) {
+      return path.join(currentDir, 'node_modules', '.cache', 'log-sweep');
+    }
+
+    const parentDir = path.dirname(currentDir);
+    if (parentDir === currentDir) {
+      break;
+    }
+    currentDir = parentDir;
+  }
+
+  const user = typeof process.getuid === 'function' ? process.getuid() : os.userInfo().username;
+  return path.join(os.tmpdir(), `log-sweep-cache-${user}`);
+}
+
+/**
+ * Check that a cache directory can only have been written by the current user
+ * Missing directories pass; they are created private when the cache is saved.
+ * @param {string} cacheDir - Cache directory
+ */
+function checkCacheDir(cacheDir) {
+  // Windows has no uids; its temp directory is per-user already
+  if (typeof process.getuid !== 'function') {
+    return;
+  }
+
+  let stats;
+  try {
+    stats = fs.lstatSync(cacheDir);
+  } catch (error) {
+    if (error.code === 'ENOENT') return;
+    throw error;
+  }
+
+  if (!stats.isDirectory() || stats.uid !== process.getuid() || (stats.mode & 0o022) !== 0) {
+    throw new Error(
+      `Refusing to use cache directory ${cacheDir}: it must be a directory owned by you and writable only by you ` +
+      '(delete it, set "cacheDir" in the config or use --no-cache)'
+    );
+  }
+}
+
+/**
+ * Hash file contents for cache lookups
+ * @param {string} content - File contents
+ * @returns {string} Hex digest
+ */
+function hashContent(content) {
+  return crypto.createHash('sha1').update(content).digest('hex');
+}
+
+/**
+ * Load the scan cache of a directory
+ * Saving merges the entries of this run into the cache on disk, so scans of part
+ * of the directory (--include, git filters, single commands) keep the other files'
+ * entries. Entries of files that no longer exist are dropped.
+ * @param {string} directory - Scanned directory
+ * @param {object} options - { cacheDir, loggerTargets, config } where `config` is the
+ *   effective config of the run (see applyConfig in cli.js)
+ * @returns {object} { get, set, getEntry, setEntry, save }
+ */
+function loadScanCache(directory, options = {}) {
+  const cacheDir = options.cacheDir || getDefaultCacheDir(directory);
+  checkCacheDir(cacheDir);
+  const cachePath = path.join(cacheDir, `${CACHE_FILE_PREFIX}${hashContent(path.resolve(directory)).slice(0, 16)}.json`);
+  const key = hashContent(JSON.stringify({
+    format: CACHE_FORMAT,
+    version: VERSION,
+    detector: DETECTOR_VERSION,
+    targets: options.loggerTargets || null,
+    config: options.config || null
+  }));
+
+  const readEntries = () => {
+    try {
+      const data = JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+      if (data.key === key && data.files) {
+        return data.files;
+      }
+    } catch (error) {
+      // Missing or unreadable cache: start empty
+    }
+    return {};
+  };
+
+  const entries = readEntries();
+  const used = {};
+
+  // Cached detection ([{ statement, suppressed }]) of a file whose contents are unchanged
+  const get = (filePath, hash) => {
+    const entry = entries[filePath];
+    if (!entry || entry.hash !== hash) {
+      return null;
+    }
+    used[filePath] = entry;
+    return entry.detected;
+  };
+
+  const set = (filePath, hash, detected) => {
+    used[filePath] = { hash, detected };
+  };
+
+  // Raw entries, for worker threads that can't share this object
+  const getEntry = (filePath) => entries[filePath] || null;
+
+  const setEntry = (filePath, entry) => {
+    used[filePath] = entry;
+  };
+
+  // Read again before merging, so entries another run saved meanwhile are kept;
+  // written atomically, so concurrent runs never read half a file
+  const save = () => {
+    const files = { ...readEntries(), ...used };
+    Object.keys(files)
+      .filter(filePath => !fs.existsSync(filePath))
+      .forEach(filePath => delete files[filePath]);
+
+    fs.mkdirSync(cacheDir, { recursive: true, mode: 0o700 });
+    const tempPath = `${cachePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify({ key, files }), 'utf8');
+    fs.renameSync(tempPath, cachePath);
+  };
+
+  return { get, set, getEntry, setEntry, save };
+}
+
+/**
+ * Delete every scan cache in a cache directory
+ * @param {string} cacheDir - Cache directory (see getDefaultCacheDir())
+ * @returns {number} Number of cache files deleted
+ */
+function clearScanCache(cacheDir) {
+  if (!fs.existsSync(cacheDir)) {
+    return 0;
+  }
+
+  const cacheFiles = fs.readdirSync(cacheDir).filter(name => name.startsWith(CACHE_FILE_PREFIX));
+  cacheFiles.forEach(name => fs.unlinkSync(path.join(cacheDir, name)));
+  return cacheFiles.length;
+}
+
+module.exports = {
+  getDefaultCacheDir,
+  hashContent,
+  loadScanCache,
+  clearScanCache
+};
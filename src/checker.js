@@ -0,0 +1,128 @@
+/**
+ * Checker Module
+ * Lint-style gate that evaluates scan results against per-method limits
+ */
+
+/**
+ * Build a per-method limit map
+ * Methods listed in `allow` have no limit, methods in `forbid` have a limit of 0,
+ * and `thresholds` set an explicit maximum. Unlisted methods fall back to `defaultLimit`.
+ * @param {object} policy - { allow: string[], forbid: string[], thresholds: object, defaultLimit: number }
+ * @returns {function} Function returning the limit for a method
+ */
+function createLimitResolver(policy = {}) {
+  const allow = policy.allow || [];
+  const forbid = policy.forbid || [];
+  const thresholds = policy.thresholds || {};
+  const defaultLimit = policy.defaultLimit === undefined ? 0 : policy.defaultLimit;
+
+  return (method) => {
+    if (Object.prototype.hasOwnProperty.call(thresholds, method)) {
+      return thresholds[method];
+    }
+    if (forbid.includes(method)) {
+      return 0;
+    }
+    if (allow.includes(method)) {
+      return Infinity;
+    }
+    return defaultLimit;
+  };
+}
+
+/**
+ * Check scan results against a policy
+ * @param {object} results - Scan results from scanDirectory
+ * @param {object} policy - Check policy (see createLimitResolver)
+ * @param {function} getFileOverrides - Returns per-file { allow, forbid } lists or null (optional)
+ * @returns {object} { passed: boolean, violations: array, byMethod: object }
+ */
+function checkResults(results, policy = {}, getFileOverrides = null) {
+  const getLimit = createLimitResolver(policy);
+  const byMethod = {};
+  const counted = [];
+  const forced = [];
+
+  // Per-file overrides either exempt a statement or make it a violation outright
+  Object.keys(results.byFile).forEach(file => {
+    const overrides = getFileOverrides ? getFileOverrides(file) : null;
+    results.byFile[file].statements.forEach(stmt => {
+      if (overrides && overrides.allow.includes(stmt.method)) return;
+      if (overrides && overrides.forbid.includes(stmt.method)) {
+        forced.push({ file, stmt });
+        return;
+      }
+      counted.push({ file, stmt });
+    });
+  });
+
+  counted.forEach(({ stmt }) => {
+    if (!byMethod[stmt.method]) {
+      byMethod[stmt.method] = { count: 0, limit: getLimit(stmt.method), exceeded: false };
+    }
+    byMethod[stmt.method].count++;
+  });
+
+  Object.keys(byMethod).forEach(method => {
+    byMethod[method].exceeded = byMethod[method].count > byMethod[method].limit;
+  });
+
+  // Every statement of a method over its limit is reported
+  const violations = counted
+    .filter(({ stmt }) => byMethod[stmt.method].exceeded)
+    .concat(forced)
+    .map(({ file, stmt }) => ({
+      file,
+      line: stmt.line,
+      column: stmt.column,
+      method: stmt.method,
+      code: stmt.code
+    }));
+
+  violations.sort((a, b) =>
+    a.file.localeCompare(b.file) || a.line - b.line || a.column - b.column
+  );
+
+  return {
+    passed: violations.length === 0,
+    violations,
+    byMethod,
+    forbiddenByOverride: forced.length
+  };
+}
+
+/**
+ * Parse `method=count` threshold entries
+ * @param {string[]} entries - Entries such as ['warn=5', 'info=0']
+ * @returns {object} Map of method name to maximum allowed count
+ */
+function parseThresholds(entries = []) {
+  const thresholds = {};
+
+  for (const entry of entries) {
+    const match = entry.match(/^([^=\s]+)=(\d+)$/);
+    if (!match) {
+      throw new Error(`Invalid threshold "${entry}" (expected method=count, e.g. warn=5)`);
+    }
+    thresholds[match[1]] = parseInt(match[2], 10);
+  }
+
+  return thresholds;
+}
+
+/**
+ * Format a violation as `file:line:column method`
+ * Columns are 1-based so editors and CI annotations point at the right character.
+ * @param {object} violation - Violation from checkResults
+ * @param {string} file - File path to print (usually relative)
+ * @returns {string} Formatted line
+ */
+function formatViolation(violation, file) {
+  return `${file}:${violation.line}:${violation.column + 1} ${violation.method}`;
+}
+
+module.exports = {
+  checkResults,
+  parseThresholds,
+  formatViolation
+};
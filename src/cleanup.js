@@ -0,0 +1,260 @@
+/**
+ * Cleanup Module
+ * Removes dead code left behind once logging statements are gone
+ *
+ *   if (debug) {}                            -> removed (when the condition is pure)
+ *   if (ok) { save(); } else {}              -> `else {}` removed
+ *   try {} catch (e) {}                      -> removed
+ *   catch (e) {}                             -> catch {} (the error was only logged)
+ *   const payload = JSON.stringify(data);    -> removed when only logging used it
+ *   const util = require('util');            -> removed when only logging used it
+ *   import util from 'util';                 -> removed when only logging used it
+ * Only code the removal made dead is touched: blocks that were already empty and
+ * variables that were already unused are left alone, as is anything with a comment.
+ */
+
+const traverse = require('@babel/traverse').default;
+const { getStatementRemovalEdit } = require('./edits');
+const { analyzeSideEffects } = require('./effects');
+
+/**
+ * Add cleanup edits to the edits of a removal
+ * Cleanups can enable each other (a removed `if` frees the variable its test
+ * read), so this repeats until nothing changes. Edits inside a cleaned-up
+ * statement are replaced by the edit for the whole statement.
+ * @param {object} ast - Parsed file
+ * @param {string} sourceCode - Original source
+ * @param {object[]} edits - Edits of the removal
+ * @param {object} effectContext - Side-effect context of the file (see effects.js)
+ * @param {object} options - { keepTopLevelBindings } keeps top-level imports and variables,
+ *   for scripts whose template may use them (Vue, Svelte, Astro, HTML)
+ * @returns {object} { edits, cleanups } where each cleanup is { type, line, code, message }
+ */
+function getCleanupEdits(ast, sourceCode, edits, effectContext, options = {}) {
+  const candidates = collectCandidates(ast);
+  const cleanups = [];
+  const handled = new Set();
+  let currentEdits = [...edits];
+
+  const isCovered = (node) => currentEdits.some(edit =>
+    node.start >= edit.start && node.end <= edit.end &&
+    !(edit.kept && edit.kept.some(range => node.start >= range.start && node.end <= range.end))
+  );
+
+  // Deleted outright, or replaced by `{}` in a single-statement position
+  const isRemoved = (node) => currentEdits.some(edit =>
+    (edit.text === '' && node.start >= edit.start && node.end <= edit.end) ||
+    (edit.text === '{}' && node.start === edit.start && node.end === edit.end)
+  );
+
+  // Empty only because every statement in it was removed
+  const isEmptied = (node) => {
+    if (node.type !== 'BlockStatement') {
+      return isRemoved(node);
+    }
+    return node.body.length > 0 &&
+      node.directives.length === 0 &&
+      node.body.every(isRemoved) &&
+      !hasComments(node.start, node.end);
+  };
+
+  const hasComments = (start, end) => (ast.comments || []).some(comment =>
+    comment.start >= start && comment.end <= end && !isCovered(comment)
+  );
+
+  // Names declared by `node` that only removed code referenced
+  const isOnlyUsedInRemovedCode = (names, node) => {
+    let referenced = false;
+    const isUnused = names.every(name => (candidates.identifiers.get(name) || []).every(identifier => {
+      if (identifier.start >= node.start && identifier.end <= node.end) return true;
+      referenced = true;
+      return isCovered(identifier);
+    }));
+    return isUnused && referenced;
+  };
+
+  const isPure = (node) => analyzeSideEffects([node], effectContext) === 'pure';
+
+  const addEdit = (edit) => {
+    const overlaps = currentEdits.some(other =>
+      other.start < edit.end && other.end > edit.start &&
+      !(other.start >= edit.start && other.end <= edit.end)
+    );
+    if (overlaps) {
+      return false;
+    }
+    currentEdits = currentEdits
+      .filter(other => !(other.start >= edit.start && other.end <= edit.end))
+      .concat(edit);
+    return true;
+  };
+
+  // Each cleanup remembers its edit, so cleanups swallowed by an enclosing one are dropped
+  const record = (type, node, message, start = node.start) => {
+    cleanups.push({
+      type,
+      line: node.loc.start.line,
+      code: getFirstLine(sourceCode.slice(start, node.end)),
+      message,
+      edit: currentEdits[currentEdits.length - 1]
+    });
+  };
+
+  const cleanUp = (path) => {
+    const { node } = path;
+
+    if (options.keepTopLevelBindings && path.parentPath.isProgram() &&
+        (path.isImportDeclaration() || path.isVariableDeclaration())) {
+      return false;
+    }
+
+    if (path.isIfStatement()) {
+      if (!node.alternate || isEmptied(node.alternate)) {
+        if (isEmptied(node.consequent) && isPure(node.test) &&
+            addEdit(getStatementRemovalEdit(sourceCode, path))) {
+          record('empty-if', node, 'Empty if statement');
+          return true;
+        }
+      }
+      if (node.alternate && isEmptied(node.alternate) &&
+          !hasComments(node.consequent.end, node.alternate.start) &&
+          addEdit({ start: node.consequent.end, end: node.alternate.end, text: '' })) {
+        record('empty-else', node.alternate, 'Empty else branch', node.consequent.end);
+        return true;
+      }
+      return false;
+    }
+
+    if (path.isTryStatement()) {
+      const { handler } = node;
+      if (!node.finalizer && handler && isEmptied(node.block) &&
+          (handler.body.body.length === 0 || isEmptied(handler.body)) &&
+          !hasComments(node.start, node.end) &&
+          addEdit(getStatementRemovalEdit(sourceCode, path))) {
+        record('empty-try', node, 'Empty try/catch');
+        return true;
+      }
+      return false;
+    }
+
+    if (path.isCatchClause()) {
+      // `catch {}` (ES2019) drops the error binding that was only logged
+      const names = node.param ? Object.keys(path.get('param').getBindingIdentifiers()) : [];
+      if (node.param && isEmptied(node.body) &&
+          names.every(name => path.scope.getBinding(name).referencePaths.every(ref => isCovered(ref.node))) &&
+          !hasComments(node.start, node.body.start) &&
+          addEdit({ start: node.start, end: node.body.start, text: 'catch ' })) {
+        record('catch-binding', node, 'Unused catch binding');
+        return true;
+      }
+      return false;
+    }
+
+    if (path.isImportDeclaration()) {
+      const names = node.specifiers.map(specifier => specifier.local.name);
+      if (names.length > 0 && node.importKind !== 'type' &&
+          isOnlyUsedInRemovedCode(names, node) &&
+          addEdit(getStatementRemovalEdit(sourceCode, path))) {
+        record('unused-import', node, 'Unused import');
+        return true;
+      }
+      return false;
+    }
+
+    // Single-declarator variable declarations in a statement list
+    const declarator = path.get('declarations.0');
+    const { init } = declarator.node;
+    if (node.declarations.length !== 1 || !init || (!isPure(init) && !isRequire(init))) {
+      return false;
+    }
+    if (isOnlyUsedInRemovedCode(Object.keys(declarator.getBindingIdentifiers()), node) &&
+        addEdit(getStatementRemovalEdit(sourceCode, path))) {
+      if (isRequire(init)) {
+        record('unused-import', node, 'Unused require');
+      } else {
+        record('unused-variable', node, 'Unused variable');
+      }
+      return true;
+    }
+    return false;
+  };
+
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (const path of candidates.paths) {
+      if (handled.has(path) || isCovered(path.node)) {
+        continue;
+      }
+      if (cleanUp(path)) {
+        handled.add(path);
+        changed = true;
+      }
+    }
+  }
+
+  return {
+    edits: currentEdits,
+    cleanups: cleanups
+      .filter(cleanup => currentEdits.includes(cleanup.edit))
+      .map(({ edit, ...cleanup }) => cleanup)
+      .sort((a, b) => a.line - b.line)
+  };
+}
+
+/**
+ * Collect the statements a cleanup may apply to, and every identifier by name
+ * Property names (`obj.payload`, `{ payload: 1 }`) are not references and are skipped.
+ */
+function collectCandidates(ast) {
+  const paths = [];
+  const identifiers = new Map();
+
+  traverse(ast, {
+    'IfStatement|TryStatement|CatchClause|ImportDeclaration'(path) {
+      paths.push(path);
+    },
+    VariableDeclaration(path) {
+      if (path.listKey && path.parent.type !== 'ExportNamedDeclaration') {
+        paths.push(path);
+      }
+    },
+    'Identifier|JSXIdentifier'(path) {
+      const { node, parent, key } = path;
+      if ((key === 'property' && !parent.computed) ||
+          (key === 'key' && !parent.computed && !parent.shorthand) ||
+          (path.isJSXIdentifier() && key === 'name' && parent.type === 'JSXAttribute')) {
+        return;
+      }
+      if (!identifiers.has(node.name)) {
+        identifiers.set(node.name, []);
+      }
+      identifiers.get(node.name).push(node);
+    }
+  });
+
+  return { paths, identifiers };
+}
+
+/**
+ * Check for `require('module')` or `require('module').member`
+ */
+function isRequire(node) {
+  if (node.type === 'MemberExpression' && !node.computed) {
+    return isRequire(node.object);
+  }
+  return node.type === 'CallExpression' &&
+    node.callee.type === 'Identifier' &&
+    node.callee.name === 'require' &&
+    node.arguments.length === 1 &&
+    node.arguments[0].type === 'StringLiteral';
+}
+
+function getFirstLine(code) {
+  const lines = code.trim().split('\n');
+  return lines.length > 1 ? `${lines[0].trim()} ...` : lines[0].trim();
+}
+
+module.exports = {
+  getCleanupEdits
+};
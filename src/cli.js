@@ -5,25 +5,47 @@
  * Interactive tool to scan and remove console statements safely using AST
  */
 
-const { program } = require('commander');
+const { program, InvalidArgumentError } = require('commander');
 const inquirer = require('inquirer');
 const chalk = require('chalk');
 const ora = require('ora');
 const path = require('path');
 const fs = require('fs');
-const { scanDirectory } = require('./scanner');
-const { removeConsoleStatements, createBackup, restoreBackup } = require('./remover');
-const { getCurrentGitUser, isGitRepository } = require('./git');
+const { scanDirectory, scanFile, createFileFilter } = require('./scanner');
+const {
+  DEFAULT_GUARD,
+  removeConsoleStatements,
+  getRemovalChanges,
+  removeStagedConsoleStatements,
+  migrateConsoleStatements,
+  validateMigrationCallees,
+  getStatementKey,
+  createBackup,
+  restoreBackup
+} = require('./remover');
+const { checkResults, parseThresholds, formatViolation } = require('./checker');
+const { DEFAULT_EXCLUDE, loadConfig, getFileOverrides } = require('./config');
+const { BUILTIN_REPORTERS, getReporter, formatResults } = require('./reporters');
+const { isGitRepository, getFileBlame, hasGitFilters, createGitContext } = require('./git');
+const { createFilePatch, colorizePatch } = require('./diff');
+const { resolveTargets, isKnownMethod, formatMethod } = require('./targets');
+const { PAIR_MODES, resolvePairs } = require('./pairs');
+const { getDefaultCacheDir, clearScanCache } = require('./cache');
+const { watchDirectory, diffStatements } = require('./watch');
+const { installHook, uninstallHook } = require('./hook');
 
 // CLI version (read from package.json)
 const VERSION = require('../package.json').version;
 
-// Console method types (for reference - actual list is in scanner.js initializeMethodStats)
-const CONSOLE_METHODS = [
-  'log', 'warn', 'info', 'debug', 'error', 'trace', 'table', 'dir', 'dirxml',
-  'assert', 'count', 'countReset', 'time', 'timeEnd', 'timeLog', 'timeStamp',
-  'group', 'groupCollapsed', 'groupEnd', 'profile', 'profileEnd', 'clear'
-];
+// Methods left unchecked by default (interactive) and kept by default (headless)
+const DEFAULT_KEPT_METHODS = ['error', 'warn'];
+
+// Process exit codes
+const EXIT_CODES = {
+  SUCCESS: 0,
+  FAILURE: 1,
+  USAGE: 2
+};
 
 program
   .name('log-sweep')
@@ -35,9 +57,21 @@ program
   .command('scan [directory]')
   .description('Scan directory for console statements')
   .option('-e, --exclude <patterns...>', 'Exclude patterns (e.g., node_modules test)')
-  .option('-o, --output <file>', 'Output results to JSON file')
+  .option('-o, --output <file>', 'Write the report to a file (JSON unless --format is given)')
+  .option('-f, --format <format>', `Report format: ${BUILTIN_REPORTERS.join(', ')}, or a path to a reporter module`)
   .option('--git-mine', 'Only show console statements authored by you (git blame)')
   .option('--git-uncommitted', 'Only show console statements in uncommitted changes')
+  .option('--git-staged', 'Only show console statements in staged changes')
+  .option('--git-since <ref>', 'Only show console statements added since the branch forked from <ref> (e.g. main)')
+  .option('--git-author <author>', 'Only show console statements committed by <author>: email, name, glob or @team (repeatable)', collectList)
+  .option('--git-before <date>', 'Only show console statements committed before <date> (e.g. 2024-01-31, "6 months ago" or a tag)')
+  .option('--git-after <date>', 'Only show console statements committed after <date> (e.g. 2024-01-31, "6 months ago" or a tag)')
+  .option('--git-teams <file>', 'Team alias file for --git-author @team (default: .logsweepteams at the repository root)')
+  .option('--blame', 'Add the author, commit and date of each statement, with breakdowns by author and age (git blame)')
+  .option('-w, --watch', 'Keep running and report console statements added or removed as files change')
+  .option('--concurrency <n>', 'Worker threads for scanning large directories (default: CPU cores - 1)', parseConcurrency)
+  .option('--no-cache', 'Re-parse every file instead of reusing results of unchanged files')
+  .option('-c, --config <file>', 'Path to config file (default: search for .logsweeprc)')
   .action(async (directory = '.', options) => {
     await scanCommand(directory, options);
   });
@@ -49,12 +83,131 @@ program
   .option('-e, --exclude <patterns...>', 'Exclude patterns (e.g., node_modules test)')
   .option('--no-backup', 'Skip creating backup before removal')
   .option('--dry-run', 'Preview changes without applying them')
+  .option('--diff', 'Print a unified diff of the changes (use with --dry-run to preview)')
+  .option('--patch <file>', 'Write the changes to a patch file that can be applied with git apply')
   .option('--git-mine', 'Only remove console statements authored by you (git blame)')
   .option('--git-uncommitted', 'Only remove console statements in uncommitted changes')
+  .option('--git-staged', 'Only remove console statements in staged changes')
+  .option('--git-since <ref>', 'Only remove console statements added since the branch forked from <ref> (e.g. main)')
+  .option('--git-author <author>', 'Only remove console statements committed by <author>: email, name, glob or @team (repeatable)', collectList)
+  .option('--git-before <date>', 'Only remove console statements committed before <date> (e.g. 2024-01-31, "6 months ago" or a tag)')
+  .option('--git-after <date>', 'Only remove console statements committed after <date> (e.g. 2024-01-31, "6 months ago" or a tag)')
+  .option('--git-teams <file>', 'Team alias file for --git-author @team (default: .logsweepteams at the repository root)')
+  .option('-m, --methods <methods>', 'Comma-separated console methods to remove (e.g., log,debug)', parseList)
+  .option('--side-effects <mode>', 'How to handle statements with side effects: skip, remove or extract')
+  .option('--pairs <mode>', 'Paired calls (time/timeEnd, group/groupEnd, ...): together (default) or refuse')
+  .option('--cleanup', 'Also remove dead code left behind (empty blocks, unused variables and imports)')
+  .option('-y, --yes', 'Run without prompts (non-interactive, for CI and scripts)')
+  .option('--pick', 'Select individual statements file by file instead of whole methods')
+  .option('--wrap', 'Wrap statements in a dev-only guard instead of removing them')
+  .option('--guard <condition>', `Guard condition for --wrap (default: ${DEFAULT_GUARD})`)
+  .option('-w, --watch', 'Keep running and remove the --methods statements from files as they are saved')
+  .option('--concurrency <n>', 'Worker threads for scanning large directories (default: CPU cores - 1)', parseConcurrency)
+  .option('--no-cache', 'Re-parse every file instead of reusing results of unchanged files')
+  .option('-c, --config <file>', 'Path to config file (default: search for .logsweeprc)')
   .action(async (directory = '.', options) => {
     await removeCommand(directory, options);
   });
 
+// Check command (lint-style gate)
+program
+  .command('check [directory]')
+  .description('Fail when disallowed console statements are found (for CI)')
+  .option('-e, --exclude <patterns...>', 'Exclude patterns (e.g., node_modules test)')
+  .option('--allow <methods>', 'Comma-separated methods that are always allowed (default: error,warn)', parseList)
+  .option('--forbid <methods>', 'Comma-separated methods that are never allowed', parseList)
+  .option('--max <thresholds...>', 'Maximum occurrences per method (e.g., warn=5)')
+  .option('--git-mine', 'Only check console statements authored by you (git blame)')
+  .option('--git-uncommitted', 'Only check console statements in uncommitted changes')
+  .option('--git-staged', 'Only check console statements in staged changes')
+  .option('--git-since <ref>', 'Only check console statements added since the branch forked from <ref> (e.g. main)')
+  .option('--git-author <author>', 'Only check console statements committed by <author>: email, name, glob or @team (repeatable)', collectList)
+  .option('--git-before <date>', 'Only check console statements committed before <date> (e.g. 2024-01-31, "6 months ago" or a tag)')
+  .option('--git-after <date>', 'Only check console statements committed after <date> (e.g. 2024-01-31, "6 months ago" or a tag)')
+  .option('--git-teams <file>', 'Team alias file for --git-author @team (default: .logsweepteams at the repository root)')
+  .option('--concurrency <n>', 'Worker threads for scanning large directories (default: CPU cores - 1)', parseConcurrency)
+  .option('--no-cache', 'Re-parse every file instead of reusing results of unchanged files')
+  .option('-c, --config <file>', 'Path to config file (default: search for .logsweeprc)')
+  .action(async (directory = '.', options) => {
+    await checkCommand(directory, options);
+  });
+
+// Migrate command
+program
+  .command('migrate [directory]')
+  .description('Rewrite console statements to call your project logger')
+  .option('-e, --exclude <patterns...>', 'Exclude patterns (e.g., node_modules test)')
+  .option('-t, --to <mappings...>', 'Method to logger callee mappings (e.g., log=logger.debug error=logger.error)')
+  .option('--import <source>', 'Module to import the logger from when it is not already in scope')
+  .option('--import-name <name>', 'Local name of the imported logger (default: root of the callee)')
+  .option('--named-import', 'Use a named import/destructured require instead of the default export')
+  .option('--no-backup', 'Skip creating backup before migration')
+  .option('--dry-run', 'Preview changes without applying them')
+  .option('--git-mine', 'Only migrate console statements authored by you (git blame)')
+  .option('--git-uncommitted', 'Only migrate console statements in uncommitted changes')
+  .option('--git-staged', 'Only migrate console statements in staged changes')
+  .option('--git-since <ref>', 'Only migrate console statements added since the branch forked from <ref> (e.g. main)')
+  .option('--git-author <author>', 'Only migrate console statements committed by <author>: email, name, glob or @team (repeatable)', collectList)
+  .option('--git-before <date>', 'Only migrate console statements committed before <date> (e.g. 2024-01-31, "6 months ago" or a tag)')
+  .option('--git-after <date>', 'Only migrate console statements committed after <date> (e.g. 2024-01-31, "6 months ago" or a tag)')
+  .option('--git-teams <file>', 'Team alias file for --git-author @team (default: .logsweepteams at the repository root)')
+  .option('-y, --yes', 'Run without prompts (non-interactive, for CI and scripts)')
+  .option('--concurrency <n>', 'Worker threads for scanning large directories (default: CPU cores - 1)', parseConcurrency)
+  .option('--no-cache', 'Re-parse every file instead of reusing results of unchanged files')
+  .option('-c, --config <file>', 'Path to config file (default: search for .logsweeprc)')
+  .action(async (directory = '.', options) => {
+    await migrateCommand(directory, options);
+  });
+
+// Staged command (pre-commit gate)
+program
+  .command('staged [directory]')
+  .description('Check the staged version of files before a commit (run by the pre-commit hook)')
+  .option('--fix', 'Remove disallowed statements from the staged changes instead of failing')
+  .option('--allow <methods>', 'Comma-separated methods that are always allowed (default: error,warn)', parseList)
+  .option('--forbid <methods>', 'Comma-separated methods that are never allowed', parseList)
+  .option('--side-effects <mode>', 'With --fix, how to handle statements with side effects: skip, remove or extract')
+  .option('-e, --exclude <patterns...>', 'Exclude patterns (e.g., node_modules test)')
+  .option('--no-cache', 'Re-parse every file instead of reusing results of unchanged files')
+  .option('-c, --config <file>', 'Path to config file (default: search for .logsweeprc)')
+  .action(async (directory = '.', options) => {
+    await stagedCommand(directory, options);
+  });
+
+// Hook command
+const hookCommand = program
+  .command('hook')
+  .description('Manage the git pre-commit hook');
+
+hookCommand
+  .command('install [directory]')
+  .description('Install a pre-commit hook that runs log-sweep staged')
+  .option('--fix', 'Remove disallowed statements from commits instead of blocking them')
+  .option('--force', 'Replace an existing pre-commit hook (kept as pre-commit.backup)')
+  .action(async (directory = '.', options) => {
+    await hookInstallCommand(directory, options);
+  });
+
+hookCommand
+  .command('uninstall [directory]')
+  .description('Remove the pre-commit hook installed by log-sweep')
+  .action(async (directory = '.') => {
+    await hookUninstallCommand(directory);
+  });
+
+// Cache command
+const cacheCommand = program
+  .command('cache')
+  .description('Manage the scan cache');
+
+cacheCommand
+  .command('clear [directory]')
+  .description('Delete cached scan results')
+  .option('-c, --config <file>', 'Path to config file (default: search for .logsweeprc)')
+  .action(async (directory = '.', options) => {
+    await cacheClearCommand(directory, options);
+  });
+
 // Restore command
 program
   .command('restore [backupFile]')
@@ -74,15 +227,33 @@ program.parse(process.argv);
  * Scan command implementation
  */
 async function scanCommand(directory, options) {
-  console.log(chalk.cyan.bold('\n🔍 Console Statement Scanner\n'));
+  // The format may come from the config file, so it is checked once both are merged
+  options = applyConfig(directory, options);
+  
+  // Default to the pretty report on screen and JSON when writing to a file
+  const format = options.format || (options.output ? 'json' : 'pretty');
+  
+  // Machine-readable reports on stdout must not be mixed with other output
+  const reportToStdout = format !== 'pretty' && !options.output;
+  const log = reportToStdout ? () => {} : console.log;
+  
+  try {
+    getReporter(format);
+  } catch (error) {
+    console.error(chalk.red(`❌ ${error.message}`));
+    process.exit(EXIT_CODES.USAGE);
+  }
+  
+  if (options.watch && (format !== 'pretty' || options.output || options.blame)) {
+    console.error(chalk.red('❌ --watch prints changes as they happen and can\'t be combined with --format, --output or --blame'));
+    process.exit(EXIT_CODES.USAGE);
+  }
+  
+  log(chalk.cyan.bold('\n🔍 Console Statement Scanner\n'));
   
   // Show git filtering info
-  if (options.gitMine || options.gitUncommitted) {
-    let filterMsg = '🔎 Git filtering: ';
-    if (options.gitMine) filterMsg += 'Only your statements';
-    if (options.gitMine && options.gitUncommitted) filterMsg += ' + ';
-    if (options.gitUncommitted) filterMsg += 'Uncommitted changes only';
-    console.log(chalk.yellow(filterMsg + '\n'));
+  if (hasGitFilters(options)) {
+    log(chalk.yellow(getGitFilterMessage(options) + '\n'));
   }
   
   const spinner = ora('Scanning files...').start();
@@ -92,34 +263,40 @@ async function scanCommand(directory, options) {
     
     if (!fs.existsSync(targetDir)) {
       spinner.fail(chalk.red(`Directory not found: ${targetDir}`));
-      process.exit(1);
+      process.exit(EXIT_CODES.FAILURE);
     }
     
-    const gitOptions = {
-      gitMine: options.gitMine || false,
-      gitUncommitted: options.gitUncommitted || false
-    };
+    const gitOptions = getGitOptions(options);
     
     const results = await scanDirectory(
       targetDir, 
-      options.exclude || ['node_modules', '.git', 'dist', 'build'],
-      gitOptions
+      options.exclude,
+      gitOptions,
+      getScanOptions(options, spinner)
     );
     
     spinner.succeed(chalk.green('Scan complete!'));
     
     // Show git filter info if applied
     if (results.gitFiltered && results.gitFilterInfo) {
-      console.log(chalk.cyan(`\n📌 ${results.gitFilterInfo}`));
+      log(chalk.cyan(`\n📌 ${results.gitFilterInfo}`));
     }
     
-    // Display results
-    displayScanResults(results);
+    // Watch mode reports changes from here on instead of the full report
+    if (options.watch) {
+      await watchScan(targetDir, results, options, gitOptions);
+      return;
+    }
+    
+    const report = formatResults(results, format, getReportContext());
     
-    // Save to file if requested
     if (options.output) {
-      fs.writeFileSync(options.output, JSON.stringify(results, null, 2));
+      // Keep the on-screen summary when the report goes to a file
+      displayScanResults(results);
+      fs.writeFileSync(options.output, report.endsWith('\n') ? report : report + '\n');
       console.log(chalk.green(`\n✓ Results saved to ${options.output}`));
+    } else {
+      console.log(report);
     }
     
   } catch (error) {
@@ -128,7 +305,7 @@ async function scanCommand(directory, options) {
     if (process.env.DEBUG) {
       console.error(error.stack);
     }
-    process.exit(1);
+    process.exit(EXIT_CODES.FAILURE);
   }
 }
 
@@ -138,13 +315,58 @@ async function scanCommand(directory, options) {
 async function removeCommand(directory, options) {
   console.log(chalk.cyan.bold('\n🧹 Console Statement Remover\n'));
   
+  options = applyConfig(directory, options);
+  
+  const headless = Boolean(options.yes);
+  
+  // Guard mode wraps statements instead of removing them (--guard implies --wrap)
+  const removalOptions = options.wrap || options.guard
+    ? { mode: 'guard', guard: options.guard || options.config.guard || DEFAULT_GUARD, loggerTargets: options.loggerTargets }
+    : { loggerTargets: options.loggerTargets };
+  const verb = removalOptions.mode === 'guard' ? 'wrap' : 'remove';
+  
+  // Validate headless options before doing any work
+  if (options.methods) {
+    const unknownMethods = options.methods.filter(method => !isKnownMethod(options.loggerTargets, method));
+    if (unknownMethods.length > 0) {
+      console.error(chalk.red(`❌ Unknown method${unknownMethods.length === 1 ? '' : 's'}: ${unknownMethods.join(', ')}`));
+      process.exit(EXIT_CODES.USAGE);
+    }
+  }
+  
+  if (options.pairs && !PAIR_MODES.includes(options.pairs)) {
+    console.error(chalk.red(`❌ Invalid --pairs value: ${options.pairs} (expected ${PAIR_MODES.join(' or ')})`));
+    process.exit(EXIT_CODES.USAGE);
+  }
+  
+  if (options.sideEffects && !['skip', 'remove', 'extract'].includes(options.sideEffects)) {
+    console.error(chalk.red(`❌ Invalid --side-effects value: ${options.sideEffects} (expected skip, remove or extract)`));
+    process.exit(EXIT_CODES.USAGE);
+  }
+  
+  if (options.watch && !options.methods) {
+    console.error(chalk.red('❌ --watch needs the methods to remove (e.g. --watch --methods debug)'));
+    process.exit(EXIT_CODES.USAGE);
+  }
+  
+  if (options.pick && headless) {
+    console.error(chalk.red('❌ --pick asks which statements to remove and can\'t be combined with --yes'));
+    process.exit(EXIT_CODES.USAGE);
+  }
+  
+  if (options.watch && (options.pick || options.patch)) {
+    console.error(chalk.red(`❌ --watch can't be combined with ${options.pick ? '--pick' : '--patch'}`));
+    process.exit(EXIT_CODES.USAGE);
+  }
+  
   // Show git filtering info
-  if (options.gitMine || options.gitUncommitted) {
-    let filterMsg = '🔎 Git filtering: ';
-    if (options.gitMine) filterMsg += 'Only your statements';
-    if (options.gitMine && options.gitUncommitted) filterMsg += ' + ';
-    if (options.gitUncommitted) filterMsg += 'Uncommitted changes only';
-    console.log(chalk.yellow(filterMsg + '\n'));
+  if (hasGitFilters(options)) {
+    console.log(chalk.yellow(getGitFilterMessage(options) + '\n'));
+  }
+  
+  if (options.watch) {
+    await watchRemove(path.resolve(process.cwd(), directory), options, removalOptions);
+    return;
   }
   
   const spinner = ora('Scanning files...').start();
@@ -154,18 +376,16 @@ async function removeCommand(directory, options) {
     
     if (!fs.existsSync(targetDir)) {
       spinner.fail(chalk.red(`Directory not found: ${targetDir}`));
-      process.exit(1);
+      process.exit(EXIT_CODES.FAILURE);
     }
     
-    const gitOptions = {
-      gitMine: options.gitMine || false,
-      gitUncommitted: options.gitUncommitted || false
-    };
+    const gitOptions = getGitOptions(options);
     
     const results = await scanDirectory(
       targetDir, 
-      options.exclude || ['node_modules', '.git', 'dist', 'build'],
-      gitOptions
+      options.exclude,
+      gitOptions,
+      getScanOptions(options, spinner)
     );
     
     spinner.succeed(chalk.green('Scan complete!'));
@@ -195,14 +415,16 @@ async function removeCommand(directory, options) {
     
     // Show side effects warning if any found
     if (sideEffectStatements.length > 0) {
+      const impureCount = sideEffectStatements.filter(({ stmt }) => stmt.sideEffects === 'impure').length;
       console.log(chalk.yellow.bold('\n⚠️  Warning: Potential Side Effects Detected\n'));
       console.log(chalk.yellow(`Found ${sideEffectStatements.length} console statement${sideEffectStatements.length === 1 ? '' : 's'} with potential side effects:`));
-      console.log(chalk.gray('(e.g., ++, --, assignments, await, yield)\n'));
+      console.log(chalk.gray(`  ${impureCount} definite (e.g., ++, --, assignments, await, yield, delete, push)`));
+      console.log(chalk.gray(`  ${sideEffectStatements.length - impureCount} possible (e.g., calls to other functions, new, getters)\n`));
       
       // Show first few examples
       sideEffectStatements.slice(0, 5).forEach(({ file, stmt }) => {
         const relPath = path.relative(targetDir, file);
-        console.log(chalk.gray(`  • ${relPath}:${stmt.line}`));
+        console.log(chalk.gray(`  • ${relPath}:${stmt.line}${stmt.sideEffects === 'impure' ? '' : ' (possible)'}`));
         console.log(chalk.gray(`    ${stmt.code}`));
       });
       
@@ -213,68 +435,31 @@ async function removeCommand(directory, options) {
       }
     }
     
-    // Interactive selection
-    console.log(chalk.cyan.bold('\n📋 Select console methods to remove:\n'));
-    
-    const methodChoices = Object.keys(results.byMethod)
-      .filter(method => results.byMethod[method].count > 0)
-      .map(method => {
-        const methodData = results.byMethod[method];
-        const sideEffectCount = Object.keys(results.byFile).reduce((count, file) => {
-          return count + results.byFile[file].statements.filter(s => 
-            s.method === method && s.hasSideEffects
-          ).length;
-        }, 0);
-        
-        const label = sideEffectCount > 0 
-          ? `${chalk.yellow(method.padEnd(8))} - ${methodData.count} occurrence${methodData.count === 1 ? '' : 's'} ${chalk.red('(⚠️ ' + sideEffectCount + ' with side effects)')}`
-          : `${chalk.yellow(method.padEnd(8))} - ${methodData.count} occurrence${methodData.count === 1 ? '' : 's'}`;
-        
-        return {
-          name: label,
-          value: method,
-          checked: method !== 'error' && method !== 'warn' // Don't check error or warn by default
-        };
-      });
+    let answers;
     
-    const promptQuestions = [
-      {
-        type: 'checkbox',
-        name: 'methods',
-        message: 'Which console methods should be removed?',
-        choices: methodChoices,
-        validate: (answer) => {
-          if (answer.length === 0) {
-            return 'You must select at least one method to remove';
-          }
-          return true;
-        }
+    if (headless) {
+      // Non-interactive selection from flags
+      const foundMethods = Object.keys(results.byMethod)
+        .filter(method => results.byMethod[method].count > 0);
+      
+      answers = {
+        methods: options.methods
+          ? options.methods.filter(method => foundMethods.includes(method))
+          : getDefaultMethods(foundMethods, options.config.allow),
+        sideEffectsHandling: options.sideEffects || 'skip',
+        preview: true
+      };
+      
+      if (answers.methods.length === 0) {
+        console.log(chalk.yellow('\n✨ No matching console statements to remove.'));
+        return;
       }
-    ];
-    
-    // Add side effects handling option if any found
-    if (sideEffectStatements.length > 0) {
-      promptQuestions.push({
-        type: 'list',
-        name: 'sideEffectsHandling',
-        message: 'How should statements with side effects be handled?',
-        choices: [
-          { name: '⊙ Skip them (safer - keep statements with side effects)', value: 'skip' },
-          { name: '○ Remove them anyway (risky - may break code logic)', value: 'remove' }
-        ],
-        default: 'skip'
-      });
+    } else if (options.pick) {
+      answers = await promptStatementSelection(results, targetDir, options);
+    } else {
+      answers = await promptRemovalOptions(results, sideEffectStatements.length > 0, options);
     }
     
-    promptQuestions.push({
-      type: 'confirm',
-      name: 'preview',
-      message: 'Would you like to preview changes before applying?',
-      default: true
-    });
-    
-    const answers = await inquirer.prompt(promptQuestions);
-    
     if (answers.methods.length === 0) {
       console.log(chalk.yellow('\n⚠️  No methods selected. Exiting.'));
       return;
@@ -284,49 +469,111 @@ async function removeCommand(directory, options) {
     const filesToModify = new Set();
     let statementsToRemove = 0;
     let statementsSkipped = 0;
+    let statementsExtracted = 0;
+    
+    // Guard mode keeps statements whole, so extraction falls back to skipping
+    const extractSideEffects = answers.sideEffectsHandling === 'extract' && verb !== 'wrap';
+    const skipSideEffects = answers.sideEffectsHandling === 'skip' ||
+      (answers.sideEffectsHandling === 'extract' && verb === 'wrap');
     
-    const skipSideEffects = answers.sideEffectsHandling === 'skip';
+    // Statements picked one by one (--pick), or null when selecting by method
+    const targets = answers.targets || null;
+    
+    // Methods allowed by a per-path config override are kept in matching files
+    const getMethodsForFile = (file) => {
+      const overrides = getFileOverrides(options.config, file);
+      return overrides
+        ? answers.methods.filter(method => !overrides.allow.includes(method))
+        : answers.methods;
+    };
+    
+    const isSelected = (file, stmt, fileMethods) => targets
+      ? targets.has(getStatementKey(file, stmt.line, stmt.column))
+      : fileMethods.includes(stmt.method);
+    
+    // Paired calls (time/timeEnd, group/groupEnd, ...) are removed together or kept together
+    const statementCounts = new Map();
+    const pairedStatements = [];
+    const keptPairs = [];
     
     Object.keys(results.byFile).forEach(file => {
       const fileData = results.byFile[file];
-      const statementsToRemoveInFile = fileData.statements.filter(stmt => {
-        const shouldRemoveMethod = answers.methods.includes(stmt.method);
-        if (!shouldRemoveMethod) return false;
+      const fileMethods = getMethodsForFile(file);
+      const entries = fileData.statements.map(stmt => {
+        const selected = isSelected(file, stmt, fileMethods);
         
         // Skip if has side effects and user chose to skip them
-        if (skipSideEffects && stmt.hasSideEffects) {
+        const eligible = !(skipSideEffects && stmt.hasSideEffects);
+        if (selected && !eligible) {
           statementsSkipped++;
-          return false;
         }
         
-        return true;
+        return { statement: stmt, selected, eligible };
+      });
+      
+      const pairing = resolvePairs(entries, options.pairs);
+      pairing.added.forEach(stmt => pairedStatements.push({ file, stmt }));
+      pairing.kept.forEach(pair => keptPairs.push({ file, ...pair }));
+      
+      const statementsToRemoveInFile = fileData.statements.filter(stmt => pairing.selected.has(stmt));
+      statementsToRemoveInFile.forEach(stmt => {
+        if (extractSideEffects && stmt.hasSideEffects) {
+          statementsExtracted++;
+        }
       });
       
       if (statementsToRemoveInFile.length > 0) {
         filesToModify.add(file);
         statementsToRemove += statementsToRemoveInFile.length;
+        statementCounts.set(file, statementsToRemoveInFile.length);
       }
     });
     
+    // Selections that would orphan one half of a pair are refused
+    if (keptPairs.length > 0) {
+      const keptCount = keptPairs.reduce((sum, pair) => sum + pair.statements.length, 0);
+      console.log(chalk.yellow.bold('\n⚠️  Warning: Paired Calls Kept\n'));
+      console.log(chalk.yellow(`${keptCount} statement${keptCount === 1 ? '' : 's'} would orphan ${keptCount === 1 ? 'its' : 'their'} paired call${keptCount === 1 ? '' : 's'} and will be kept:`));
+      
+      keptPairs.slice(0, 5).forEach(({ file, statements, orphans }) => {
+        const relPath = path.relative(targetDir, file);
+        statements.forEach(stmt => {
+          console.log(chalk.gray(`  • ${relPath}:${stmt.line} ${stmt.code}`));
+        });
+        console.log(chalk.gray(`    pairs with ${orphans.map(stmt => `${formatMethod(stmt.method)} (line ${stmt.line})`).join(', ')}`));
+      });
+      
+      if (keptPairs.length > 5) {
+        console.log(chalk.gray(`  ... and ${keptPairs.length - 5} more`));
+      }
+      console.log(chalk.gray(options.pairs === 'refuse'
+        ? '\n  Select both halves, or use --pairs together to remove them together'
+        : '\n  Their partners can\'t be removed (side effects skipped)'));
+    }
+    
     // Show preview
     if (answers.preview) {
       console.log(chalk.cyan.bold('\n📄 Preview of changes:\n'));
       console.log(chalk.white(`Files to modify: ${filesToModify.size}`));
-      console.log(chalk.white(`Statements to remove: ${statementsToRemove}`));
+      console.log(chalk.white(`Statements to ${verb}: ${statementsToRemove}`));
+      if (removalOptions.mode === 'guard') {
+        console.log(chalk.white(`Guard: if (${removalOptions.guard})`));
+      }
       if (statementsSkipped > 0) {
         console.log(chalk.yellow(`Statements to skip (side effects): ${statementsSkipped}`));
       }
+      if (statementsExtracted > 0) {
+        console.log(chalk.yellow(`Statements whose side effects are kept: ${statementsExtracted}`));
+      }
+      if (pairedStatements.length > 0) {
+        console.log(chalk.white(`Paired calls ${verb === 'wrap' ? 'wrapped' : 'removed'} along: ${pairedStatements.length}`));
+      }
       console.log(chalk.white(`Methods: ${answers.methods.join(', ')}\n`));
       
       // Show affected files
       Array.from(filesToModify).slice(0, 10).forEach(file => {
         const relPath = path.relative(targetDir, file);
-        const count = results.byFile[file].statements.filter(stmt => {
-          const shouldRemove = answers.methods.includes(stmt.method);
-          if (!shouldRemove) return false;
-          if (skipSideEffects && stmt.hasSideEffects) return false;
-          return true;
-        }).length;
+        const count = statementCounts.get(file);
         console.log(chalk.gray(`  • ${relPath} (${count} statement${count === 1 ? '' : 's'})`));
       });
       
@@ -335,21 +582,23 @@ async function removeCommand(directory, options) {
       }
     }
     
-    // Confirm
-    const confirmAnswer = await inquirer.prompt([
-      {
-        type: 'confirm',
-        name: 'proceed',
-        message: options.dryRun 
-          ? chalk.yellow('This is a DRY RUN. Continue with preview?')
-          : chalk.red('⚠️  This will modify your files. Continue?'),
-        default: false
+    // Confirm (skipped in headless mode)
+    if (!headless) {
+      const confirmAnswer = await inquirer.prompt([
+        {
+          type: 'confirm',
+          name: 'proceed',
+          message: options.dryRun 
+            ? chalk.yellow('This is a DRY RUN. Continue with preview?')
+            : chalk.red('⚠️  This will modify your files. Continue?'),
+          default: false
+        }
+      ]);
+      
+      if (!confirmAnswer.proceed) {
+        console.log(chalk.yellow('\n✋ Operation cancelled.'));
+        return;
       }
-    ]);
-    
-    if (!confirmAnswer.proceed) {
-      console.log(chalk.yellow('\n✋ Operation cancelled.'));
-      return;
     }
     
     // Create backup
@@ -357,47 +606,98 @@ async function removeCommand(directory, options) {
     if (options.backup && !options.dryRun) {
       const backupSpinner = ora('Creating backup...').start();
       try {
-        backupPath = await createBackup(Array.from(filesToModify), targetDir);
+        backupPath = await createBackup(Array.from(filesToModify), targetDir, options.backupDir);
         backupSpinner.succeed(chalk.green(`Backup created: ${backupPath}`));
       } catch (error) {
         backupSpinner.fail(chalk.red('Backup failed'));
         console.error(chalk.red(error.message));
-        return;
+        process.exit(EXIT_CODES.FAILURE);
       }
     }
     
     // Setup git context for removal if needed
     let removerGitContext = null;
-    if (gitOptions.gitMine || gitOptions.gitUncommitted || answers.sideEffectsHandling === 'skip') {
-      removerGitContext = {
-        enabled: true,
-        filterMine: gitOptions.gitMine,
-        filterUncommitted: gitOptions.gitUncommitted,
-        currentUser: gitOptions.gitMine ? getCurrentGitUser(targetDir) : null,
-        blameCache: new Map(),
-        uncommittedLinesCache: new Map(), // Line-level uncommitted change cache
-        skipSideEffects: answers.sideEffectsHandling === 'skip',
-        baseDir: targetDir
-      };
+    if (hasGitFilters(gitOptions) || skipSideEffects) {
+      removerGitContext = await createGitContext(targetDir, gitOptions, { skipSideEffects });
     }
     
     // Remove console statements
-    const removeSpinner = ora(options.dryRun ? 'Analyzing...' : 'Removing console statements...').start();
+    const removeSpinner = ora(options.dryRun
+      ? 'Analyzing...'
+      : (verb === 'wrap' ? 'Wrapping console statements...' : 'Removing console statements...')).start();
     
     try {
-      const removedCount = await removeConsoleStatements(
-        Array.from(filesToModify),
-        answers.methods,
-        options.dryRun,
-        removerGitContext
-      );
+      // Files sharing the same effective method list are processed together
+      // (picked statements are all handled in one pass)
+      const fileGroups = new Map();
+      filesToModify.forEach(file => {
+        const fileMethods = targets ? answers.methods : getMethodsForFile(file);
+        const key = fileMethods.join(',');
+        if (!fileGroups.has(key)) {
+          fileGroups.set(key, { methods: fileMethods, files: [] });
+        }
+        fileGroups.get(key).files.push(file);
+      });
+      
+      let removedCount = 0;
+      const patches = [];
+      const cleanups = [];
+      for (const group of fileGroups.values()) {
+        const groupOptions = { ...removalOptions, extractSideEffects, pairs: options.pairs };
+        if (targets) groupOptions.targets = targets;
+        if (options.cleanup) {
+          groupOptions.cleanup = true;
+          groupOptions.onCleanup = (file, fileCleanups) => {
+            fileCleanups.forEach(cleanup => cleanups.push({ file, ...cleanup }));
+          };
+        }
+        
+        // Diffs are computed from the untouched files, before anything is written
+        if (options.diff || options.patch) {
+          const changes = await getRemovalChanges(group.files, group.methods, removerGitContext, groupOptions);
+          changes.forEach(change => {
+            patches.push(createFilePatch(change.filePath, change.original, change.code));
+          });
+        }
+        
+        removedCount += await removeConsoleStatements(
+          group.files,
+          group.methods,
+          options.dryRun,
+          removerGitContext,
+          groupOptions
+        );
+      }
       
       removeSpinner.succeed(chalk.green(
         options.dryRun 
-          ? `✓ Dry run complete: Would remove ${removedCount} statements`
-          : `✓ Successfully removed ${removedCount} console statements!`
+          ? `✓ Dry run complete: Would ${verb} ${removedCount} statements`
+          : `✓ Successfully ${verb === 'wrap' ? 'wrapped' : 'removed'} ${removedCount} console statements!`
       ));
       
+      // Dead code removed along with the statements (--cleanup)
+      if (cleanups.length > 0) {
+        console.log(chalk.cyan.bold(`\n🧽 ${options.dryRun ? 'Would clean up' : 'Cleaned up'} ${cleanups.length} dead code leftover${cleanups.length === 1 ? '' : 's'}:\n`));
+        cleanups.forEach(cleanup => {
+          const relPath = path.relative(targetDir, cleanup.file);
+          console.log(chalk.gray(`  • ${relPath}:${cleanup.line} ${cleanup.message}`));
+          console.log(chalk.gray(`    ${cleanup.code}`));
+        });
+      }
+      
+      if (options.diff && patches.length > 0) {
+        console.log('\n' + patches.map(patch => colorizePatch(patch.trimEnd())).join('\n'));
+      }
+      
+      if (options.patch) {
+        const patchPath = path.resolve(process.cwd(), options.patch);
+        fs.writeFileSync(patchPath, patches.join(''), 'utf8');
+        console.log(chalk.cyan(`\n📄 Patch written to ${patchPath} (${patches.length} file${patches.length === 1 ? '' : 's'})`));
+        if (options.dryRun) {
+          console.log(chalk.gray(`   Apply it later with: git apply ${options.patch}`));
+        }
+      }
+      
       if (backupPath && !options.dryRun) {
         console.log(chalk.cyan(`\n💡 To restore, run: log-sweep restore ${backupPath}`));
       }
@@ -412,7 +712,386 @@ async function removeCommand(directory, options) {
         console.log(chalk.green('✓ Backup restored successfully'));
       }
       
-      process.exit(1);
+      process.exit(EXIT_CODES.FAILURE);
+    }
+    
+  } catch (error) {
+    spinner.fail(chalk.red('Operation failed'));
+    console.error(chalk.red(error.message));
+    if (process.env.DEBUG) {
+      console.error(error.stack);
+    }
+    process.exit(EXIT_CODES.FAILURE);
+  }
+}
+
+/**
+ * Check command implementation
+ * Prints one `file:line:column method` line per violation and exits non-zero
+ */
+async function checkCommand(directory, options) {
+  options = applyConfig(directory, options);
+  
+  let thresholds;
+  try {
+    thresholds = parseThresholds(options.max);
+  } catch (error) {
+    console.error(chalk.red(`❌ ${error.message}`));
+    process.exit(EXIT_CODES.USAGE);
+  }
+  
+  const listedMethods = [
+    ...(options.allow || options.config.allow || []),
+    ...(options.forbid || options.config.forbid),
+    ...Object.keys({ ...options.config.max, ...thresholds })
+  ];
+  const unknownMethods = listedMethods.filter(method => !isKnownMethod(options.loggerTargets, method));
+  if (unknownMethods.length > 0) {
+    console.error(chalk.red(`❌ Unknown method${unknownMethods.length === 1 ? '' : 's'}: ${unknownMethods.join(', ')}`));
+    process.exit(EXIT_CODES.USAGE);
+  }
+  
+  const targetDir = path.resolve(process.cwd(), directory);
+  
+  if (!fs.existsSync(targetDir)) {
+    console.error(chalk.red(`❌ Directory not found: ${targetDir}`));
+    process.exit(EXIT_CODES.FAILURE);
+  }
+  
+  let results;
+  try {
+    results = await scanDirectory(
+      targetDir,
+      options.exclude,
+      getGitOptions(options),
+      getScanOptions(options)
+    );
+  } catch (error) {
+    console.error(chalk.red(`❌ Check failed: ${error.message}`));
+    if (process.env.DEBUG) {
+      console.error(error.stack);
+    }
+    process.exit(EXIT_CODES.FAILURE);
+  }
+  
+  const report = checkResults(
+    results,
+    {
+      allow: options.allow || options.config.allow || DEFAULT_KEPT_METHODS,
+      forbid: options.forbid || options.config.forbid,
+      thresholds: { ...options.config.max, ...thresholds }
+    },
+    file => getFileOverrides(options.config, file)
+  );
+  
+  report.violations.forEach(violation => {
+    console.log(formatViolation(violation, path.relative(process.cwd(), violation.file)));
+  });
+  
+  if (report.passed) {
+    console.log(chalk.green(`✓ No disallowed console statements (${results.totalCount} allowed)`));
+    return;
+  }
+  
+  console.log('');
+  Object.keys(report.byMethod)
+    .filter(method => report.byMethod[method].exceeded)
+    .forEach(method => {
+      const { count, limit } = report.byMethod[method];
+      const limitText = limit === 0 ? 'not allowed' : `max ${limit}`;
+      console.log(chalk.red(`✖ ${method}: ${count} found (${limitText})`));
+    });
+  
+  process.exit(EXIT_CODES.FAILURE);
+}
+
+/**
+ * Staged command implementation
+ * Checks what `git commit` would record (the index, not the working tree);
+ * with --fix, removes the disallowed statements from it instead.
+ */
+async function stagedCommand(directory, options) {
+  options = applyConfig(directory, options);
+  
+  const listedMethods = [...(options.allow || []), ...(options.forbid || [])];
+  const unknownMethods = listedMethods.filter(method => !isKnownMethod(options.loggerTargets, method));
+  if (unknownMethods.length > 0) {
+    console.error(chalk.red(`❌ Unknown method${unknownMethods.length === 1 ? '' : 's'}: ${unknownMethods.join(', ')}`));
+    process.exit(EXIT_CODES.USAGE);
+  }
+  
+  if (options.sideEffects && !['skip', 'remove', 'extract'].includes(options.sideEffects)) {
+    console.error(chalk.red(`❌ Invalid --side-effects value: ${options.sideEffects} (expected skip, remove or extract)`));
+    process.exit(EXIT_CODES.USAGE);
+  }
+  
+  const targetDir = path.resolve(process.cwd(), directory);
+  
+  if (!(await isGitRepository(targetDir))) {
+    console.error(chalk.red(`❌ Not a git repository: ${targetDir}`));
+    process.exit(EXIT_CODES.FAILURE);
+  }
+  
+  // Staged files are read from the index, and only their staged lines count
+  const gitOptions = { stagedContent: true };
+  const checkStaged = async () => checkResults(
+    await scanDirectory(targetDir, options.exclude, gitOptions, getScanOptions(options)),
+    {
+      allow: options.allow || options.config.allow || DEFAULT_KEPT_METHODS,
+      forbid: options.forbid || options.config.forbid
+    },
+    file => getFileOverrides(options.config, file)
+  );
+  
+  let report;
+  try {
+    report = await checkStaged();
+    
+    if (!report.passed && options.fix) {
+      const sideEffectsHandling = options.sideEffects || 'skip';
+      const gitContext = await createGitContext(targetDir, gitOptions, { skipSideEffects: sideEffectsHandling === 'skip' });
+      const changes = await removeStagedConsoleStatements(
+        [...new Set(report.violations.map(violation => violation.file))],
+        [...new Set(report.violations.map(violation => violation.method))],
+        gitContext,
+        {
+          targets: new Set(report.violations.map(violation =>
+            getStatementKey(violation.file, violation.line, violation.column))),
+          loggerTargets: options.loggerTargets,
+          extractSideEffects: sideEffectsHandling === 'extract',
+          pairs: options.pairs
+        }
+      );
+      
+      changes.forEach(change => {
+        const relPath = path.relative(process.cwd(), change.filePath);
+        console.log(chalk.green(`✓ ${relPath}: removed ${change.count} statement${change.count === 1 ? '' : 's'} from the commit`));
+        if (!change.workingTreeUpdated) {
+          // The file on disk still has the statements, and the next `git add` would stage them again
+          console.log(chalk.yellow(`  ⚠️  ${relPath} on disk was not changed: its unstaged edits touch the same lines.`));
+          console.log(chalk.yellow('     Remove the statements there too to re-sync it with the commit, or the next git add stages them again'));
+        }
+      });
+      
+      // Statements that couldn't be removed (side effects, paired calls) still block the commit
+      report = await checkStaged();
+    }
+  } catch (error) {
+    console.error(chalk.red(`❌ Staged check failed: ${error.message}`));
+    if (process.env.DEBUG) {
+      console.error(error.stack);
+    }
+    process.exit(EXIT_CODES.FAILURE);
+  }
+  
+  if (report.passed) {
+    console.log(chalk.green('✓ No disallowed console statements in staged changes'));
+    return;
+  }
+  
+  report.violations.forEach(violation => {
+    console.log(`${formatViolation(violation, path.relative(process.cwd(), violation.file))} ${chalk.gray(violation.code)}`);
+  });
+  
+  const count = report.violations.length;
+  console.log(chalk.red(`\n✖ ${count} disallowed console statement${count === 1 ? '' : 's'} staged for commit`));
+  console.log(chalk.gray(options.fix
+    ? '  They have side effects or paired calls; remove them by hand, or use --side-effects remove'
+    : '  Remove them, run log-sweep staged --fix, or commit with --no-verify'));
+  process.exit(EXIT_CODES.FAILURE);
+}
+
+/**
+ * Hook install command implementation
+ */
+async function hookInstallCommand(directory, options) {
+  try {
+    const { hookPath, backupPath } = await installHook(path.resolve(process.cwd(), directory), {
+      mode: options.fix ? 'fix' : 'block',
+      force: options.force
+    });
+    
+    if (backupPath) {
+      console.log(chalk.yellow(`Previous hook moved to ${backupPath}`));
+    }
+    console.log(chalk.green(`✓ Installed pre-commit hook: ${hookPath}`));
+    console.log(chalk.gray(options.fix
+      ? '  Disallowed console statements will be removed from each commit'
+      : '  Commits with disallowed console statements will be blocked'));
+  } catch (error) {
+    console.error(chalk.red(`❌ ${error.message}`));
+    process.exit(EXIT_CODES.FAILURE);
+  }
+}
+
+/**
+ * Hook uninstall command implementation
+ */
+async function hookUninstallCommand(directory) {
+  try {
+    const hookPath = await uninstallHook(path.resolve(process.cwd(), directory));
+    console.log(hookPath
+      ? chalk.green(`✓ Removed pre-commit hook: ${hookPath}`)
+      : chalk.yellow('No pre-commit hook installed'));
+  } catch (error) {
+    console.error(chalk.red(`❌ ${error.message}`));
+    process.exit(EXIT_CODES.FAILURE);
+  }
+}
+
+/**
+ * Migrate command implementation
+ */
+async function migrateCommand(directory, options) {
+  console.log(chalk.cyan.bold('\n🔁 Console Statement Migrator\n'));
+  
+  options = applyConfig(directory, options);
+  
+  // CLI mappings replace the configured ones
+  let callees;
+  try {
+    callees = options.to ? parseMappings(options.to) : (options.config.migrate && options.config.migrate.callees);
+  } catch (error) {
+    console.error(chalk.red(`❌ ${error.message}`));
+    process.exit(EXIT_CODES.USAGE);
+  }
+  
+  if (!callees || Object.keys(callees).length === 0) {
+    console.error(chalk.red('❌ No logger mappings given. Use --to log=logger.debug or set "migrate.callees" in your config.'));
+    process.exit(EXIT_CODES.USAGE);
+  }
+  
+  const unknownMethods = Object.keys(callees).filter(method => !isKnownMethod(options.loggerTargets, method));
+  if (unknownMethods.length > 0) {
+    console.error(chalk.red(`❌ Unknown method${unknownMethods.length === 1 ? '' : 's'}: ${unknownMethods.join(', ')}`));
+    process.exit(EXIT_CODES.USAGE);
+  }
+  
+  const configImport = options.config.migrate && options.config.migrate.import;
+  const migration = {
+    callees,
+    import: options.import
+      ? { source: options.import, name: options.importName || null, named: Boolean(options.namedImport) }
+      : configImport,
+    // CLI import paths are relative to the working directory, config ones to the config file
+    baseDir: options.import ? process.cwd() : options.config.rootDir
+  };
+  
+  try {
+    validateMigrationCallees(migration);
+  } catch (error) {
+    console.error(chalk.red(`❌ ${error.message}`));
+    process.exit(EXIT_CODES.USAGE);
+  }
+  
+  const spinner = ora('Scanning files...').start();
+  
+  try {
+    const targetDir = path.resolve(process.cwd(), directory);
+    
+    if (!fs.existsSync(targetDir)) {
+      spinner.fail(chalk.red(`Directory not found: ${targetDir}`));
+      process.exit(EXIT_CODES.FAILURE);
+    }
+    
+    const gitOptions = getGitOptions(options);
+    
+    const results = await scanDirectory(
+      targetDir,
+      options.exclude,
+      gitOptions,
+      getScanOptions(options, spinner)
+    );
+    
+    spinner.succeed(chalk.green('Scan complete!'));
+    
+    const filesToModify = Object.keys(results.byFile).filter(file =>
+      results.byFile[file].statements.some(stmt => callees[stmt.method])
+    );
+    const statementsToMigrate = filesToModify.reduce((count, file) =>
+      count + results.byFile[file].statements.filter(stmt => callees[stmt.method]).length, 0);
+    
+    if (statementsToMigrate === 0) {
+      console.log(chalk.yellow('\n✨ No matching console statements to migrate.'));
+      return;
+    }
+    
+    console.log(chalk.cyan.bold('\n📄 Migration plan:\n'));
+    Object.keys(callees).forEach(method => {
+      console.log(chalk.white(`  ${formatMethod(method).padEnd(16)} → ${callees[method]}`));
+    });
+    if (migration.import) {
+      console.log(chalk.gray(`\n  Logger imported from "${migration.import.source}" where missing`));
+    }
+    console.log(chalk.white(`\nFiles to modify: ${filesToModify.length}`));
+    console.log(chalk.white(`Statements to migrate: ${statementsToMigrate}`));
+    
+    if (!options.yes) {
+      const confirmAnswer = await inquirer.prompt([
+        {
+          type: 'confirm',
+          name: 'proceed',
+          message: options.dryRun 
+            ? chalk.yellow('This is a DRY RUN. Continue with preview?')
+            : chalk.red('⚠️  This will modify your files. Continue?'),
+          default: false
+        }
+      ]);
+      
+      if (!confirmAnswer.proceed) {
+        console.log(chalk.yellow('\n✋ Operation cancelled.'));
+        return;
+      }
+    }
+    
+    // Create backup
+    let backupPath = null;
+    if (options.backup && !options.dryRun) {
+      const backupSpinner = ora('Creating backup...').start();
+      try {
+        backupPath = await createBackup(filesToModify, targetDir, options.backupDir);
+        backupSpinner.succeed(chalk.green(`Backup created: ${backupPath}`));
+      } catch (error) {
+        backupSpinner.fail(chalk.red('Backup failed'));
+        console.error(chalk.red(error.message));
+        process.exit(EXIT_CODES.FAILURE);
+      }
+    }
+    
+    const removerGitContext = hasGitFilters(gitOptions) ? await createGitContext(targetDir, gitOptions) : null;
+    
+    const migrateSpinner = ora(options.dryRun ? 'Analyzing...' : 'Migrating console statements...').start();
+    
+    try {
+      const { migratedCount, importsAdded } = await migrateConsoleStatements(
+        filesToModify,
+        migration,
+        options.dryRun,
+        removerGitContext,
+        { loggerTargets: options.loggerTargets }
+      );
+      
+      const importNote = importsAdded > 0 ? ` (${importsAdded} import${importsAdded === 1 ? '' : 's'} added)` : '';
+      migrateSpinner.succeed(chalk.green(
+        options.dryRun 
+          ? `✓ Dry run complete: Would migrate ${migratedCount} statements${importNote}`
+          : `✓ Successfully migrated ${migratedCount} console statements${importNote}!`
+      ));
+      
+      if (backupPath) {
+        console.log(chalk.cyan(`\n💡 To restore, run: log-sweep restore ${backupPath}`));
+      }
+    } catch (error) {
+      migrateSpinner.fail(chalk.red('Migration failed'));
+      console.error(chalk.red(error.message));
+      
+      if (backupPath) {
+        console.log(chalk.yellow('\n🔄 Restoring from backup...'));
+        await restoreBackup(backupPath);
+        console.log(chalk.green('✓ Backup restored successfully'));
+      }
+      
+      process.exit(EXIT_CODES.FAILURE);
     }
     
   } catch (error) {
@@ -421,7 +1100,7 @@ async function removeCommand(directory, options) {
     if (process.env.DEBUG) {
       console.error(error.stack);
     }
-    process.exit(1);
+    process.exit(EXIT_CODES.FAILURE);
   }
 }
 
@@ -434,14 +1113,14 @@ async function restoreCommand(backupFile) {
   if (!backupFile) {
     console.error(chalk.red('❌ Please specify a backup file'));
     console.log(chalk.gray('Usage: log-sweep restore <backup-file.tar.gz>'));
-    process.exit(1);
+    process.exit(EXIT_CODES.FAILURE);
   }
   
   const backupPath = path.resolve(process.cwd(), backupFile);
   
   if (!fs.existsSync(backupPath)) {
     console.error(chalk.red(`❌ Backup file not found: ${backupPath}`));
-    process.exit(1);
+    process.exit(EXIT_CODES.FAILURE);
   }
   
   const spinner = ora('Restoring files...').start();
@@ -452,48 +1131,580 @@ async function restoreCommand(backupFile) {
   } catch (error) {
     spinner.fail(chalk.red('Restore failed'));
     console.error(chalk.red(error.message));
-    process.exit(1);
+    process.exit(EXIT_CODES.FAILURE);
   }
 }
 
 /**
- * Display scan results in a formatted way
+ * Cache clear command implementation
  */
-function displayScanResults(results) {
-  console.log(chalk.white.bold('\n📊 Scan Results:\n'));
+async function cacheClearCommand(directory, options) {
+  options = applyConfig(directory, options);
+  const cacheDir = options.cacheDir || getDefaultCacheDir(path.resolve(process.cwd(), directory));
   
-  // Summary
-  console.log(chalk.white(`Total console statements: ${chalk.yellow.bold(results.totalCount)}`));
-  console.log(chalk.white(`Files with console statements: ${chalk.yellow.bold(results.fileCount)}`));
+  try {
+    const cleared = clearScanCache(cacheDir);
+    console.log(chalk.green(`✓ Cleared ${cleared} cache file${cleared === 1 ? '' : 's'} from ${cacheDir}`));
+  } catch (error) {
+    console.error(chalk.red(`❌ Could not clear cache: ${error.message}`));
+    process.exit(EXIT_CODES.FAILURE);
+  }
+}
+
+/**
+ * Scan watch mode: re-scan files as they change and print the statements
+ * added or removed since the previous scan
+ * @param {string} targetDir - Watched directory
+ * @param {object} results - Initial scan results from scanDirectory
+ * @param {object} options - Command options (after applyConfig)
+ * @param {object} gitOptions - From getGitOptions()
+ */
+async function watchScan(targetDir, results, options, gitOptions) {
+  const known = new Map(Object.keys(results.byFile).map(file => [file, results.byFile[file].statements]));
+  let totalCount = results.totalCount;
+  const gitContext = hasGitFilters(gitOptions) ? await createGitContext(targetDir, gitOptions) : null;
   
-  // By method
-  console.log(chalk.white.bold('\n📋 By Method:\n'));
-  Object.keys(results.byMethod)
-    .filter(method => results.byMethod[method].count > 0)
-    .sort((a, b) => results.byMethod[b].count - results.byMethod[a].count)
-    .forEach(method => {
-      const data = results.byMethod[method];
-      const color = method === 'error' ? chalk.red : 
-                    method === 'warn' ? chalk.yellow :
-                    method === 'log' ? chalk.blue : chalk.gray;
-      console.log(color(`  ${method.padEnd(8)} : ${data.count.toString().padStart(4)} occurrence${data.count === 1 ? '' : 's'}`));
+  const handleChange = async (file, exists) => {
+    const relPath = path.relative(targetDir, file);
+    const before = known.get(file) || [];
+    let after = [];
+    
+    if (exists) {
+      forgetGitCaches(gitContext, file);
+      try {
+        after = (await scanFile(file, gitContext, options.loggerTargets)).statements;
+      } catch (error) {
+        // Usually a file saved mid-edit; its previous statements stand until it parses
+        console.log(chalk.gray(`${getTimestamp()} ${relPath}: could not parse, keeping previous results`));
+        return;
+      }
+    }
+    
+    const { added, removed } = diffStatements(before, after);
+    if (after.length > 0) {
+      known.set(file, after);
+    } else {
+      known.delete(file);
+    }
+    totalCount += after.length - before.length;
+    
+    if (added.length === 0 && removed.length === 0) {
+      return;
+    }
+    
+    console.log(chalk.white(`${getTimestamp()} ${relPath}${exists ? '' : ' (deleted)'}`));
+    removed.forEach(stmt => console.log(chalk.red(`  - ${relPath}:${stmt.line} ${stmt.code}`)));
+    added.forEach(stmt => console.log(chalk.green(`  + ${relPath}:${stmt.line} ${stmt.code}`)));
+    console.log(chalk.gray(`  ${totalCount} console statement${totalCount === 1 ? '' : 's'} in ${known.size} file${known.size === 1 ? '' : 's'}`));
+  };
+  
+  console.log(chalk.cyan(`\n👀 Watching ${targetDir} (${totalCount} console statement${totalCount === 1 ? '' : 's'} in ${known.size} file${known.size === 1 ? '' : 's'})`));
+  console.log(chalk.gray('   Press Ctrl+C to stop\n'));
+  
+  startWatching(targetDir, options, handleChange);
+}
+
+/**
+ * Remove watch mode: remove the selected methods from files as they are saved
+ * No backups are made; saved files are usually under version control or open in an editor.
+ * @param {string} targetDir - Watched directory
+ * @param {object} options - Command options (after applyConfig)
+ * @param {object} removalOptions - { mode, guard, loggerTargets }
+ */
+async function watchRemove(targetDir, options, removalOptions) {
+  if (!fs.existsSync(targetDir)) {
+    console.error(chalk.red(`❌ Directory not found: ${targetDir}`));
+    process.exit(EXIT_CODES.FAILURE);
+  }
+  
+  const gitOptions = getGitOptions(options);
+  if (hasGitFilters(gitOptions) && !(await isGitRepository(targetDir))) {
+    console.error(chalk.red('❌ Git filtering requested but directory is not a git repository'));
+    process.exit(EXIT_CODES.FAILURE);
+  }
+  
+  const verb = removalOptions.mode === 'guard' ? 'wrap' : 'remove';
+  const sideEffectsHandling = options.sideEffects || 'skip';
+  const extractSideEffects = sideEffectsHandling === 'extract' && verb !== 'wrap';
+  const skipSideEffects = sideEffectsHandling === 'skip' || (sideEffectsHandling === 'extract' && verb === 'wrap');
+  let gitContext = null;
+  if (hasGitFilters(gitOptions) || skipSideEffects) {
+    try {
+      gitContext = await createGitContext(targetDir, gitOptions, { skipSideEffects });
+    } catch (error) {
+      console.error(chalk.red(`❌ ${error.message}`));
+      process.exit(EXIT_CODES.FAILURE);
+    }
+  }
+  
+  const handleChange = async (file, exists) => {
+    if (!exists) {
+      return;
+    }
+    
+    const relPath = path.relative(targetDir, file);
+    const overrides = getFileOverrides(options.config, file);
+    const methods = overrides
+      ? options.methods.filter(method => !overrides.allow.includes(method))
+      : options.methods;
+    if (methods.length === 0) {
+      return;
+    }
+    
+    forgetGitCaches(gitContext, file);
+    const fileOptions = { ...removalOptions, extractSideEffects, pairs: options.pairs };
+    if (options.cleanup) {
+      fileOptions.cleanup = true;
+    }
+    
+    let changes;
+    try {
+      changes = await getRemovalChanges([file], methods, gitContext, fileOptions);
+    } catch (error) {
+      // Usually a file saved mid-edit; it is processed again on the next save
+      console.log(chalk.gray(`${getTimestamp()} ${relPath}: could not parse, skipped`));
+      return;
+    }
+    
+    // Rewriting the file triggers another change, which then finds nothing left to do
+    for (const change of changes) {
+      if (!options.dryRun) {
+        fs.writeFileSync(change.filePath, change.code, 'utf8');
+      }
+      const past = verb === 'wrap' ? 'Wrapped' : 'Removed';
+      console.log(chalk.green(`${getTimestamp()} ${relPath}: ${options.dryRun ? `Would ${verb}` : past} ${change.count} statement${change.count === 1 ? '' : 's'}`));
+      change.cleanups.forEach(cleanup => {
+        console.log(chalk.gray(`  • ${relPath}:${cleanup.line} ${cleanup.message}`));
+      });
+      if (options.diff) {
+        console.log(colorizePatch(createFilePatch(change.filePath, change.original, change.code).trimEnd()));
+      }
+    }
+  };
+  
+  console.log(chalk.cyan(`👀 Watching ${targetDir}: ${options.dryRun ? `would ${verb}` : `${verb === 'wrap' ? 'wrapping' : 'removing'}`} ${options.methods.join(', ')} on save`));
+  console.log(chalk.gray('   Press Ctrl+C to stop\n'));
+  
+  startWatching(targetDir, options, handleChange);
+}
+
+/**
+ * Watch the files a scan of targetDir would include and run handleChange for
+ * each change, one at a time, until Ctrl+C
+ * @param {string} targetDir - Watched directory
+ * @param {object} options - Command options (exclude / include)
+ * @param {function} handleChange - async (absolutePath, exists) => void
+ */
+function startWatching(targetDir, options, handleChange) {
+  let queue = Promise.resolve();
+  
+  const close = watchDirectory(targetDir, {
+    filter: createFileFilter(targetDir, options.exclude, options.include || []),
+    onChange: (file, exists) => {
+      queue = queue.then(() => handleChange(file, exists)).catch(error => {
+        console.error(chalk.red(`${getTimestamp()} ${error.message}`));
+      });
+    },
+    onError: error => {
+      console.error(chalk.red(`❌ Watcher error: ${error.message}`));
+    }
+  });
+  
+  process.on('SIGINT', () => {
+    close();
+    console.log(chalk.gray('\nStopped watching.'));
+    process.exit(EXIT_CODES.SUCCESS);
+  });
+}
+
+/**
+ * Drop the cached blame and changed lines of a file that changed
+ */
+function forgetGitCaches(gitContext, file) {
+  if (gitContext) {
+    gitContext.blameCache.delete(file);
+    gitContext.uncommittedLinesCache.delete(file);
+    gitContext.stagedLinesCache.delete(file);
+    gitContext.sinceLinesCache.delete(file);
+  }
+}
+
+/**
+ * Time prefix for watch mode output
+ */
+function getTimestamp() {
+  return chalk.gray(`[${new Date().toLocaleTimeString()}]`);
+}
+
+/**
+ * Prompt for the methods to remove and how to handle side effects
+ * @param {object} results - Scan results from scanDirectory
+ * @param {boolean} hasSideEffects - Whether any statement has side effects
+ * @param {object} options - Command options (methods / sideEffects used as defaults)
+ * @returns {Promise<object>} { methods, sideEffectsHandling, preview }
+ */
+async function promptRemovalOptions(results, hasSideEffects, options) {
+  console.log(chalk.cyan.bold('\n📋 Select console methods to remove:\n'));
+  
+  const foundMethods = Object.keys(results.byMethod)
+    .filter(method => results.byMethod[method].count > 0);
+  const checkedMethods = options.methods || getDefaultMethods(foundMethods, options.config.allow);
+  const width = Math.max(8, ...foundMethods.map(method => method.length));
+  
+  const methodChoices = foundMethods.map(method => {
+    const methodData = results.byMethod[method];
+    const sideEffectCount = Object.keys(results.byFile).reduce((count, file) => {
+      return count + results.byFile[file].statements.filter(s => 
+        s.method === method && s.hasSideEffects
+      ).length;
+    }, 0);
+    
+    const label = sideEffectCount > 0 
+      ? `${chalk.yellow(method.padEnd(width))} - ${methodData.count} occurrence${methodData.count === 1 ? '' : 's'} ${chalk.red('(⚠️ ' + sideEffectCount + ' with side effects)')}`
+      : `${chalk.yellow(method.padEnd(width))} - ${methodData.count} occurrence${methodData.count === 1 ? '' : 's'}`;
+    
+    return {
+      name: label,
+      value: method,
+      checked: checkedMethods.includes(method)
+    };
+  });
+  
+  const promptQuestions = [
+    {
+      type: 'checkbox',
+      name: 'methods',
+      message: 'Which console methods should be removed?',
+      choices: methodChoices,
+      validate: (answer) => {
+        if (answer.length === 0) {
+          return 'You must select at least one method to remove';
+        }
+        return true;
+      }
+    }
+  ];
+  
+  // Add side effects handling option if any found
+  if (hasSideEffects) {
+    promptQuestions.push({
+      type: 'list',
+      name: 'sideEffectsHandling',
+      message: 'How should statements with side effects be handled?',
+      choices: [
+        { name: '⊙ Skip them (safer - keep statements with side effects)', value: 'skip' },
+        { name: '◐ Remove the log but keep its side effects (save(); count++; as standalone statements)', value: 'extract' },
+        { name: '○ Remove them anyway (risky - may break code logic)', value: 'remove' }
+      ],
+      default: options.sideEffects || 'skip'
     });
+  }
+  
+  promptQuestions.push({
+    type: 'confirm',
+    name: 'preview',
+    message: 'Would you like to preview changes before applying?',
+    default: true
+  });
   
-  // Top files
-  const sortedFiles = Object.entries(results.byFile)
-    .sort((a, b) => b[1].count - a[1].count)
-    .slice(0, 10);
+  return inquirer.prompt(promptQuestions);
+}
+
+/**
+ * Walk files and let the user toggle individual statements
+ * Each statement is shown with surrounding context lines, its side-effect
+ * warning and git author (when available).
+ * @param {object} results - Scan results from scanDirectory
+ * @param {string} targetDir - Scanned directory
+ * @param {object} options - Command options
+ * @returns {Promise<object>} { methods, targets, sideEffectsHandling, preview }
+ */
+async function promptStatementSelection(results, targetDir, options) {
+  const targets = new Set();
+  const methods = new Set();
+  const useBlame = await isGitRepository(targetDir);
+  const files = Object.keys(results.byFile).sort();
   
-  if (sortedFiles.length > 0) {
-    console.log(chalk.white.bold('\n📁 Top Files:\n'));
-    sortedFiles.forEach(([file, data], index) => {
-      const relPath = path.relative(process.cwd(), file);
-      console.log(chalk.gray(`  ${(index + 1).toString().padStart(2)}. ${relPath} (${data.count})`));
+  for (let index = 0; index < files.length; index++) {
+    const file = files[index];
+    const relPath = path.relative(targetDir, file);
+    const overrides = getFileOverrides(options.config, file);
+    const statements = results.byFile[file].statements
+      .filter(stmt => !(overrides && overrides.allow.includes(stmt.method)));
+    
+    if (statements.length === 0) continue;
+    
+    const lines = fs.readFileSync(file, 'utf8').split('\n');
+    const blame = useBlame ? await getFileBlame(file, targetDir) : null;
+    const keptMethods = options.config.allow || DEFAULT_KEPT_METHODS;
+    
+    console.log(chalk.cyan.bold(`\n📄 ${relPath} (${index + 1}/${files.length})\n`));
+    
+    statements.forEach(stmt => {
+      // Lines not committed yet have no author
+      const author = blame && blame.get(stmt.line);
+      const details = [
+        stmt.method,
+        author && author.committed ? `by ${author.email}` : null,
+        stmt.hasSideEffects ? chalk.red('⚠️ side effects') : null
+      ].filter(Boolean).join(' · ');
+      
+      console.log(chalk.white.bold(`  ${stmt.line}:${stmt.column + 1}`) + chalk.gray(` ${details}`));
+      getContextLines(lines, stmt.line, stmt.endLine).forEach(({ number, text, isStatement }) => {
+        const gutter = `${number.toString().padStart(6)} │ `;
+        console.log(isStatement ? chalk.yellow(gutter + text) : chalk.gray(gutter + text));
+      });
+      console.log('');
+    });
+    
+    const { selected, next } = await inquirer.prompt([
+      {
+        type: 'checkbox',
+        name: 'selected',
+        message: `Statements to remove in ${relPath}:`,
+        pageSize: 15,
+        choices: statements.map(stmt => ({
+          name: `${`${stmt.line}:${stmt.column + 1}`.padEnd(8)} ${stmt.code}${stmt.hasSideEffects ? chalk.red(' (⚠️ side effects)') : ''}`,
+          value: getStatementKey(file, stmt.line, stmt.column),
+          checked: !keptMethods.includes(stmt.method) && !stmt.hasSideEffects
+        }))
+      },
+      {
+        type: 'list',
+        name: 'next',
+        message: 'Continue?',
+        when: () => index < files.length - 1,
+        choices: [
+          { name: 'Next file', value: 'next' },
+          { name: 'Done selecting (skip remaining files)', value: 'done' }
+        ],
+        default: 'next'
+      }
+    ]);
+    
+    selected.forEach(key => {
+      targets.add(key);
+      const stmt = statements.find(s => getStatementKey(file, s.line, s.column) === key);
+      methods.add(stmt.method);
     });
     
-    if (Object.keys(results.byFile).length > 10) {
-      console.log(chalk.gray(`  ... and ${Object.keys(results.byFile).length - 10} more files`));
+    if (next === 'done') break;
+  }
+  
+  return {
+    methods: Array.from(methods),
+    targets,
+    // Picked statements are removed even with side effects - the warning was shown
+    sideEffectsHandling: 'remove',
+    preview: true
+  };
+}
+
+/**
+ * Get a statement's lines plus surrounding context
+ * @param {string[]} lines - File lines
+ * @param {number} startLine - First statement line (1-based)
+ * @param {number} endLine - Last statement line (1-based)
+ * @param {number} contextSize - Lines to show before and after
+ * @returns {object[]} [{ number, text, isStatement }]
+ */
+function getContextLines(lines, startLine, endLine, contextSize = 2) {
+  const first = Math.max(1, startLine - contextSize);
+  const last = Math.min(lines.length, endLine + contextSize);
+  const context = [];
+  
+  for (let number = first; number <= last; number++) {
+    context.push({
+      number,
+      text: lines[number - 1].replace(/\r$/, ''),
+      isStatement: number >= startLine && number <= endLine
+    });
+  }
+  
+  return context;
+}
+
+/**
+ * Get the methods selected for removal by default
+ * Everything except the kept methods (error and warn unless the config sets `allow`)
+ * @param {string[]} methods - Available console methods
+ * @param {string[]|null} keptMethods - Methods to keep (optional)
+ * @returns {string[]} Methods to remove by default
+ */
+function getDefaultMethods(methods, keptMethods = null) {
+  const kept = keptMethods || DEFAULT_KEPT_METHODS;
+  return methods.filter(method => !kept.includes(method));
+}
+
+/**
+ * Merge the project config into command options
+ * CLI flags win over config values; config values win over built-in defaults.
+ * Exits the process if the config cannot be loaded.
+ * @param {string} directory - Target directory (config search starts here)
+ * @param {object} options - Parsed command options
+ * @returns {object} Options with config values applied and `config` attached
+ */
+function applyConfig(directory, options) {
+  let config;
+  try {
+    config = loadConfig(path.resolve(process.cwd(), directory), options.config);
+  } catch (error) {
+    console.error(chalk.red(`❌ ${error.message}`));
+    process.exit(EXIT_CODES.FAILURE);
+  }
+  
+  if (config.filePath && process.env.DEBUG) {
+    console.error(`Using config: ${config.filePath}`);
+  }
+  
+  return {
+    ...options,
+    config,
+    include: config.include,
+    exclude: options.exclude || config.exclude || DEFAULT_EXCLUDE,
+    gitMine: options.gitMine || config.git.mine,
+    gitUncommitted: options.gitUncommitted || config.git.uncommitted,
+    gitStaged: options.gitStaged || config.git.staged,
+    gitSince: options.gitSince || config.git.since,
+    gitAuthor: options.gitAuthor || config.git.author,
+    gitBefore: options.gitBefore || config.git.before,
+    gitAfter: options.gitAfter || config.git.after,
+    gitTeams: options.gitTeams || config.git.teams,
+    sideEffects: options.sideEffects || config.sideEffects,
+    cleanup: options.cleanup || config.cleanup,
+    pairs: options.pairs || config.pairs,
+    concurrency: options.concurrency || config.concurrency,
+    cache: options.cache !== false && config.cache,
+    cacheDir: config.cacheDir,
+    backup: options.backup !== false && config.backup,
+    backupDir: config.backupDir,
+    format: options.format || config.format,
+    loggerTargets: resolveTargets(config.targets)
+  };
+}
+
+/**
+ * Parse `method=callee` CLI entries into a map
+ * @param {string[]} entries - Entries such as ['log=logger.debug']
+ * @returns {object} Map of console method to logger callee
+ */
+function parseMappings(entries) {
+  const mappings = {};
+  
+  for (const entry of entries) {
+    const [method, callee] = entry.split('=').map(part => part && part.trim());
+    if (!method || !callee) {
+      throw new Error(`Invalid mapping "${entry}" (expected method=callee, e.g. log=logger.debug)`);
     }
+    mappings[method] = callee;
   }
+  
+  return mappings;
 }
 
+/**
+ * Parse the --concurrency value
+ * @param {string} value - Raw option value
+ * @returns {number} Number of worker threads (1 scans on the main thread)
+ */
+function parseConcurrency(value) {
+  const concurrency = Number(value);
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new InvalidArgumentError('Expected a positive integer.');
+  }
+  return concurrency;
+}
+
+/**
+ * Build the scanDirectory options shared by every command
+ * @param {object} options - Command options (after applyConfig)
+ * @param {object} spinner - ora spinner showing progress (optional)
+ * @returns {object} Scan options
+ */
+function getScanOptions(options, spinner = null) {
+  return {
+    include: options.include,
+    loggerTargets: options.loggerTargets,
+    concurrency: options.concurrency,
+    cache: options.cache,
+    cacheDir: options.cacheDir,
+    config: options.config,
+    blame: options.blame || false,
+    onProgress: spinner
+      ? (done, total) => {
+          spinner.text = `Scanning files... (${done}/${total})`;
+        }
+      : null
+  };
+}
+
+/**
+ * Get the git filter options of a command (after applyConfig)
+ * @param {object} options - Command options
+ * @returns {object} { gitMine, gitUncommitted, gitStaged, gitSince, gitAuthor, gitBefore, gitAfter, gitTeams }
+ */
+function getGitOptions(options) {
+  return {
+    gitMine: options.gitMine || false,
+    gitUncommitted: options.gitUncommitted || false,
+    gitStaged: options.gitStaged || false,
+    gitSince: options.gitSince || null,
+    gitAuthor: options.gitAuthor || null,
+    gitBefore: options.gitBefore || null,
+    gitAfter: options.gitAfter || null,
+    gitTeams: options.gitTeams || null
+  };
+}
+
+/**
+ * Describe the requested git filters (e.g. "🔎 Git filtering: Only your statements + Staged changes only")
+ * @param {object} options - Command options (after applyConfig)
+ * @returns {string}
+ */
+function getGitFilterMessage(options) {
+  const filters = [];
+  if (options.gitMine) filters.push('Only your statements');
+  if (options.gitUncommitted) filters.push('Uncommitted changes only');
+  if (options.gitStaged) filters.push('Staged changes only');
+  if (options.gitSince) filters.push(`Changes since ${options.gitSince} only`);
+  if (options.gitAuthor && options.gitAuthor.length > 0) filters.push(`Committed by ${options.gitAuthor.join(', ')}`);
+  if (options.gitAfter) filters.push(`Committed after ${options.gitAfter}`);
+  if (options.gitBefore) filters.push(`Committed before ${options.gitBefore}`);
+  return `🔎 Git filtering: ${filters.join(' + ')}`;
+}
+
+/**
+ * Parse a comma-separated CLI value into a list
+ * @param {string} value - Raw option value (e.g., "log,debug")
+ * @returns {string[]} Trimmed, non-empty entries
+ */
+function parseList(value) {
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Collect a repeatable CLI option, each value possibly comma-separated
+ * @param {string} value - Raw option value
+ * @param {string[]} previous - Values collected so far
+ * @returns {string[]} All values
+ */
+function collectList(value, previous) {
+  return (previous || []).concat(parseList(value));
+}
+
+/**
+ * Display scan results in a formatted way
+ */
+function displayScanResults(results) {
+  console.log(formatResults(results, 'pretty', getReportContext()));
+}
+
+/**
+ * Context passed to reporters
+ */
+function getReportContext() {
+  return {
+    cwd: process.cwd(),
+    version: VERSION
+  };
+}
@@ -0,0 +1,344 @@
+/**
+ * Config Module
+ * Discovers and normalizes project configuration
+ *
+ * Supported sources (first match wins, searched from the target directory upward):
+ *   .logsweeprc / .logsweeprc.json  - JSON
+ *   log-sweep.config.js             - CommonJS module exporting an object
+ *   package.json                    - "logSweep" key
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { minimatch } = require('minimatch');
+const { PAIR_MODES } = require('./pairs');
+
+const CONFIG_FILES = ['.logsweeprc', '.logsweeprc.json', 'log-sweep.config.js'];
+const PACKAGE_JSON_KEY = 'logSweep';
+
+// Directories excluded when neither the CLI nor the config sets `exclude`
+const DEFAULT_EXCLUDE = ['node_modules', '.git', 'dist', 'build'];
+
+const SIDE_EFFECT_MODES = ['skip', 'remove', 'extract'];
+
+/**
+ * Load configuration for a directory
+ * @param {string} startDir - Directory to start searching from
+ * @param {string} explicitPath - Config file given on the command line (optional)
+ * @returns {object} Normalized config (see normalizeConfig)
+ */
+function loadConfig(startDir, explicitPath = null) {
+  if (explicitPath) {
+    const filePath = path.resolve(process.cwd(), explicitPath);
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Config file not found: ${filePath}`);
+    }
+    return normalizeConfig(readConfigFile(filePath), filePath);
+  }
+
+  const found = findConfig(startDir);
+  if (!found) {
+    return normalizeConfig({}, null);
+  }
+
+  return normalizeConfig(found.config, found.filePath);
+}
+
+/**
+ * Search for a config file from a directory up to the filesystem root
+ * @param {string} startDir - Directory to start searching from
+ * @returns {object|null} { filePath, config } or null if none found
+ */
+function findConfig(startDir) {
+  let currentDir = path.resolve(startDir);
+
+  while (true) {
+    for (const fileName of CONFIG_FILES) {
+      const filePath = path.join(currentDir, fileName);
+      if (fs.existsSync(filePath)) {
+        return { filePath, config: readConfigFile(filePath) };
+      }
+    }
+
+    const packagePath = path.join(currentDir, 'package.json');
+    if (fs.existsSync(packagePath)) {
+      const pkg = readJsonFile(packagePath);
+      if (pkg[PACKAGE_JSON_KEY]) {
+        return { filePath: packagePath, config: pkg[PACKAGE_JSON_KEY] };
+      }
+    }
+
+    const parentDir = path.dirname(currentDir);
+    if (parentDir === currentDir) {
+      return null;
+    }
+    currentDir = parentDir;
+  }
+}
+
+/**
+ * Read a config file (JSON, JS module or package.json)
+ */
+function readConfigFile(filePath) {
+  if (filePath.endsWith('.js')) {
+    try {
+      return require(filePath);
+    } catch (error) {
+      throw new Error(`Could not load config ${filePath}: ${error.message}`);
+    }
+  }
+
+  const data = readJsonFile(filePath);
+  if (path.basename(filePath) === 'package.json') {
+    return data[PACKAGE_JSON_KEY] || {};
+  }
+  return data;
+}
+
+/**
+ * Read and parse a JSON file
+ */
+function readJsonFile(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not parse ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Validate a raw config object and fill in defaults
+ * Relative paths and globs are resolved against the config file's directory.
+ * @param {object} raw - Raw config object
+ * @param {string|null} filePath - Where the config came from
+ * @returns {object} Normalized config
+ */
+function normalizeConfig(raw, filePath) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error(`Invalid config in ${filePath}: expected an object`);
+  }
+
+  const rootDir = filePath ? path.dirname(filePath) : process.cwd();
+  const fail = (message) => {
+    throw new Error(`Invalid config in ${filePath}: ${message}`);
+  };
+
+  const checkList = (value, key) => {
+    if (value === undefined) return undefined;
+    if (!Array.isArray(value) || !value.every(item => typeof item === 'string')) {
+      fail(`"${key}" must be an array of strings`);
+    }
+    return value;
+  };
+
+  const checkMax = (value, key) => {
+    if (value === undefined) return {};
+    if (!value || typeof value !== 'object' || Array.isArray(value) ||
+        !Object.values(value).every(n => Number.isInteger(n) && n >= 0)) {
+      fail(`"${key}" must map method names to non-negative integers`);
+    }
+    return value;
+  };
+
+  const include = checkList(raw.include, 'include');
+  const exclude = checkList(raw.exclude, 'exclude');
+
+  if (raw.sideEffects !== undefined && !SIDE_EFFECT_MODES.includes(raw.sideEffects)) {
+    fail(`"sideEffects" must be one of: ${SIDE_EFFECT_MODES.join(', ')}`);
+  }
+
+  if (raw.backup !== undefined && typeof raw.backup !== 'boolean') {
+    fail('"backup" must be a boolean');
+  }
+
+  if (raw.pairs !== undefined && !PAIR_MODES.includes(raw.pairs)) {
+    fail(`"pairs" must be one of: ${PAIR_MODES.join(', ')}`);
+  }
+
+  if (raw.concurrency !== undefined && (!Number.isInteger(raw.concurrency) || raw.concurrency < 1)) {
+    fail('"concurrency" must be a positive integer');
+  }
+
+  if (raw.cache !== undefined && typeof raw.cache !== 'boolean') {
+    fail('"cache" must be a boolean');
+  }
+
+  if (raw.cacheDir !== undefined && typeof raw.cacheDir !== 'string') {
+    fail('"cacheDir" must be a string');
+  }
+
+  if (raw.cleanup !== undefined && typeof raw.cleanup !== 'boolean') {
+    fail('"cleanup" must be a boolean');
+  }
+
+  if (raw.guard !== undefined && typeof raw.guard !== 'string') {
+    fail('"guard" must be a string (e.g. "__DEV__")');
+  }
+
+  if (raw.backupDir !== undefined && typeof raw.backupDir !== 'string') {
+    fail('"backupDir" must be a string');
+  }
+
+  if (raw.format !== undefined && (typeof raw.format !== 'string' || !raw.format)) {
+    fail('"format" must be a report format name or the path to a reporter module');
+  }
+
+  const git = raw.git || {};
+  if (typeof git !== 'object' || Array.isArray(git)) {
+    fail('"git" must be an object');
+  }
+  if (git.since !== undefined && (typeof git.since !== 'string' || !git.since)) {
+    fail('"git.since" must be a branch, tag or commit (e.g. "main")');
+  }
+  const gitAuthor = typeof git.author === 'string' ? [git.author] : checkList(git.author, 'git.author');
+  ['before', 'after'].forEach(key => {
+    if (git[key] !== undefined && (typeof git[key] !== 'string' || !git[key])) {
+      fail(`"git.${key}" must be a date (e.g. "2024-01-31"), a relative date (e.g. "6 months ago") or a tag`);
+    }
+  });
+  if (git.teams !== undefined && (!git.teams || (typeof git.teams !== 'string' &&
+      (typeof git.teams !== 'object' || Array.isArray(git.teams))))) {
+    fail('"git.teams" must map team names to lists of authors, or be the path to a teams file');
+  }
+
+  const migrate = raw.migrate || null;
+  if (migrate) {
+    if (typeof migrate !== 'object' || !migrate.callees || typeof migrate.callees !== 'object' ||
+        !Object.values(migrate.callees).every(callee => typeof callee === 'string')) {
+      fail('"migrate.callees" must map console methods to logger callees (e.g. { "log": "logger.debug" })');
+    }
+    if (migrate.import !== undefined && (!migrate.import || typeof migrate.import.source !== 'string')) {
+      fail('"migrate.import.source" must be a string');
+    }
+  }
+
+  const targets = raw.targets || [];
+  if (!Array.isArray(targets)) {
+    fail('"targets" must be an array');
+  }
+  targets.forEach((target, index) => {
+    const kinds = ['object', 'callee', 'factory'].filter(key => target && typeof target[key] === 'string');
+    if (kinds.length !== 1) {
+      fail(`"targets[${index}]" must set exactly one of "object", "callee" or "factory"`);
+    }
+    checkList(target.methods, `targets[${index}].methods`);
+    if (target.name !== undefined && typeof target.name !== 'string') {
+      fail(`"targets[${index}].name" must be a string`);
+    }
+    if (target.object === 'console' && !target.methods) {
+      fail(`"targets[${index}]" must list "methods" for the console object`);
+    }
+  });
+
+  const overrides = raw.overrides || [];
+  if (!Array.isArray(overrides)) {
+    fail('"overrides" must be an array');
+  }
+
+  return {
+    filePath,
+    rootDir,
+    include: include
+      ? include.map(pattern => pattern.startsWith('**') ? pattern : path.resolve(rootDir, pattern))
+      : [],
+    exclude: exclude ? exclude.map(pattern => resolvePattern(pattern, rootDir)) : null,
+    allow: checkList(raw.allow, 'allow') || null,
+    forbid: checkList(raw.forbid, 'forbid') || [],
+    max: checkMax(raw.max, 'max'),
+    sideEffects: raw.sideEffects || null,
+    guard: raw.guard || null,
+    cleanup: raw.cleanup === true,
+    pairs: raw.pairs || null,
+    concurrency: raw.concurrency || null,
+    cache: raw.cache !== false,
+    cacheDir: raw.cacheDir ? path.resolve(rootDir, raw.cacheDir) : null,
+    backup: raw.backup !== false,
+    backupDir: raw.backupDir ? path.resolve(rootDir, raw.backupDir) : null,
+    // Reporter module paths resolve against the config file, like other paths
+    format: raw.format && raw.format.startsWith('.') ? path.resolve(rootDir, raw.format) : raw.format || null,
+    migrate: migrate
+      ? {
+          callees: migrate.callees,
+          import: migrate.import
+            ? { source: migrate.import.source, name: migrate.import.name || null, named: Boolean(migrate.import.named) }
+            : null
+        }
+      : null,
+    targets: targets.map(target => ({
+      object: target.object || null,
+      methods: target.methods || null,
+      callee: target.callee || null,
+      factory: target.factory || null,
+      name: target.name || null
+    })),
+    git: {
+      mine: Boolean(git.mine),
+      uncommitted: Boolean(git.uncommitted),
+      staged: Boolean(git.staged),
+      since: git.since || null,
+      author: gitAuthor || null,
+      before: git.before || null,
+      after: git.after || null,
+      teams: typeof git.teams === 'string' ? path.resolve(rootDir, git.teams) : git.teams || null
+    },
+    overrides: overrides.map((override, index) => {
+      const files = checkList(override.files, `overrides[${index}].files`);
+      if (!files || files.length === 0) {
+        fail(`"overrides[${index}].files" must list at least one glob`);
+      }
+      return {
+        files: files.map(pattern => resolvePattern(pattern, rootDir)),
+        allow: checkList(override.allow, `overrides[${index}].allow`) || [],
+        forbid: checkList(override.forbid, `overrides[${index}].forbid`) || []
+      };
+    })
+  };
+}
+
+/**
+ * Resolve a relative glob against the config directory
+ * Bare names (e.g. "test") and patterns starting with "**" are left as-is so they match anywhere.
+ */
+function resolvePattern(pattern, rootDir) {
+  if (!pattern.includes('/') || pattern.startsWith('**') || path.isAbsolute(pattern)) {
+    return pattern;
+  }
+  return path.join(rootDir, pattern);
+}
+
+/**
+ * Get the per-file allow/forbid lists from matching overrides
+ * Later overrides win over earlier ones for the same method.
+ * @param {object} config - Normalized config
+ * @param {string} filePath - Absolute file path
+ * @returns {object|null} { allow: string[], forbid: string[] } or null if no override matches
+ */
+function getFileOverrides(config, filePath) {
+  let matched = null;
+
+  for (const override of config.overrides) {
+    const isMatch = override.files.some(pattern =>
+      minimatch(filePath, pattern, { dot: true, matchBase: !pattern.includes('/') })
+    );
+    if (!isMatch) continue;
+
+    matched = matched || { allow: [], forbid: [] };
+    override.allow.forEach(method => {
+      matched.forbid = matched.forbid.filter(m => m !== method);
+      if (!matched.allow.includes(method)) matched.allow.push(method);
+    });
+    override.forbid.forEach(method => {
+      matched.allow = matched.allow.filter(m => m !== method);
+      if (!matched.forbid.includes(method)) matched.forbid.push(method);
+    });
+  }
+
+  return matched;
+}
+
+module.exports = {
+  DEFAULT_EXCLUDE,
+  loadConfig,
+  findConfig,
+  getFileOverrides
+};
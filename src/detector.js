@@ -0,0 +1,208 @@
+/**
+ * Detector Module
+ * Single detection engine shared by the scanner and the remover, so that what
+ * `scan` reports is exactly what `remove` / `migrate` act on
+ */
+
+const { parse } = require('@babel/parser');
+const traverse = require('@babel/traverse').default;
+const {
+  isLineByCurrentUser,
+  isLineByAuthors,
+  isLineInDateRange,
+  isLineUncommitted
+} = require('./git');
+const { createSuppressionMatcher } = require('./suppressions');
+const { resolveTargets, createCallMatcher } = require('./targets');
+const { analyzeSideEffects } = require('./effects');
+const { linkPairedCalls } = require('./pairs');
+
+// Bump when detection results change for the same source (new patterns, side-effect
+// rules, pairing), so scan caches built by older detectors are dropped
+const DETECTOR_VERSION = 2;
+
+// Babel parser options (handles modern JS, JSX and TypeScript)
+const PARSER_OPTIONS = {
+  sourceType: 'unambiguous', // Auto-detect module vs script
+  plugins: [
+    'jsx',
+    'typescript',
+    'decorators-legacy',
+    'classProperties',
+    'dynamicImport',
+    'objectRestSpread',
+    'asyncGenerators',
+    'optionalChaining',
+    'nullishCoalescingOperator'
+  ],
+  // Recoverable errors (e.g. duplicate declarations) don't stop detection;
+  // the syntax tree is still complete, so edits can be spliced safely
+  errorRecovery: true
+};
+
+/**
+ * Parse source code
+ * @param {string} sourceCode - Source code
+ * @returns {object} Babel AST
+ */
+function parseSource(sourceCode) {
+  return parse(sourceCode, PARSER_OPTIONS);
+}
+
+/**
+ * Find every call to a logger target in a file
+ * Statements nested inside another matched call (console.log(console.log(x)))
+ * are reported separately, outer first.
+ * @param {string} sourceCode - Source code
+ * @param {object} options - { loggerTargets } resolved targets (default: console methods)
+ * @returns {object} { ast, matches: [{ statement, path, suppressed }], effectContext }
+ *   `statement` is the model shared by every command:
+ *   { method, line, column (0-based), endLine, endColumn, code, sideEffects, hasSideEffects, pairGroup }
+ *   where `sideEffects` is 'pure', 'possible' or 'impure' (see effects.js) and calls sharing
+ *   a `pairGroup` (time/timeEnd, group/groupEnd, ...) belong together (see pairs.js).
+ *   `effectContext` is what the side-effect analysis knows about the file.
+ */
+function detectStatements(sourceCode, options = {}) {
+  const ast = parseSource(sourceCode);
+  const matchCall = createCallMatcher(options.loggerTargets || resolveTargets());
+
+  // Inline log-sweep-disable directives
+  const suppressions = createSuppressionMatcher(ast.comments);
+  const matches = [];
+
+  // Properties with a getter in this file (reading them runs code)
+  const effectContext = { getterNames: new Set(), loggerCalls: new Set() };
+
+  traverse(ast, {
+    'ObjectMethod|ClassMethod|ClassPrivateMethod'(path) {
+      const { node } = path;
+      if (node.kind === 'get' && !node.computed && node.key.type === 'Identifier') {
+        effectContext.getterNames.add(node.key.name);
+      }
+    },
+
+    // console.log() and console?.log() / console.log?.()
+    'CallExpression|OptionalCallExpression'(path) {
+      const { node } = path;
+      const method = matchCall(node, path.scope);
+
+      if (!method) {
+        return;
+      }
+
+      const loc = node.loc;
+      matches.push({
+        statement: {
+          method,
+          line: loc.start.line,
+          column: loc.start.column,
+          endLine: loc.end.line,
+          endColumn: loc.end.column,
+          code: getCodeSnippet(sourceCode, loc)
+        },
+        path,
+        suppressed: suppressions.isSuppressed(node, method)
+      });
+    }
+  });
+
+  // Getters declared after a statement still count, so classify once everything is known
+  matches.forEach(({ path }) => effectContext.loggerCalls.add(path.node));
+  matches.forEach(({ statement, path }) => {
+    statement.sideEffects = analyzeSideEffects(path.node.arguments, effectContext);
+    statement.hasSideEffects = statement.sideEffects !== 'pure';
+  });
+
+  linkPairedCalls(matches, sourceCode);
+
+  return { ast, matches, effectContext };
+}
+
+/**
+ * Check a statement's line against the git filters (author, date, uncommitted, staged or branch changes)
+ * The file's git data must be loaded first (see prepareGitContext).
+ * @param {string} filePath - Absolute file path
+ * @param {number} lineNumber - Line of the statement
+ * @param {object} gitContext - Git filtering context (optional)
+ * @returns {boolean} True if the statement passes every enabled filter
+ */
+function matchesGitFilters(filePath, lineNumber, gitContext) {
+  if (!gitContext || !filePath) {
+    return true;
+  }
+
+  // Only statements authored by the current user
+  if (gitContext.filterMine &&
+      !isLineByCurrentUser(filePath, lineNumber, gitContext.currentUser.email, gitContext.blameCache)) {
+    return false;
+  }
+
+  // Only statements committed by the given authors
+  if (gitContext.authors && !isLineByAuthors(filePath, lineNumber, gitContext.authors, gitContext.blameCache)) {
+    return false;
+  }
+
+  // Only statements committed before / after the given dates
+  if (gitContext.dateRange && !isLineInDateRange(filePath, lineNumber, gitContext.dateRange, gitContext.blameCache)) {
+    return false;
+  }
+
+  // Only statements in uncommitted changes (line-level)
+  if (gitContext.filterUncommitted &&
+      !isLineUncommitted(lineNumber, getLoadedLines(filePath, gitContext.uncommittedLinesCache))) {
+    return false;
+  }
+
+  // Only statements staged for commit
+  if (gitContext.filterStaged &&
+      !isLineUncommitted(lineNumber, getLoadedLines(filePath, gitContext.stagedLinesCache))) {
+    return false;
+  }
+
+  // Only statements introduced since the branch forked from the base ref
+  if (gitContext.sinceBase &&
+      !isLineUncommitted(lineNumber, getLoadedLines(filePath, gitContext.sinceLinesCache))) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Get the changed lines of a file from a git context cache
+ */
+function getLoadedLines(filePath, cache) {
+  if (!cache.has(filePath)) {
+    throw new Error(`Git changes of ${filePath} were not loaded (see prepareGitContext)`);
+  }
+  return cache.get(filePath);
+}
+
+/**
+ * Get code snippet for a location
+ */
+function getCodeSnippet(content, loc) {
+  const lines = content.split('\n');
+
+  if (loc.start.line === loc.end.line) {
+    // Single line
+    const line = lines[loc.start.line - 1];
+    return line.substring(loc.start.column, loc.end.column).trim();
+  } else {
+    // Multi-line - show first and last line
+    const firstLine = lines[loc.start.line - 1].substring(loc.start.column).trim();
+    const lastLine = lines[loc.end.line - 1].substring(0, loc.end.column).trim();
+
+    if (loc.end.line - loc.start.line === 1) {
+      return `${firstLine} ${lastLine}`;
+    } else {
+      return `${firstLine} ... ${lastLine}`;
+    }
+  }
+}
+
+module.exports = {
+  parseSource,
+  detectStatements,
+  matchesGitFilters
+};
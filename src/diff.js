@@ -0,0 +1,98 @@
+/**
+ * Diff Module
+ * Unified diffs of pending changes, for previews and `git apply`-able patches
+ */
+
+const path = require('path');
+const chalk = require('chalk');
+const { structuredPatch, applyPatch } = require('diff');
+
+/**
+ * Create a git-style unified diff for one file
+ * @param {string} filePath - Absolute file path
+ * @param {string} original - Current file contents
+ * @param {string} modified - Contents after the change
+ * @param {string} baseDir - Directory patch paths are relative to (where `git apply` will run)
+ * @returns {string} Patch text (empty if nothing changed)
+ */
+function createFilePatch(filePath, original, modified, baseDir = process.cwd()) {
+  if (original === modified) {
+    return '';
+  }
+
+  const relPath = path.relative(baseDir, filePath).split(path.sep).join('/');
+  const patch = structuredPatch(`a/${relPath}`, `b/${relPath}`, original, modified, '', '', { context: 3 });
+
+  const lines = [
+    `diff --git a/${relPath} b/${relPath}`,
+    `--- a/${relPath}`,
+    `+++ b/${relPath}`
+  ];
+
+  // An emptied file gets a "No newline" marker even when the original ended with one,
+  // which `git apply` rejects
+  const isSpuriousMarker = (line) => modified === '' && original.endsWith('\n') && line.startsWith('\\');
+
+  patch.hunks.forEach(hunk => {
+    lines.push(`@@ -${formatRange(hunk.oldStart, hunk.oldLines)} +${formatRange(hunk.newStart, hunk.newLines)} @@`);
+    lines.push(...hunk.lines.filter(line => !isSpuriousMarker(line)));
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Carry a change over to another version of the same file
+ * Used to repeat a change made to the staged copy of a file on the working tree copy,
+ * which may have further edits of its own.
+ * @param {string} target - Contents to apply the change to
+ * @param {string} original - Contents the change was made to
+ * @param {string} modified - Contents after the change
+ * @returns {string|null} Changed target, or null if the change doesn't apply cleanly
+ */
+function applyChange(target, original, modified) {
+  if (target === original) {
+    return modified;
+  }
+
+  const patch = structuredPatch('a', 'b', original, modified, '', '', { context: 3 });
+  const result = applyPatch(target, patch);
+  return result === false ? null : result;
+}
+
+/**
+ * Format a hunk range the way diff/git do (`start` when the count is 1)
+ */
+function formatRange(start, count) {
+  if (count === 0) {
+    return `${start - 1 < 0 ? 0 : start - 1},0`;
+  }
+  return count === 1 ? `${start}` : `${start},${count}`;
+}
+
+/**
+ * Colorize a patch for terminal output
+ * @param {string} patch - Patch text
+ * @returns {string} Colored patch
+ */
+function colorizePatch(patch) {
+  return patch
+    .split('\n')
+    .map(line => {
+      if (line.startsWith('diff --git') || line.startsWith('--- ') || line.startsWith('+++ ')) {
+        return chalk.bold(line);
+      }
+      if (line.startsWith('@@')) return chalk.cyan(line);
+      if (line.startsWith('+')) return chalk.green(line);
+      if (line.startsWith('-')) return chalk.red(line);
+      if (line.startsWith('\\')) return chalk.gray(line);
+      return line;
+    })
+    .join('\n');
+}
+
+module.exports = {
+  createFilePatch,
+  applyChange,
+  colorizePatch
+};
@@ -0,0 +1,140 @@
+/**
+ * Edits Module
+ * Text edits spliced into the original source, so every byte outside the
+ * changed ranges (quotes, spacing, blank lines, comments) is preserved
+ */
+
+/**
+ * Apply text edits to source code
+ * Edits must not overlap; they are applied from the end of the file backwards
+ * so earlier offsets stay valid.
+ * @param {string} sourceCode - Original source
+ * @param {object[]} edits - [{ start, end, text }]
+ * @returns {string} Edited source
+ */
+function applyEdits(sourceCode, edits) {
+  const sorted = [...edits].sort((a, b) => b.start - a.start || b.end - a.end);
+  let output = sourceCode;
+  let lastStart = Infinity;
+
+  for (const edit of sorted) {
+    if (edit.end > lastStart) {
+      throw new Error(`Overlapping edits at offset ${edit.start}`);
+    }
+    output = output.slice(0, edit.start) + edit.text + output.slice(edit.end);
+    lastStart = edit.start;
+  }
+
+  return output;
+}
+
+/**
+ * Get the line containing an offset: its start/end offsets and the text around a range
+ */
+function getLineContext(sourceCode, start, end) {
+  const lineStart = sourceCode.lastIndexOf('\n', start - 1) + 1;
+  const newlineIndex = sourceCode.indexOf('\n', end);
+  const lineEnd = newlineIndex === -1 ? sourceCode.length : newlineIndex;
+
+  return {
+    lineStart,
+    lineEnd,
+    hasNewline: newlineIndex !== -1,
+    before: sourceCode.slice(lineStart, start),
+    after: sourceCode.slice(end, lineEnd)
+  };
+}
+
+/**
+ * Get the first character after an offset that isn't whitespace or a comment
+ */
+function getNextCodeChar(sourceCode, offset) {
+  const pattern = /\s+|\/\/[^\n]*|\/\*[\s\S]*?\*\//y;
+  pattern.lastIndex = offset;
+  while (pattern.lastIndex < sourceCode.length && pattern.exec(sourceCode)) {
+    offset = pattern.lastIndex;
+  }
+  return sourceCode.charAt(offset);
+}
+
+/**
+ * Get where a statement's code ends
+ * Babel ends a statement at a `;` written at the start of a later line
+ * (`console.log(x)\n;(async () => {})()`). That `;` guards the next line
+ * against ASI, so it is not part of what gets removed.
+ */
+function getStatementEnd(sourceCode, node) {
+  if (sourceCode.charAt(node.end - 1) !== ';') {
+    return node.end;
+  }
+
+  const code = sourceCode.slice(node.start, node.end - 1);
+  const trimmed = code.trimEnd();
+  return code.slice(trimmed.length).includes('\n') ? node.start + trimmed.length : node.end;
+}
+
+/**
+ * Check whether removing code between two offsets joins the code around it
+ * Without a `;` left behind, `foo()` followed by `(bar)()` or `[1, 2].forEach(f)`
+ * becomes a call or member access on `foo()`.
+ */
+function needsSemicolon(sourceCode, start, end) {
+  if (!/[([`]/.test(getNextCodeChar(sourceCode, end))) {
+    return false;
+  }
+
+  const before = sourceCode.slice(0, start).trimEnd();
+  return before !== '' && !/[;{]$/.test(before);
+}
+
+/**
+ * Build the edit that deletes an expression statement
+ * A statement alone on its line(s) is removed with its indentation and line break
+ * (and a trailing `//` comment). Statements sharing a line only lose their own text.
+ * Statements in single-statement positions (`if (x) console.log()`) become `{}`,
+ * and a `;` is left where the next line would otherwise continue the previous one.
+ * @param {string} sourceCode - Original source
+ * @param {object} statementPath - Babel path of the ExpressionStatement
+ * @returns {object} Edit { start, end, text }
+ */
+function getStatementRemovalEdit(sourceCode, statementPath) {
+  const { node } = statementPath;
+
+  if (!statementPath.listKey) {
+    return { start: node.start, end: node.end, text: '{}' };
+  }
+
+  const end = getStatementEnd(sourceCode, node);
+  if (needsSemicolon(sourceCode, node.start, end)) {
+    return { start: node.start, end, text: ';' };
+  }
+
+  const line = getLineContext(sourceCode, node.start, end);
+  const ownsLineStart = /^[ \t]*$/.test(line.before);
+  const trailing = line.after.match(/^[ \t]*(\/\/.*)?\r?$/);
+  const ownsLineEnd = trailing && !(trailing[1] && trailing[1].includes('log-sweep-'));
+
+  if (ownsLineStart && ownsLineEnd) {
+    return {
+      start: line.lineStart,
+      end: line.hasNewline ? line.lineEnd + 1 : line.lineEnd,
+      text: ''
+    };
+  }
+
+  if (ownsLineStart) {
+    // `console.log(x); foo();` - drop the statement and the spaces after it
+    const spaces = line.after.match(/^[ \t]*/)[0].length;
+    return { start: node.start, end: end + spaces, text: '' };
+  }
+
+  // `foo(); console.log(x);` - drop the statement and the spaces before it
+  const spaces = line.before.match(/[ \t]*$/)[0].length;
+  return { start: node.start - spaces, end, text: '' };
+}
+
+module.exports = {
+  applyEdits,
+  getLineContext,
+  getStatementRemovalEdit
+};
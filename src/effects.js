@@ -0,0 +1,280 @@
+/**
+ * Effects Module
+ * Side-effect analysis for the arguments of logging calls
+ *
+ * Arguments are classified as:
+ *   pure     - evaluating them changes nothing (literals, identifiers, known-pure calls)
+ *   possible - they call code we can't see (unknown functions, `new`, tagged templates,
+ *              spreads over iterators, properties with a getter in the same file)
+ *   impure   - they definitely change state (++/--, assignments, await, yield, delete,
+ *              mutating methods such as push or splice)
+ */
+
+const { getPropertyName } = require('./aliases');
+
+const LEVELS = ['pure', 'possible', 'impure'];
+
+// Global functions and static methods that only compute a value
+const PURE_FUNCTIONS = [
+  'JSON.stringify', 'String', 'Number', 'Boolean', 'BigInt', 'Symbol',
+  'Array.isArray', 'Array.of', 'Object.keys', 'Object.values', 'Object.entries',
+  'Object.getPrototypeOf', 'Object.is', 'Date.now', 'parseInt', 'parseFloat',
+  'isNaN', 'isFinite', 'Number.isNaN', 'Number.isInteger', 'encodeURIComponent',
+  'decodeURIComponent', 'encodeURI', 'decodeURI', 'util.inspect', 'util.format'
+];
+
+// Constructors without side effects
+const PURE_CONSTRUCTORS = ['Date', 'Error', 'TypeError', 'RangeError', 'Map', 'Set', 'Array', 'Object', 'RegExp', 'URL'];
+
+// Methods that only read from their receiver (callbacks are analyzed separately)
+// Names like `get`, `replace` or `map` do anything on other objects (http.get(url),
+// location.replace(url)), so these only count on receivers known to be built-ins
+// (see hasBuiltinReceiver).
+const PURE_METHODS = [
+  'toString', 'toFixed', 'toPrecision', 'toISOString', 'toJSON', 'toLocaleString',
+  'toUpperCase', 'toLowerCase', 'trim', 'trimStart', 'trimEnd', 'padStart', 'padEnd',
+  'slice', 'substring', 'substr', 'split', 'join', 'concat', 'includes', 'indexOf',
+  'lastIndexOf', 'startsWith', 'endsWith', 'charAt', 'charCodeAt', 'at', 'repeat',
+  'replace', 'match', 'keys', 'values', 'entries', 'has', 'get', 'map', 'filter',
+  'reduce', 'find', 'findIndex', 'some', 'every', 'flat', 'flatMap', 'getTime', 'valueOf'
+];
+
+// Methods that mutate their receiver
+const MUTATING_METHODS = [
+  'push', 'pop', 'shift', 'unshift', 'splice', 'sort', 'reverse', 'fill', 'copyWithin',
+  'set', 'add', 'delete', 'clear', 'assign', 'defineProperty', 'setItem', 'removeItem'
+];
+
+// AST keys that never hold evaluated child expressions
+const SKIPPED_KEYS = ['loc', 'type', 'start', 'end', 'extra', 'leadingComments', 'trailingComments', 'innerComments'];
+
+/**
+ * Classify the side effects of call arguments
+ * @param {object[]} args - Argument nodes
+ * @param {object} context - { getterNames: Set<string>, loggerCalls: Set<object> }
+ *   property names with a getter in the file, and the logging calls found in it
+ * @returns {string} 'pure' | 'possible' | 'impure'
+ */
+function analyzeSideEffects(args, context = {}) {
+  return args.reduce((level, arg) => maxLevel(level, analyzeNode(arg, context)), 'pure');
+}
+
+/**
+ * Get every side-effecting sub-expression, in evaluation order
+ * Used to keep behavior when a logging call is dropped:
+ * `console.log('saved', save(), count++)` -> `save()`, `count++`
+ * Conditional and logical expressions are kept whole so short-circuiting is preserved.
+ * @param {object[]} args - Argument nodes
+ * @param {string} sourceCode - Source the nodes come from
+ * @param {object} context - Same as analyzeSideEffects
+ * @returns {object[]} [{ start, end, text }] ranges of the expressions and their source
+ */
+function getSideEffectExpressions(args, sourceCode, context = {}) {
+  const expressions = [];
+
+  function collect(node) {
+    if (!node || analyzeNode(node, context) === 'pure') {
+      return;
+    }
+
+    if (node.type === 'SpreadElement') {
+      if (node.argument.type === 'ArrayExpression') {
+        collect(node.argument);
+      } else {
+        // Spreading runs the iterator protocol
+        expressions.push({ start: node.start, end: node.end, text: `[...${source(node.argument)}]` });
+      }
+      return;
+    }
+
+    if (getOwnLevel(node, context) !== 'pure' ||
+        node.type === 'ConditionalExpression' ||
+        node.type === 'LogicalExpression' ||
+        (isPureCall(node) && node.arguments.some(arg => isFunction(arg) && analyzeCallback(arg, context) !== 'pure'))) {
+      expressions.push({ start: node.start, end: node.end, text: source(node) });
+      return;
+    }
+
+    getChildren(node).forEach(collect);
+  }
+
+  const source = (node) => sourceCode.slice(node.start, node.end);
+
+  args.forEach(collect);
+  return expressions;
+}
+
+/**
+ * Classify a node, including everything evaluated under it
+ */
+function analyzeNode(node, context) {
+  if (!node) {
+    return 'pure';
+  }
+
+  // Creating a function runs none of its body
+  if (isFunction(node) || node.type === 'ObjectMethod' || node.type === 'ClassExpression') {
+    return 'pure';
+  }
+
+  let level = getOwnLevel(node, context);
+  if (level === 'impure') {
+    return level;
+  }
+
+  // Callbacks given to pure methods (items.map(x => x.n++)) do run
+  if (isPureCall(node)) {
+    node.arguments.filter(isFunction).forEach(fn => {
+      level = maxLevel(level, analyzeCallback(fn, context));
+    });
+  }
+
+  for (const child of getChildren(node)) {
+    level = maxLevel(level, analyzeNode(child, context));
+    if (level === 'impure') break;
+  }
+
+  return level;
+}
+
+/**
+ * Classify a callback run by a pure method
+ * Only expression bodies are analyzed; block bodies may do anything.
+ */
+function analyzeCallback(fn, context) {
+  return fn.body.type === 'BlockStatement' ? 'possible' : analyzeNode(fn.body, context);
+}
+
+/**
+ * Classify what a node itself does, ignoring its children
+ */
+function getOwnLevel(node, context) {
+  switch (node.type) {
+    case 'UpdateExpression':
+    case 'AssignmentExpression':
+    case 'AwaitExpression':
+    case 'YieldExpression':
+      return 'impure';
+    case 'UnaryExpression':
+      return node.operator === 'delete' ? 'impure' : 'pure';
+    case 'CallExpression':
+    case 'OptionalCallExpression': {
+      // Nested logging calls only matter for their arguments
+      if (context.loggerCalls && context.loggerCalls.has(node)) return 'pure';
+      const property = getCalleeProperty(node.callee);
+      if (property && MUTATING_METHODS.includes(property)) return 'impure';
+      return isPureCall(node) ? 'pure' : 'possible';
+    }
+    case 'NewExpression':
+      return node.callee.type === 'Identifier' && PURE_CONSTRUCTORS.includes(node.callee.name) ? 'pure' : 'possible';
+    case 'TaggedTemplateExpression':
+    case 'Import':
+    case 'ImportExpression':
+      return 'possible';
+    case 'SpreadElement':
+      return node.argument.type === 'ArrayExpression' ? 'pure' : 'possible';
+    case 'MemberExpression':
+    case 'OptionalMemberExpression': {
+      const property = getPropertyName(node);
+      return property && context.getterNames && context.getterNames.has(property) ? 'possible' : 'pure';
+    }
+    default:
+      return 'pure';
+  }
+}
+
+/**
+ * Check if a call only computes a value (JSON.stringify(x), 'a,b'.split(','))
+ */
+function isPureCall(node) {
+  if (node.type !== 'CallExpression' && node.type !== 'OptionalCallExpression') {
+    return false;
+  }
+
+  const calleePath = getCalleePath(node.callee);
+  if (calleePath && (PURE_FUNCTIONS.includes(calleePath) || calleePath.startsWith('Math.'))) {
+    return true;
+  }
+
+  const property = getCalleeProperty(node.callee);
+  return Boolean(property) && PURE_METHODS.includes(property) && hasBuiltinReceiver(node.callee.object);
+}
+
+/**
+ * Check if an expression is known to be a built-in value: a string, number, array or
+ * regex literal, a pure constructor (`new Date()`) or the result of a pure call
+ * (`Object.keys(x)`, `'a,b'.split(',')`)
+ */
+function hasBuiltinReceiver(node) {
+  switch (node.type) {
+    case 'StringLiteral':
+    case 'TemplateLiteral':
+    case 'NumericLiteral':
+    case 'RegExpLiteral':
+    case 'ArrayExpression':
+      return true;
+    case 'NewExpression':
+      return node.callee.type === 'Identifier' && PURE_CONSTRUCTORS.includes(node.callee.name);
+    default:
+      return isPureCall(node);
+  }
+}
+
+/**
+ * Get the evaluated child nodes of a node, in source order
+ */
+function getChildren(node) {
+  const children = [];
+
+  for (const key of Object.keys(node)) {
+    if (SKIPPED_KEYS.includes(key)) continue;
+    // Non-computed property names and object keys are not evaluated
+    if (key === 'property' && !node.computed) continue;
+    if (key === 'key' && !node.computed) continue;
+
+    const value = node[key];
+    if (Array.isArray(value)) {
+      value.forEach(item => {
+        if (item && typeof item.type === 'string') children.push(item);
+      });
+    } else if (value && typeof value.type === 'string') {
+      children.push(value);
+    }
+  }
+
+  return children.sort((a, b) => a.start - b.start);
+}
+
+function isFunction(node) {
+  return node.type === 'ArrowFunctionExpression' || node.type === 'FunctionExpression';
+}
+
+function maxLevel(a, b) {
+  return LEVELS.indexOf(a) >= LEVELS.indexOf(b) ? a : b;
+}
+
+function getCalleeProperty(callee) {
+  return callee.type === 'MemberExpression' || callee.type === 'OptionalMemberExpression'
+    ? getPropertyName(callee)
+    : null;
+}
+
+/**
+ * Get the dotted name of a callee (`JSON.stringify`, `parseInt`)
+ */
+function getCalleePath(callee) {
+  if (callee.type === 'Identifier') {
+    return callee.name;
+  }
+  if ((callee.type === 'MemberExpression' || callee.type === 'OptionalMemberExpression') &&
+      callee.object.type === 'Identifier') {
+    const property = getPropertyName(callee);
+    return property ? `${callee.object.name}.${property}` : null;
+  }
+  return null;
+}
+
+module.exports = {
+  analyzeSideEffects,
+  getSideEffectExpressions
+};
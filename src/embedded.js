@@ -0,0 +1,190 @@
+/**
+ * Embedded Module
+ * Scripts embedded in Vue, Svelte, Astro and HTML files
+ *
+ * Each script block is handed to the scanner and remover as a masked copy of the
+ * whole file: everything outside the block is blanked out, line breaks excepted,
+ * so lines, columns and offsets are those of the original file. Results are
+ * spliced back block by block, leaving templates and styles untouched.
+ */
+
+const path = require('path');
+
+const EMBEDDED_EXTENSIONS = ['vue', 'svelte', 'astro', 'html', 'htm'];
+
+// Opening tag attributes may contain quoted `>` characters
+const SCRIPT_TAG_REGEX = /<script\b((?:[^>"']|"[^"]*"|'[^']*')*)>([\s\S]*?)<\/script\s*>/gi;
+const ATTRIBUTE_REGEX = /([^\s=/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+const HTML_COMMENT_REGEX = /<!--[\s\S]*?-->/g;
+
+// Astro component script: `---` fences at the very top of the file
+const FRONTMATTER_OPEN_REGEX = /^\uFEFF?\s*---[ \t]*\r?\n/;
+const FRONTMATTER_CLOSE_REGEX = /^---[ \t]*\r?$/m;
+
+// <script type="..."> values that hold JavaScript (no type at all also counts)
+const SCRIPT_TYPES = ['text/javascript', 'application/javascript', 'module', 'text/babel', 'text/typescript', 'text/jsx'];
+
+// <script lang="..."> values the parser understands (Vue, Svelte)
+const SCRIPT_LANGS = ['js', 'javascript', 'ts', 'typescript', 'jsx', 'tsx'];
+
+// Babel treats form feeds as whitespace, but they don't count as indentation,
+// so a statement sharing a line with a <script> tag never takes the tag with it
+const MASK_CHAR = '\f';
+const MASK_REGEX = /[^\n\r\u2028\u2029]/g;
+
+/**
+ * Check whether a file holds its scripts in blocks (Vue, Svelte, Astro, HTML)
+ * @param {string} filePath - File path
+ * @returns {boolean}
+ */
+function isEmbeddedFile(filePath) {
+  if (!filePath) {
+    return false;
+  }
+  return EMBEDDED_EXTENSIONS.includes(path.extname(filePath).slice(1).toLowerCase());
+}
+
+/**
+ * Find the script blocks of a file
+ * Skips external (`src`) scripts, non-JavaScript types (JSON, templates) and
+ * languages, and scripts inside HTML comments.
+ * @param {string} content - File contents
+ * @param {string} filePath - File path (Astro frontmatter is only read from .astro files)
+ * @returns {object[]} [{ start, end }] offsets of each script's code, in file order
+ */
+function getScriptBlocks(content, filePath) {
+  const blocks = [];
+  const comments = [];
+
+  let match;
+  HTML_COMMENT_REGEX.lastIndex = 0;
+  while ((match = HTML_COMMENT_REGEX.exec(content)) !== null) {
+    comments.push({ start: match.index, end: match.index + match[0].length });
+  }
+
+  if (path.extname(filePath).toLowerCase() === '.astro') {
+    const open = content.match(FRONTMATTER_OPEN_REGEX);
+    const close = open ? FRONTMATTER_CLOSE_REGEX.exec(content.slice(open[0].length)) : null;
+    if (close) {
+      const start = open[0].length;
+      blocks.push({ start, end: start + close.index });
+    }
+  }
+
+  SCRIPT_TAG_REGEX.lastIndex = 0;
+  while ((match = SCRIPT_TAG_REGEX.exec(content)) !== null) {
+    const tagStart = match.index;
+    if (comments.some(comment => tagStart >= comment.start && tagStart < comment.end)) {
+      continue;
+    }
+    if (blocks.some(block => tagStart >= block.start && tagStart < block.end)) {
+      continue;
+    }
+    if (!isJavaScriptTag(parseAttributes(match[1]))) {
+      continue;
+    }
+
+    const start = tagStart + match[0].indexOf('>') + 1;
+    blocks.push({ start, end: start + match[2].length });
+  }
+
+  return blocks.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Get the sources to parse for a file: the file itself, or one masked copy per script block
+ * @param {string} content - File contents
+ * @param {string} filePath - File path
+ * @returns {string[]} Sources with the same lines and offsets as `content`
+ */
+function getScriptSources(content, filePath) {
+  if (!isEmbeddedFile(filePath)) {
+    return [content];
+  }
+  return getScriptBlocks(content, filePath).map(block => maskSource(content, block));
+}
+
+/**
+ * Transform each script block of an embedded file and splice the results back
+ * @param {string} content - File contents
+ * @param {string} filePath - File path
+ * @param {function} transform - (maskedSource) => { code, ... } (e.g. removeFromSource results)
+ * @returns {object} { code: new file contents, results: transform results in block order }
+ */
+function transformScripts(content, filePath, transform) {
+  const blocks = getScriptBlocks(content, filePath);
+
+  // Transformed in file order; each block sees the original file
+  const blockCodes = [];
+  const results = blocks.map(block => {
+    const masked = maskSource(content, block);
+    const result = transform(masked);
+    const suffixLength = content.length - block.end;
+    const output = result.code;
+
+    if (output.slice(0, block.start) !== masked.slice(0, block.start) ||
+        output.slice(output.length - suffixLength) !== masked.slice(block.end)) {
+      throw new Error(`Changes would reach outside the script block at offset ${block.start}`);
+    }
+
+    blockCodes.push(output.slice(block.start, output.length - suffixLength));
+    return result;
+  });
+
+  // Spliced back to front, so the offsets of earlier blocks stay valid
+  let code = content;
+  for (let i = blocks.length - 1; i >= 0; i--) {
+    code = code.slice(0, blocks[i].start) + blockCodes[i] + code.slice(blocks[i].end);
+  }
+
+  return { code, results };
+}
+
+/**
+ * Blank out everything outside a block, keeping line breaks
+ */
+function maskSource(content, block) {
+  return content.slice(0, block.start).replace(MASK_REGEX, MASK_CHAR) +
+    content.slice(block.start, block.end) +
+    content.slice(block.end).replace(MASK_REGEX, MASK_CHAR);
+}
+
+/**
+ * Parse the attributes of an opening tag into a map (lowercase names)
+ */
+function parseAttributes(source) {
+  const attributes = {};
+  let match;
+
+  ATTRIBUTE_REGEX.lastIndex = 0;
+  while ((match = ATTRIBUTE_REGEX.exec(source)) !== null) {
+    const value = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4];
+    attributes[match[1].toLowerCase()] = value === undefined ? '' : value;
+  }
+
+  return attributes;
+}
+
+/**
+ * Check whether a script tag holds inline JavaScript (or TypeScript)
+ */
+function isJavaScriptTag(attributes) {
+  if ('src' in attributes) {
+    return false;
+  }
+  if (attributes.type && !SCRIPT_TYPES.includes(attributes.type.trim().toLowerCase())) {
+    return false;
+  }
+  if (attributes.lang && !SCRIPT_LANGS.includes(attributes.lang.trim().toLowerCase())) {
+    return false;
+  }
+  return true;
+}
+
+module.exports = {
+  EMBEDDED_EXTENSIONS,
+  isEmbeddedFile,
+  getScriptBlocks,
+  getScriptSources,
+  transformScripts
+};
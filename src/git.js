@@ -1,21 +1,98 @@
 /**
  * Git Utilities Module
  * Helper functions for git-based filtering
+ *
+ * Git runs through spawn() with argument arrays, so paths are never parsed by a
+ * shell. Changed lines come from one diff per filter for all files at once, and
+ * per-file commands (blame, staged contents) run for a few files at a time
+ * (see prepareGitContext).
  */
 
-const { execSync } = require('child_process');
-const fs = require('fs');
+const { spawn } = require('child_process');
 const path = require('path');
+const { loadTeams, parseAuthors, matchesAuthor, parseDate } = require('./authors');
+
+// Refs accepted by --git-since (branches, tags, commits, HEAD~3, origin/main, @{upstream});
+// never a leading `-`, which git would read as an option
+const GIT_REF_REGEX = /^(?!-)[\w./@{}~^-]+$/;
+
+// Per-file git processes (blame, show) running at once
+const FILE_CONCURRENCY = 4;
+
+// Above this many files, diffs cover the whole directory instead of listing paths
+const MAX_DIFF_PATHS = 100;
+
+// Options for every command: unquoted non-ASCII paths, and paths never read as globs
+const GIT_OPTIONS = ['-c', 'core.quotePath=false', '--literal-pathspecs'];
+
+/**
+ * Run a git command
+ * @param {string[]} args - Arguments after `git`
+ * @param {object} options - { cwd, input: text written to stdin }
+ * @returns {Promise<string>} Standard output
+ */
+function runGit(args, options = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn('git', [...GIT_OPTIONS, ...args], {
+      cwd: options.cwd,
+      stdio: [options.input === undefined ? 'ignore' : 'pipe', 'pipe', 'pipe']
+    });
+    const stdout = [];
+    const stderr = [];
+    
+    child.stdout.on('data', chunk => stdout.push(chunk));
+    child.stderr.on('data', chunk => stderr.push(chunk));
+    child.on('error', reject);
+    child.on('close', code => {
+      if (code === 0) {
+        resolve(Buffer.concat(stdout).toString('utf8'));
+        return;
+      }
+      const message = Buffer.concat(stderr).toString('utf8').trim();
+      reject(new Error(message || `git ${args[0]} exited with code ${code}`));
+    });
+    
+    if (options.input !== undefined) {
+      // Git may exit before reading everything; its exit code says what went wrong
+      child.stdin.on('error', () => {});
+      child.stdin.end(options.input);
+    }
+  });
+}
+
+/**
+ * Limit how many tasks run at once
+ * @param {number} concurrency - Maximum running tasks
+ * @returns {function} (task) => Promise of the task's result
+ */
+function createLimit(concurrency) {
+  const queue = [];
+  let running = 0;
+  
+  const next = () => {
+    if (running >= concurrency || queue.length === 0) return;
+    const { task, resolve, reject } = queue.shift();
+    running++;
+    task().then(resolve, reject).finally(() => {
+      running--;
+      next();
+    });
+  };
+  
+  return (task) => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    next();
+  });
+}
+
+const fileLimit = createLimit(FILE_CONCURRENCY);
 
 /**
  * Check if a directory is a git repository
  */
-function isGitRepository(directory) {
+async function isGitRepository(directory) {
   try {
-    execSync('git rev-parse --git-dir', { 
-      cwd: directory, 
-      stdio: 'ignore' 
-    });
+    await runGit(['rev-parse', '--git-dir'], { cwd: directory });
     return true;
   } catch (error) {
     return false;
@@ -25,17 +102,10 @@ function isGitRepository(directory) {
 /**
  * Get current git user email
  */
-function getCurrentGitUser(directory) {
+async function getCurrentGitUser(directory) {
   try {
-    const email = execSync('git config user.email', { 
-      cwd: directory,
-      encoding: 'utf8' 
-    }).trim();
-    
-    const name = execSync('git config user.name', { 
-      cwd: directory,
-      encoding: 'utf8' 
-    }).trim();
+    const email = (await runGit(['config', 'user.email'], { cwd: directory })).trim();
+    const name = (await runGit(['config', 'user.name'], { cwd: directory })).trim();
     
     return { email, name };
   } catch (error) {
@@ -45,37 +115,44 @@ function getCurrentGitUser(directory) {
 
 /**
  * Get git blame information for a file
- * Returns a map of line numbers to author emails
+ * Returns a map of line numbers to { name, email, commit, time, committed }, where `time` is
+ * the commit time (Unix seconds) and `committed` is false for lines not committed yet.
+ * Authors are those of .mailmap when the repository has one.
  */
-function getFileBlame(filePath, baseDir) {
+async function getFileBlame(filePath, baseDir) {
   try {
     // Use porcelain format for easier parsing
-    const output = execSync(`git blame --line-porcelain "${filePath}"`, {
-      cwd: baseDir,
-      encoding: 'utf8',
-      maxBuffer: 10 * 1024 * 1024 // 10MB buffer for large files
-    });
+    const output = await fileLimit(() => runGit(['blame', '--line-porcelain', '--', filePath], { cwd: baseDir }));
     
     const lineAuthors = new Map();
     const lines = output.split('\n');
     let currentLine = 0;
-    let currentAuthorEmail = null;
+    let current = null;
     
     for (let i = 0; i < lines.length; i++) {
       const line = lines[i];
       
       // Line format: <commit-hash> <original-line> <final-line> <num-lines>
-      if (line.match(/^[a-f0-9]{40}/)) {
-        currentLine = parseInt(line.split(' ')[2]);
-      }
-      
-      // Author email line
-      if (line.startsWith('author-mail ')) {
+      // (40 hex digits in SHA-1 repositories, 64 in SHA-256 ones)
+      if (/^[a-f0-9]{40,64} \d/.test(line)) {
+        const [commit, , finalLine] = line.split(' ');
+        currentLine = parseInt(finalLine);
+        current = { name: null, email: null, commit, time: null, committed: !/^0+$/.test(commit) };
+      } else if (!current) {
+        continue;
+      } else if (line.startsWith('author ')) {
+        current.name = line.substring(7);
+      } else if (line.startsWith('author-mail ')) {
         // Format: author-mail <email@example.com>
-        currentAuthorEmail = line.substring(13, line.length - 1); // Remove 'author-mail <' and '>'
-        if (currentLine > 0 && currentAuthorEmail) {
-          lineAuthors.set(currentLine, currentAuthorEmail);
+        current.email = line.substring(13, line.length - 1); // Remove 'author-mail <' and '>'
+      } else if (line.startsWith('committer-time ')) {
+        current.time = parseInt(line.substring(15));
+      } else if (line.startsWith('\t')) {
+        // The line's contents end its entry
+        if (currentLine > 0 && current.email) {
+          lineAuthors.set(currentLine, current);
         }
+        current = null;
       }
     }
     
@@ -92,131 +169,391 @@ function getFileBlame(filePath, baseDir) {
 /**
  * Get list of uncommitted files (both staged and unstaged changes)
  */
-function getUncommittedFiles(directory) {
+async function getUncommittedFiles(directory) {
+  let output;
   try {
     // Get modified, added, and untracked files
-    const output = execSync('git status --porcelain', {
-      cwd: directory,
-      encoding: 'utf8'
-    });
+    output = await runGit(['status', '--porcelain', '-z', '--', '.'], { cwd: directory });
+  } catch (error) {
+    throw new Error(`Could not get git status: ${error.message}`);
+  }
+  
+  // Entries are relative to the repository root: repoRoot is where they resolve from
+  const repoRoot = (await runGit(['rev-parse', '--show-toplevel'], { cwd: directory })).trim();
+  const files = new Set();
+  const entries = output.split('\0');
+  
+  for (let i = 0; i < entries.length; i++) {
+    // Format: XY filename
+    // X = staged status, Y = unstaged status
+    // Examples: " M file.js", "M  file.js", "A  file.js", "?? file.js"
+    const entry = entries[i];
+    if (entry.length < 4) continue;
     
-    const files = new Set();
-    const lines = output.split('\n').filter(line => line.trim());
+    const status = entry.substring(0, 2);
+    files.add(path.resolve(repoRoot, entry.substring(3)));
     
-    for (const line of lines) {
-      // Format: XY filename
-      // X = staged status, Y = unstaged status
-      // Examples: " M file.js", "M  file.js", "A  file.js", "?? file.js"
-      const status = line.substring(0, 2);
-      const filename = line.substring(3).trim();
-      
-      // Remove quotes if present
-      const cleanFilename = filename.replace(/^"|"$/g, '');
-      
-      // Convert to absolute path
-      const absolutePath = path.resolve(directory, cleanFilename);
-      files.add(absolutePath);
+    // Renames and copies are followed by their original path
+    if (status.includes('R') || status.includes('C')) {
+      i++;
     }
-    
-    return files;
-  } catch (error) {
-    throw new Error(`Could not get git status: ${error.message}`);
   }
+  
+  return files;
 }
 
 /**
- * Check if a line in a file was authored by the current user
+ * Get the commit where the current branch forked from a base ref (git merge-base)
+ * @param {string} directory - Directory inside the repository
+ * @param {string} ref - Base branch, tag or commit (e.g. main, origin/main)
+ * @returns {Promise<string>} Commit hash
  */
-function isLineByCurrentUser(filePath, lineNumber, currentUserEmail, blameCache, baseDir) {
-  // Check cache first
-  if (!blameCache.has(filePath)) {
-    const blame = getFileBlame(filePath, baseDir);
-    blameCache.set(filePath, blame);
+async function getMergeBase(directory, ref) {
+  if (!GIT_REF_REGEX.test(ref)) {
+    throw new Error(`Invalid git ref: ${ref}`);
   }
   
-  const blame = blameCache.get(filePath);
+  try {
+    return (await runGit(['merge-base', ref, 'HEAD'], { cwd: directory })).trim();
+  } catch (error) {
+    throw new Error(`Could not find a common ancestor of HEAD and "${ref}" (is it a branch, tag or commit?)`);
+  }
+}
+
+/**
+ * Resolve --git-author values: expand teams and map emails through .mailmap,
+ * since blamed authors are the .mailmap ones
+ * @param {string} directory - Directory inside the repository
+ * @param {string[]} specs - Emails, names, globs or @team references
+ * @param {object|string|null} teams - Teams map or teams file (see loadTeams)
+ * @returns {Promise<object[]>} Author matchers (see parseAuthors)
+ */
+async function resolveAuthors(directory, specs, teams = null) {
+  const rootDir = (await runGit(['rev-parse', '--show-toplevel'], { cwd: directory })).trim();
   
-  // If no blame info (new file), consider it authored by current user
-  if (!blame) {
-    return true;
+  return Promise.all(parseAuthors(specs, loadTeams(teams, rootDir)).map(async author => {
+    if (author.type !== 'email') {
+      return author;
+    }
+    try {
+      const mapped = (await runGit(['check-mailmap', `<${author.value}>`], { cwd: directory })).trim();
+      const email = mapped.match(/<([^>]*)>$/);
+      return email ? { type: 'email', value: email[1].toLowerCase() } : author;
+    } catch (error) {
+      return author;
+    }
+  }));
+}
+
+/**
+ * Resolve a --git-before / --git-after value to a timestamp
+ * Accepts dates (2024-01-31), relative dates ("6 months ago") and refs, which
+ * stand for the time of their commit (e.g. a release tag).
+ * @param {string} directory - Directory inside the repository
+ * @param {string} value - Date or ref
+ * @returns {Promise<number>} Unix timestamp in seconds
+ */
+async function getDateCutoff(directory, value) {
+  const time = parseDate(value);
+  if (time !== null) {
+    return time;
+  }
+  
+  // Just after the commit, so its own lines count as before it
+  if (GIT_REF_REGEX.test(value)) {
+    try {
+      return 1 + parseInt((await runGit(['log', '-1', '--format=%ct', value, '--'], { cwd: directory })).trim());
+    } catch (error) {
+      // Not a ref either
+    }
   }
   
-  const authorEmail = blame.get(lineNumber);
-  return authorEmail === currentUserEmail;
+  throw new Error(`Invalid date: ${value} (expected e.g. 2024-01-31, "6 months ago" or a tag/commit)`);
 }
 
 /**
- * Check if a file has uncommitted changes
+ * Get files staged for commit (added, copied, modified or renamed in the index)
+ * @param {string} directory - Directory inside the repository
+ * @returns {Promise<Set<string>>} Absolute paths
  */
-function isFileUncommitted(filePath, uncommittedFiles) {
-  return uncommittedFiles.has(filePath);
+function getStagedFiles(directory) {
+  return getChangedFiles(directory, ['diff', '--cached', '--name-only', '--relative', '--diff-filter=ACMR', '-z']);
 }
 
 /**
- * Get uncommitted line ranges for a file
- * Returns a Set of line numbers that have been added or modified in uncommitted changes
- * @param {string} filePath - Absolute path to file
- * @param {string} baseDir - Base directory for git operations
- * @returns {Set<number>|null} Set of uncommitted line numbers, or null if file is not modified
+ * Get files changed since a commit: committed on the branch, modified in the
+ * working tree, or untracked
+ * @param {string} directory - Directory inside the repository
+ * @param {string} base - Commit to compare with (e.g. from getMergeBase())
+ * @returns {Promise<Set<string>>} Absolute paths
+ */
+async function getFilesChangedSince(directory, base) {
+  const [files, untracked] = await Promise.all([
+    getChangedFiles(directory, ['diff', '--name-only', '--relative', '--diff-filter=ACMR', '-z', base]),
+    getUntrackedFiles(directory)
+  ]);
+  untracked.forEach(file => files.add(file));
+  return files;
+}
+
+/**
+ * Get untracked files (not ignored)
+ * @param {string} directory - Directory inside the repository
+ * @returns {Promise<Set<string>>} Absolute paths
+ */
+function getUntrackedFiles(directory) {
+  return getChangedFiles(directory, ['ls-files', '--others', '--exclude-standard', '-z']);
+}
+
+/**
+ * Run a git command listing NUL-separated paths relative to directory
  */
-function getUncommittedLines(filePath, baseDir) {
+async function getChangedFiles(directory, args) {
   try {
-    const relPath = path.relative(baseDir, filePath);
-    
-    // Get diff for this specific file
-    // Use --unified=0 to get only changed lines without context
-    const output = execSync(`git diff --unified=0 HEAD "${relPath}"`, {
-      cwd: baseDir,
-      encoding: 'utf8',
-      maxBuffer: 10 * 1024 * 1024
-    });
-    
-    if (!output.trim()) {
-      // No diff means file is not modified or is untracked
-      // Check if file is untracked (new file) - if so, all lines are "uncommitted"
-      try {
-        execSync(`git ls-files --error-unmatch "${relPath}"`, {
-          cwd: baseDir,
-          stdio: 'ignore'
-        });
-        // File is tracked but has no diff
-        return null;
-      } catch (error) {
-        // File is untracked - all lines are uncommitted
-        return 'all'; // Special marker for untracked files
+    const output = await runGit(args, { cwd: directory });
+    return new Set(output.split('\0').filter(Boolean).map(file => path.resolve(directory, file)));
+  } catch (error) {
+    throw new Error(`Could not list changed files: ${error.message}`);
+  }
+}
+
+/**
+ * Get the lines added or modified by a diff, for every file it touches
+ * @param {string} directory - Directory inside the repository
+ * @param {string[]} args - Diff arguments (e.g. ['HEAD'], ['--cached'])
+ * @param {string[]|null} filePaths - Files to diff (null: the whole directory)
+ * @returns {Promise<Map<string, object[]>>} Absolute path to diff hunks (see parseHunks)
+ */
+async function getDiffHunks(directory, args, filePaths = null) {
+  const paths = filePaths ? filePaths.map(file => path.relative(directory, file) || '.') : ['.'];
+  const output = await runGit([
+    // Explicit prefixes, whatever diff.noprefix or diff.mnemonicPrefix say
+    'diff', '--unified=0', '--no-color', '--no-ext-diff', '--no-renames', '--relative',
+    '--src-prefix=a/', '--dst-prefix=b/', ...args, '--', ...paths
+  ], { cwd: directory });
+  
+  const hunksByFile = new Map();
+  let current = null;
+  
+  for (const line of output.split('\n')) {
+    if (line.startsWith('diff ')) {
+      current = null;
+    } else if (line.startsWith('+++ ')) {
+      // `+++ b/path`, quoted when the path has special characters; `+++ /dev/null` for deletions
+      const name = unquotePath(line.substring(4).replace(/\t$/, ''));
+      current = name === '/dev/null' ? null : [];
+      if (current) {
+        hunksByFile.set(path.resolve(directory, name.replace(/^b\//, '')), current);
       }
+    } else if (current && line.startsWith('@@')) {
+      current.push(...parseHunks(line));
     }
-    
-    const uncommittedLines = new Set();
-    const lines = output.split('\n');
-    
-    for (const line of lines) {
-      // Parse diff hunk headers: @@ -start,count +start,count @@
-      const match = line.match(/^@@ -\d+(?:,\d+)? \+(\d+)(?:,(\d+))? @@/);
-      if (match) {
-        const startLine = parseInt(match[1]);
-        const lineCount = match[2] ? parseInt(match[2]) : 1;
-        
-        // Add all lines in this hunk to the set
-        for (let i = 0; i < lineCount; i++) {
-          uncommittedLines.add(startLine + i);
-        }
+  }
+  
+  return hunksByFile;
+}
+
+/**
+ * Decode a path quoted by git (C-style escapes, octal UTF-8 bytes)
+ */
+function unquotePath(value) {
+  if (!value.startsWith('"') || !value.endsWith('"')) {
+    return value;
+  }
+  
+  const escapes = { a: 7, b: 8, t: 9, n: 10, v: 11, f: 12, r: 13, '"': 34, '\\': 92 };
+  const chars = Array.from(value.slice(1, -1));
+  const bytes = [];
+  
+  for (let i = 0; i < chars.length; i++) {
+    if (chars[i] !== '\\') {
+      bytes.push(...Buffer.from(chars[i], 'utf8'));
+    } else if (/[0-7]/.test(chars[i + 1])) {
+      bytes.push(parseInt(chars.slice(i + 1, i + 4).join(''), 8));
+      i += 3;
+    } else {
+      i++;
+      bytes.push(escapes[chars[i]] !== undefined ? escapes[chars[i]] : chars[i].charCodeAt(0));
+    }
+  }
+  
+  return Buffer.from(bytes).toString('utf8');
+}
+
+/**
+ * Get the lines of files added or modified since a commit (working tree included)
+ * @param {string} directory - Directory inside the repository
+ * @param {string[]} filePaths - Absolute paths
+ * @param {string} base - Commit to compare with ('HEAD' for uncommitted changes)
+ * @returns {Promise<Map>} Path to changed line numbers, 'all' for untracked files, or null if unchanged
+ */
+async function getLinesChangedSince(directory, filePaths, base) {
+  const [hunksByFile, untracked] = await Promise.all([
+    getDiffHunks(directory, [base], getDiffPaths(filePaths)),
+    getUntrackedFiles(directory)
+  ]);
+  
+  const changedLines = new Map();
+  filePaths.forEach(file => {
+    if (untracked.has(file)) {
+      changedLines.set(file, 'all'); // Special marker for untracked files
+    } else {
+      changedLines.set(file, hunksByFile.has(file) ? getAddedLines(hunksByFile.get(file)) : null);
+    }
+  });
+  
+  return changedLines;
+}
+
+/**
+ * Get the staged lines of files, numbered as in the working tree
+ * The index can differ from the files on disk; staged lines edited again
+ * since `git add` are not counted.
+ * @param {string} directory - Directory inside the repository
+ * @param {string[]} filePaths - Absolute paths
+ * @param {boolean} inIndex - Number lines as in the staged content instead (see getStagedContent)
+ * @returns {Promise<Map>} Path to staged line numbers, or null if nothing is staged
+ */
+async function getStagedLines(directory, filePaths, inIndex = false) {
+  const diffPaths = getDiffPaths(filePaths);
+  
+  // HEAD -> index: the staged lines, numbered as in the index
+  // index -> working tree: how those lines moved since they were staged
+  const [stagedHunks, unstagedHunks] = await Promise.all([
+    getDiffHunks(directory, ['--cached'], diffPaths),
+    inIndex ? new Map() : getDiffHunks(directory, [], diffPaths)
+  ]);
+  
+  const stagedLines = new Map();
+  filePaths.forEach(file => {
+    if (!stagedHunks.has(file)) {
+      stagedLines.set(file, null);
+      return;
+    }
+    const indexLines = getAddedLines(stagedHunks.get(file));
+    stagedLines.set(file, inIndex ? indexLines : mapToWorkingTree(indexLines, unstagedHunks.get(file) || []));
+  });
+  
+  return stagedLines;
+}
+
+/**
+ * Renumber index lines as in the working tree, dropping lines edited since they were staged
+ * @param {Set<number>} indexLines - Line numbers in the index
+ * @param {object[]} unstagedHunks - Hunks of the index -> working tree diff
+ * @returns {Set<number>} Line numbers in the working tree
+ */
+function mapToWorkingTree(indexLines, unstagedHunks) {
+  const lines = new Set();
+  
+  indexLines.forEach(indexLine => {
+    let offset = 0;
+    for (const hunk of unstagedHunks) {
+      if (hunk.oldCount === 0) {
+        // Pure insertion after line oldStart
+        if (indexLine > hunk.oldStart) offset += hunk.newCount;
+        continue;
       }
+      if (indexLine < hunk.oldStart) break;
+      if (indexLine < hunk.oldStart + hunk.oldCount) return; // Edited again since staged
+      offset += hunk.newCount - hunk.oldCount;
     }
+    lines.add(indexLine + offset);
+  });
+  
+  return lines;
+}
+
+/**
+ * Files to name in a diff command, or null to diff the whole directory
+ */
+function getDiffPaths(filePaths) {
+  return filePaths.length <= MAX_DIFF_PATHS ? filePaths : null;
+}
+
+/**
+ * Read the staged content of a file from the index (what `git commit` would record)
+ * @param {string} filePath - Absolute path to file
+ * @param {string} baseDir - Base directory for git operations
+ * @returns {Promise<string>} Staged file contents
+ */
+async function getStagedContent(filePath, baseDir) {
+  const relPath = path.relative(baseDir, filePath);
+  
+  try {
+    return await fileLimit(() => runGit(['show', `:./${relPath}`], { cwd: baseDir }));
+  } catch (error) {
+    throw new Error(`Could not read staged content of ${relPath}: ${error.message}`);
+  }
+}
+
+/**
+ * Replace the staged content of a file, leaving the working tree alone
+ * The file keeps its mode (e.g. executable) in the index.
+ * @param {string} filePath - Absolute path to file
+ * @param {string} baseDir - Base directory for git operations
+ * @param {string} content - New staged contents
+ */
+async function updateStagedContent(filePath, baseDir, content) {
+  const relPath = path.relative(baseDir, filePath);
+  
+  try {
+    const entry = await runGit(['ls-files', '--stage', '--', relPath], { cwd: baseDir });
+    const mode = entry.split(' ')[0];
+    const hash = (await runGit(['hash-object', '-w', '--stdin', '--path', relPath], {
+      cwd: baseDir,
+      input: content
+    })).trim();
     
-    return uncommittedLines;
+    await runGit(['update-index', '--cacheinfo', `${mode},${hash},${relPath}`], { cwd: baseDir });
   } catch (error) {
-    if (process.env.DEBUG) {
-      console.error(`Warning: Could not get git diff for ${filePath}: ${error.message}`);
+    throw new Error(`Could not update staged content of ${relPath}: ${error.message}`);
+  }
+}
+
+/**
+ * Parse the hunk headers of a --unified=0 diff
+ * @param {string} output - git diff output
+ * @returns {object[]} [{ oldStart, oldCount, newStart, newCount }]
+ */
+function parseHunks(output) {
+  const hunks = [];
+  
+  for (const line of output.split('\n')) {
+    // Parse diff hunk headers: @@ -start,count +start,count @@
+    const match = line.match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/);
+    if (match) {
+      hunks.push({
+        oldStart: parseInt(match[1]),
+        oldCount: match[2] !== undefined ? parseInt(match[2]) : 1,
+        newStart: parseInt(match[3]),
+        newCount: match[4] !== undefined ? parseInt(match[4]) : 1
+      });
     }
-    return null;
   }
+  
+  return hunks;
 }
 
 /**
- * Check if a specific line in a file is uncommitted
- * @param {number} lineNumber - Line number to check (1-indexed)
- * @param {Set<number>|string|null} uncommittedLines - Set of uncommitted line numbers, 'all', or null
+ * Get the line numbers (new side) added or modified by diff hunks
+ */
+function getAddedLines(hunks) {
+  const lines = new Set();
+  
+  hunks.forEach(hunk => {
+    for (let i = 0; i < hunk.newCount; i++) {
+      lines.add(hunk.newStart + i);
+    }
+  });
+  
+  return lines;
+}
+
+/**
+ * Check if a line number is in the uncommitted lines set
+ * @param {number} lineNumber - Line number to check
+ * @param {Set<number>|string|null} uncommittedLines - Set of uncommitted lines, 'all' for untracked, or null
  * @returns {boolean} True if line is uncommitted
  */
 function isLineUncommitted(lineNumber, uncommittedLines) {
@@ -229,14 +566,199 @@ function isLineUncommitted(lineNumber, uncommittedLines) {
   return uncommittedLines.has(lineNumber);
 }
 
+/**
+ * Check whether any git filter is requested
+ * @param {object} gitOptions - { gitMine, gitUncommitted, gitSince, gitStaged, stagedContent, gitAuthor, gitBefore, gitAfter }
+ * @returns {boolean}
+ */
+function hasGitFilters(gitOptions) {
+  return Boolean(gitOptions.gitMine || gitOptions.gitUncommitted || gitOptions.gitSince ||
+    gitOptions.gitStaged || gitOptions.stagedContent ||
+    (gitOptions.gitAuthor && gitOptions.gitAuthor.length > 0) || gitOptions.gitBefore || gitOptions.gitAfter);
+}
+
+/**
+ * Build the git filtering context shared by the scanner and the remover (see matchesGitFilters)
+ * @param {string} directory - Directory inside the repository
+ * @param {object} gitOptions - { gitMine, gitUncommitted, gitSince: base ref, gitStaged, stagedContent,
+ *   gitAuthor: authors, gitTeams: teams map or file, gitBefore: date or ref, gitAfter: date or ref }
+ *   `stagedContent` reads files from the index instead of the working tree (implies gitStaged);
+ *   statement lines are then those of the staged content.
+ * @param {object} extra - Additional fields (e.g. { skipSideEffects } for the remover)
+ * @returns {Promise<object>} Git context (load its data with prepareGitContext before filtering)
+ */
+async function createGitContext(directory, gitOptions, extra = {}) {
+  const [authors, before, after, sinceBase, currentUser] = await Promise.all([
+    gitOptions.gitAuthor && gitOptions.gitAuthor.length > 0
+      ? resolveAuthors(directory, gitOptions.gitAuthor, gitOptions.gitTeams)
+      : null,
+    gitOptions.gitBefore ? getDateCutoff(directory, gitOptions.gitBefore) : null,
+    gitOptions.gitAfter ? getDateCutoff(directory, gitOptions.gitAfter) : null,
+    gitOptions.gitSince ? getMergeBase(directory, gitOptions.gitSince) : null,
+    gitOptions.gitMine ? getCurrentGitUser(directory) : null
+  ]);
+  
+  return {
+    enabled: true,
+    filterMine: Boolean(gitOptions.gitMine),
+    filterUncommitted: Boolean(gitOptions.gitUncommitted),
+    filterStaged: Boolean(gitOptions.gitStaged || gitOptions.stagedContent),
+    stagedContent: Boolean(gitOptions.stagedContent),
+    sinceRef: gitOptions.gitSince || null,
+    sinceBase,
+    currentUser,
+    authorSpecs: authors ? gitOptions.gitAuthor : null,
+    authors,
+    dateRange: before !== null || after !== null ? { before, after } : null,
+    blameCache: new Map(),
+    uncommittedLinesCache: new Map(), // Line-level caches, per file
+    stagedLinesCache: new Map(),
+    sinceLinesCache: new Map(),
+    baseDir: directory,
+    ...extra
+  };
+}
+
+/**
+ * Load what the git filters of a context need for a set of files
+ * Changed lines come from one diff per filter; blame runs a few files at a
+ * time. Files already loaded are skipped, so this can be called per file.
+ * @param {object} gitContext - Context from createGitContext()
+ * @param {string[]} filePaths - Absolute paths
+ * @param {object} options - { blame: false to leave blame for later (e.g. until a file has statements) }
+ */
+async function prepareGitContext(gitContext, filePaths, options = {}) {
+  const { baseDir } = gitContext;
+  const missing = (cache) => filePaths.filter(file => !cache.has(file));
+  
+  // A diff that fails (e.g. no commits yet) leaves the files without changed lines
+  const load = async (cache, getLines) => {
+    const files = missing(cache);
+    if (files.length === 0) return;
+    
+    let lines;
+    try {
+      lines = await getLines(files);
+    } catch (error) {
+      if (process.env.DEBUG) {
+        console.error(`Warning: Could not get git diff: ${error.message}`);
+      }
+      lines = new Map(files.map(file => [file, null]));
+    }
+    lines.forEach((value, file) => cache.set(file, value));
+  };
+  
+  await Promise.all([
+    gitContext.filterUncommitted &&
+      load(gitContext.uncommittedLinesCache, files => getLinesChangedSince(baseDir, files, 'HEAD')),
+    gitContext.filterStaged &&
+      load(gitContext.stagedLinesCache, files => getStagedLines(baseDir, files, gitContext.stagedContent)),
+    gitContext.sinceBase &&
+      load(gitContext.sinceLinesCache, files => getLinesChangedSince(baseDir, files, gitContext.sinceBase))
+  ]);
+  
+  if (options.blame !== false && needsBlame(gitContext)) {
+    await Promise.all(missing(gitContext.blameCache).map(async file => {
+      gitContext.blameCache.set(file, await getFileBlame(file, baseDir));
+    }));
+  }
+}
+
+/**
+ * Check whether a context filters or annotates statements by blame
+ */
+function needsBlame(gitContext) {
+  return Boolean(gitContext.filterMine || gitContext.authors || gitContext.dateRange || gitContext.blame);
+}
+
+/**
+ * Get the loaded blame of a file
+ */
+function getLoadedBlame(filePath, blameCache) {
+  if (!blameCache.has(filePath)) {
+    throw new Error(`Git blame of ${filePath} was not loaded (see prepareGitContext)`);
+  }
+  return blameCache.get(filePath);
+}
+
+/**
+ * Get who last committed a line, and when
+ * @returns {object|null} Blame entry (see getFileBlame), or null for lines not committed yet
+ */
+function getLineBlame(filePath, lineNumber, blameCache) {
+  const blame = getLoadedBlame(filePath, blameCache);
+  const author = blame && blame.get(lineNumber);
+  
+  return author && author.committed ? author : null;
+}
+
+/**
+ * Check if a line in a file was authored by the current user
+ */
+function isLineByCurrentUser(filePath, lineNumber, currentUserEmail, blameCache) {
+  const blame = getLoadedBlame(filePath, blameCache);
+  
+  // If no blame info (new file), consider it authored by current user
+  if (!blame) {
+    return true;
+  }
+  
+  const author = blame.get(lineNumber);
+  return Boolean(author) && author.email === currentUserEmail;
+}
+
+/**
+ * Check if a line in a file was committed by one of the given authors
+ * Lines not committed yet (and untracked files) have no author.
+ * @param {object[]} authors - Matchers from resolveAuthors()
+ */
+function isLineByAuthors(filePath, lineNumber, authors, blameCache) {
+  const author = getLineBlame(filePath, lineNumber, blameCache);
+  return Boolean(author) && matchesAuthor(author, authors);
+}
+
+/**
+ * Check if a line in a file was committed within a date range
+ * Lines not committed yet (and untracked files) count as committed now.
+ * @param {object} range - { before, after } Unix timestamps in seconds (either may be null)
+ */
+function isLineInDateRange(filePath, lineNumber, range, blameCache) {
+  const author = getLineBlame(filePath, lineNumber, blameCache);
+  const time = author ? author.time : Math.floor(Date.now() / 1000);
+  
+  return (range.before === null || time < range.before) &&
+    (range.after === null || time >= range.after);
+}
+
+/**
+ * Check if a file has uncommitted changes
+ */
+function isFileUncommitted(filePath, uncommittedFiles) {
+  return uncommittedFiles.has(filePath);
+}
+
 module.exports = {
+  runGit,
   isGitRepository,
   getCurrentGitUser,
   getFileBlame,
+  getLineBlame,
   getUncommittedFiles,
+  getMergeBase,
+  getStagedFiles,
+  getFilesChangedSince,
   isLineByCurrentUser,
+  isLineByAuthors,
+  isLineInDateRange,
+  resolveAuthors,
+  getDateCutoff,
   isFileUncommitted,
-  getUncommittedLines,
-  isLineUncommitted
+  getLinesChangedSince,
+  getStagedLines,
+  getStagedContent,
+  updateStagedContent,
+  isLineUncommitted,
+  hasGitFilters,
+  createGitContext,
+  prepareGitContext
 };
-
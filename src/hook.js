@@ -0,0 +1,119 @@
+/**
+ * Hook Module
+ * Installs the git pre-commit hook that runs `log-sweep staged`
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { runGit } = require('./git');
+
+// Identifies hooks written by log-sweep, so they can be replaced or removed safely
+const HOOK_MARKER = '# Installed by log-sweep';
+
+// Modes of the installed hook: fail the commit, or remove the statements from it
+const HOOK_MODES = ['block', 'fix'];
+
+/**
+ * Get the path of a repository's pre-commit hook (honors core.hooksPath)
+ * @param {string} directory - Directory inside the repository
+ * @returns {Promise<string>} Absolute path of the hook file
+ */
+async function getHookPath(directory) {
+  let hooksPath;
+  try {
+    const hooksDir = (await runGit(['rev-parse', '--git-path', 'hooks'], { cwd: directory })).trim();
+    hooksPath = path.resolve(directory, hooksDir);
+  } catch (error) {
+    throw new Error('Not a git repository');
+  }
+
+  // core.hooksPath=/dev/null is a common way to turn hooks off
+  if (fs.existsSync(hooksPath) && !fs.statSync(hooksPath).isDirectory()) {
+    throw new Error(`Git hooks are disabled: core.hooksPath points to ${hooksPath}`);
+  }
+
+  return path.join(hooksPath, 'pre-commit');
+}
+
+/**
+ * Build the pre-commit hook script
+ * Uses a global log-sweep when there is one, and the project's otherwise.
+ * @param {string} mode - 'block' or 'fix'
+ * @returns {string} Shell script
+ */
+function getHookScript(mode) {
+  const args = mode === 'fix' ? 'staged --fix' : 'staged';
+  return [
+    '#!/bin/sh',
+    `${HOOK_MARKER} (log-sweep hook install${mode === 'fix' ? ' --fix' : ''})`,
+    '# Skip once with: git commit --no-verify',
+    'if command -v log-sweep >/dev/null 2>&1; then',
+    `  exec log-sweep ${args}`,
+    'fi',
+    `exec npx --no-install log-sweep ${args}`,
+    ''
+  ].join('\n');
+}
+
+/**
+ * Write the pre-commit hook
+ * An existing hook not written by log-sweep is kept unless `force` is set,
+ * in which case it is moved to `pre-commit.backup`.
+ * @param {string} directory - Directory inside the repository
+ * @param {object} options - { mode: 'block' | 'fix', force }
+ * @returns {Promise<object>} { hookPath, backupPath } (backupPath is null when nothing was replaced)
+ */
+async function installHook(directory, options = {}) {
+  const mode = options.mode || 'block';
+  if (!HOOK_MODES.includes(mode)) {
+    throw new Error(`Invalid hook mode: ${mode} (expected ${HOOK_MODES.join(' or ')})`);
+  }
+
+  const hookPath = await getHookPath(directory);
+  let backupPath = null;
+
+  if (fs.existsSync(hookPath) && !isLogSweepHook(hookPath)) {
+    if (!options.force) {
+      throw new Error(`A pre-commit hook already exists: ${hookPath} (use --force to replace it; it is kept as pre-commit.backup)`);
+    }
+    backupPath = `${hookPath}.backup`;
+    fs.renameSync(hookPath, backupPath);
+  }
+
+  fs.mkdirSync(path.dirname(hookPath), { recursive: true });
+  fs.writeFileSync(hookPath, getHookScript(mode), { encoding: 'utf8', mode: 0o755 });
+  fs.chmodSync(hookPath, 0o755);
+
+  return { hookPath, backupPath };
+}
+
+/**
+ * Remove the pre-commit hook if log-sweep wrote it
+ * @param {string} directory - Directory inside the repository
+ * @returns {Promise<string|null>} Path of the removed hook, or null if there was none
+ */
+async function uninstallHook(directory) {
+  const hookPath = await getHookPath(directory);
+
+  if (!fs.existsSync(hookPath)) {
+    return null;
+  }
+  if (!isLogSweepHook(hookPath)) {
+    throw new Error(`The pre-commit hook was not installed by log-sweep: ${hookPath}`);
+  }
+
+  fs.unlinkSync(hookPath);
+  return hookPath;
+}
+
+/**
+ * Check whether a hook file was written by log-sweep
+ */
+function isLogSweepHook(hookPath) {
+  return fs.readFileSync(hookPath, 'utf8').includes(HOOK_MARKER);
+}
+
+module.exports = {
+  installHook,
+  uninstallHook
+};
@@ -0,0 +1,173 @@
+/**
+ * Pairs Module
+ * Console methods that only work in pairs
+ *
+ *   console.time('load')  ...  console.timeLog('load')  ...  console.timeEnd('load')
+ *   console.profile('p')  ...  console.profileEnd('p')
+ *   console.count('hits') ...  console.countReset('hits')
+ *   console.group()       ...  console.groupEnd()          (matched by nesting)
+ * Removing one half leaves the other printing runtime warnings ("Timer 'load'
+ * does not exist") or breaks the indentation of everything logged afterwards.
+ */
+
+// Methods linked by their label (first argument, 'default' when omitted),
+// mapped to the call that opens the pair
+const LABELED_PAIRS = {
+  time: 'time',
+  timeLog: 'time',
+  timeEnd: 'time',
+  profile: 'profile',
+  profileEnd: 'profile',
+  count: 'count',
+  countReset: 'count'
+};
+
+const GROUP_METHODS = ['group', 'groupCollapsed'];
+
+// How a selection that would orphan one half is handled
+const PAIR_MODES = ['together', 'refuse'];
+
+/**
+ * Link the paired calls of a file by setting `statement.pairGroup`
+ * Calls sharing a pairGroup (unique within the file) must be removed together.
+ * Only an opening call and the calls that need it are linked: repeated
+ * `console.count('hits')` or `console.time('x')` calls without a partner keep `pairGroup: null`.
+ * @param {object[]} matches - Detector matches ({ statement, path })
+ * @param {string} sourceCode - Source the matches come from
+ */
+function linkPairedCalls(matches, sourceCode) {
+  const groups = new Map();
+  const groupStacks = new Map();
+  let groupCount = 0;
+
+  const addToGroup = (key, statement) => {
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(statement);
+  };
+
+  [...matches]
+    .sort((a, b) => a.path.node.start - b.path.node.start)
+    .forEach(({ statement, path }) => {
+      statement.pairGroup = null;
+      const { method } = statement;
+
+      if (LABELED_PAIRS[method]) {
+        addToGroup(`${LABELED_PAIRS[method]}:${getLabel(path.node, sourceCode)}`, statement);
+        return;
+      }
+
+      // group() / groupEnd() nest like brackets within a function body
+      if (GROUP_METHODS.includes(method) || method === 'groupEnd') {
+        const scope = path.getFunctionParent() || path.scope.getProgramParent().path;
+        if (!groupStacks.has(scope.node)) {
+          groupStacks.set(scope.node, []);
+        }
+        const stack = groupStacks.get(scope.node);
+
+        if (method === 'groupEnd') {
+          if (stack.length > 0) {
+            addToGroup(stack.pop(), statement);
+          }
+          return;
+        }
+
+        const key = `group:${++groupCount}`;
+        stack.push(key);
+        addToGroup(key, statement);
+      }
+    });
+
+  groups.forEach((statements, key) => {
+    const opening = statements.filter(statement => isOpeningCall(statement.method));
+    if (opening.length > 0 && opening.length < statements.length) {
+      statements.forEach(statement => {
+        statement.pairGroup = key;
+      });
+    }
+  });
+}
+
+/**
+ * Apply the pairing rules to a selection of statements
+ * In 'together' mode the unselected halves of selected pairs are added; when one
+ * of them can't be removed (side effects skipped, suppressed, outside the git
+ * filters) the whole pair is kept instead. In 'refuse' mode partial pairs are kept.
+ * @param {object[]} entries - [{ statement, selected, eligible }] for every statement of a file
+ *   `selected`: chosen by method or --pick; `eligible`: nothing else prevents removing it
+ * @param {string} mode - 'together' (default) or 'refuse'
+ * @returns {object} { selected: Set of statements to act on, added: statements pulled in
+ *   as partners, kept: [{ statements, orphans }] selected statements kept with the partners
+ *   they would have orphaned }
+ */
+function resolvePairs(entries, mode = 'together') {
+  const selected = new Set(entries.filter(entry => entry.selected && entry.eligible).map(entry => entry.statement));
+  const added = [];
+  const kept = [];
+  const groups = new Map();
+
+  entries.forEach(entry => {
+    const key = entry.statement.pairGroup;
+    if (!key) return;
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(entry);
+  });
+
+  groups.forEach(members => {
+    const chosen = members.filter(entry => selected.has(entry.statement));
+    const rest = members.filter(entry => !selected.has(entry.statement));
+    if (chosen.length === 0 || rest.length === 0) {
+      return;
+    }
+
+    if (mode !== 'refuse' && rest.every(entry => entry.eligible)) {
+      rest.forEach(entry => {
+        selected.add(entry.statement);
+        added.push(entry.statement);
+      });
+      return;
+    }
+
+    chosen.forEach(entry => selected.delete(entry.statement));
+    kept.push({
+      statements: chosen.map(entry => entry.statement),
+      orphans: rest.map(entry => entry.statement)
+    });
+  });
+
+  return { selected, added, kept };
+}
+
+/**
+ * Check if a method opens a pair (time, profile, count, group)
+ */
+function isOpeningCall(method) {
+  return LABELED_PAIRS[method] === method || GROUP_METHODS.includes(method);
+}
+
+/**
+ * Get the label a labeled call is linked by
+ */
+function getLabel(node, sourceCode) {
+  const [label] = node.arguments;
+  if (!label) {
+    return 'default';
+  }
+  if (label.type === 'StringLiteral') {
+    return label.value;
+  }
+  if (label.type === 'TemplateLiteral' && label.expressions.length === 0) {
+    return label.quasis[0].value.cooked;
+  }
+  // Same expression, same label (console.time(id) ... console.timeEnd(id))
+  return `(${sourceCode.slice(label.start, label.end)})`;
+}
+
+module.exports = {
+  PAIR_MODES,
+  linkPairedCalls,
+  resolvePairs
+};
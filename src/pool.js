@@ -0,0 +1,133 @@
+/**
+ * Pool Module
+ * Scans files on worker threads, so parsing, traversal and git blame run in parallel
+ */
+
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+// Below this many files per worker, starting workers costs more than it saves
+const MIN_FILES_PER_WORKER = 50;
+
+/**
+ * Get the default number of workers (one core is left to the main thread)
+ * @returns {number}
+ */
+function getDefaultConcurrency() {
+  const cores = typeof os.availableParallelism === 'function' ? os.availableParallelism() : os.cpus().length;
+  return Math.max(1, cores - 1);
+}
+
+/**
+ * Get how many workers to start for a scan
+ * @param {number} fileCount - Files to scan
+ * @param {number} concurrency - Requested workers (default: getDefaultConcurrency())
+ * @returns {number} Worker count; 1 means scanning on the main thread
+ */
+function getWorkerCount(fileCount, concurrency = getDefaultConcurrency()) {
+  return Math.max(1, Math.min(concurrency, Math.ceil(fileCount / MIN_FILES_PER_WORKER)));
+}
+
+/**
+ * Scan files on a pool of worker threads
+ * Each worker runs scanFile() with its own blame cache; results come back in file order.
+ * @param {string[]} files - Absolute file paths
+ * @param {object} options - { workers, loggerTargets, gitContext, cache, onProgress }
+ *   `gitContext` is the scanner's git context, with the changed lines of `files` loaded
+ *   (see prepareGitContext); workers get a copy of them and run git blame themselves;
+ *   `cache` is the scan cache: workers get each file's entry and send back the one to keep;
+ *   `onProgress(done, total)` is called as files complete.
+ * @returns {Promise<object[]>} One entry per file: { result } or { error }
+ */
+function scanFilesInParallel(files, options) {
+  const total = files.length;
+  const outcomes = new Array(total);
+  const workers = [];
+  let nextIndex = 0;
+  let done = 0;
+
+  const gitContext = options.gitContext
+    ? {
+        filterMine: options.gitContext.filterMine,
+        filterUncommitted: options.gitContext.filterUncommitted,
+        filterStaged: options.gitContext.filterStaged,
+        stagedContent: options.gitContext.stagedContent,
+        sinceRef: options.gitContext.sinceRef,
+        sinceBase: options.gitContext.sinceBase,
+        currentUser: options.gitContext.currentUser,
+        authors: options.gitContext.authors,
+        dateRange: options.gitContext.dateRange,
+        blame: options.gitContext.blame,
+        uncommittedLinesCache: options.gitContext.uncommittedLinesCache,
+        stagedLinesCache: options.gitContext.stagedLinesCache,
+        sinceLinesCache: options.gitContext.sinceLinesCache,
+        baseDir: options.gitContext.baseDir
+      }
+    : null;
+
+  return new Promise((resolve, reject) => {
+    let finished = false;
+
+    const finish = (error) => {
+      if (finished) return;
+      finished = true;
+      Promise.all(workers.map(worker => worker.terminate())).then(
+        () => (error ? reject(error) : resolve(outcomes)),
+        () => (error ? reject(error) : resolve(outcomes))
+      );
+    };
+
+    const dispatch = (worker) => {
+      if (nextIndex < total) {
+        const index = nextIndex++;
+        const cached = options.cache ? options.cache.getEntry(files[index]) : null;
+        worker.postMessage({ index, file: files[index], cached });
+      }
+    };
+
+    const workerCount = Math.min(options.workers, total);
+    if (workerCount === 0) {
+      resolve(outcomes);
+      return;
+    }
+
+    for (let i = 0; i < workerCount; i++) {
+      const worker = new Worker(path.join(__dirname, 'worker.js'), {
+        workerData: { loggerTargets: options.loggerTargets, gitContext, cache: Boolean(options.cache) }
+      });
+
+      worker.on('message', ({ index, result, error, cacheEntry }) => {
+        outcomes[index] = error ? { error } : { result };
+        if (options.cache && cacheEntry) {
+          options.cache.setEntry(files[index], cacheEntry);
+        }
+        done++;
+        if (options.onProgress) {
+          options.onProgress(done, total);
+        }
+        if (done === total) {
+          finish();
+        } else {
+          dispatch(worker);
+        }
+      });
+
+      worker.on('error', error => finish(new Error(`Scan worker failed: ${error.message}`)));
+      worker.on('exit', code => {
+        if (code !== 0 && !finished) {
+          finish(new Error(`Scan worker exited with code ${code}`));
+        }
+      });
+
+      workers.push(worker);
+      dispatch(worker);
+    }
+  });
+}
+
+module.exports = {
+  getDefaultConcurrency,
+  getWorkerCount,
+  scanFilesInParallel
+};
@@ -5,70 +5,24 @@
 
 const fs = require('fs');
 const path = require('path');
-const { parse } = require('@babel/parser');
+const { parseExpression } = require('@babel/parser');
 const traverse = require('@babel/traverse').default;
-const generate = require('@babel/generator').default;
+const t = require('@babel/types');
 const tar = require('tar');
 const os = require('os');
-const { 
-  isLineByCurrentUser,
-  getUncommittedLines,
-  isLineUncommitted
-} = require('./git');
+const { detectStatements, matchesGitFilters } = require('./detector');
+const { getConsoleAliasBinding } = require('./aliases');
+const { formatMethod } = require('./targets');
+const { getSideEffectExpressions } = require('./effects');
+const { applyEdits, getLineContext, getStatementRemovalEdit } = require('./edits');
+const { getCleanupEdits } = require('./cleanup');
+const { resolvePairs } = require('./pairs');
+const { isEmbeddedFile, transformScripts } = require('./embedded');
+const { getStagedContent, updateStagedContent, prepareGitContext } = require('./git');
+const { applyChange } = require('./diff');
 
-/**
- * Detect potential side effects in console arguments
- * @param {array} args - Array of argument nodes
- * @returns {boolean} True if side effects detected
- */
-function detectSideEffects(args) {
-  let hasSideEffects = false;
-  
-  // Helper to recursively check node for side effects
-  function checkNode(node) {
-    if (!node || hasSideEffects) return;
-    
-    // Update expressions: ++, --
-    if (node.type === 'UpdateExpression') {
-      hasSideEffects = true;
-      return;
-    }
-    // Assignment expressions: =, +=, etc.
-    if (node.type === 'AssignmentExpression') {
-      hasSideEffects = true;
-      return;
-    }
-    // Await expressions
-    if (node.type === 'AwaitExpression') {
-      hasSideEffects = true;
-      return;
-    }
-    // Yield expressions
-    if (node.type === 'YieldExpression') {
-      hasSideEffects = true;
-      return;
-    }
-    
-    // Recursively check child nodes
-    for (const key in node) {
-      if (key === 'loc' || key === 'type') continue;
-      const child = node[key];
-      if (Array.isArray(child)) {
-        child.forEach(checkNode);
-      } else if (child && typeof child === 'object' && child.type) {
-        checkNode(child);
-      }
-    }
-  }
-  
-  // Check all arguments
-  for (const arg of args) {
-    checkNode(arg);
-    if (hasSideEffects) break;
-  }
-  
-  return hasSideEffects;
-}
+// Condition used by guard mode when none is configured
+const DEFAULT_GUARD = "process.env.NODE_ENV !== 'production'";
 
 /**
  * Remove console statements from files
@@ -76,16 +30,27 @@ function detectSideEffects(args) {
  * @param {string[]} methodsToRemove - Console methods to remove
  * @param {boolean} dryRun - If true, don't actually modify files
  * @param {object} gitContext - Git filtering context (optional)
+ * @param {object} options - Passed to removeFromSource (e.g. { mode: 'guard', guard }, { targets } or { loggerTargets }) (optional)
+ *   `onCleanup(filePath, cleanups)` is called for every file where `cleanup` removed dead code.
+ * @returns {Promise<number>} Number of statements removed (or wrapped in guard mode)
  */
-async function removeConsoleStatements(filePaths, methodsToRemove, dryRun = false, gitContext = null) {
+async function removeConsoleStatements(filePaths, methodsToRemove, dryRun = false, gitContext = null, options = {}) {
   let totalRemoved = 0;
   
+  if (gitContext) {
+    await prepareGitContext(gitContext, filePaths);
+  }
+  
   for (const filePath of filePaths) {
     try {
       const content = fs.readFileSync(filePath, 'utf8');
-      const result = removeFromSource(content, methodsToRemove, filePath, gitContext);
+      const result = removeFromSource(content, methodsToRemove, filePath, gitContext, options);
+      
+      totalRemoved += result.removedCount + result.wrappedCount;
       
-      totalRemoved += result.removedCount;
+      if (result.cleanups.length > 0 && options.onCleanup) {
+        options.onCleanup(filePath, result.cleanups);
+      }
       
       if (!dryRun && result.modified) {
         fs.writeFileSync(filePath, result.code, 'utf8');
@@ -99,169 +64,378 @@ async function removeConsoleStatements(filePaths, methodsToRemove, dryRun = fals
 }
 
 /**
- * Check if a call expression is a console method call
- * (Same logic as scanner for consistency)
+ * Compute what removeConsoleStatements would write, without touching any file
+ * @param {string[]} filePaths - Files to process
+ * @param {string[]} methodsToRemove - Console methods to remove
+ * @param {object} gitContext - Git filtering context (optional)
+ * @param {object} options - Same options as removeConsoleStatements (optional)
+ * @returns {Promise<object[]>} [{ filePath, original, code, count, cleanups }] for files that would change
  */
-function isConsoleMethodCall(node, path, methodsToRemove) {
-  const callee = node.callee;
-  
-  // Handle optional call expression (console?.log?.())
-  if (callee.type === 'OptionalMemberExpression') {
-    return checkMemberExpression(callee, path, methodsToRemove);
+async function getRemovalChanges(filePaths, methodsToRemove, gitContext = null, options = {}) {
+  const changes = [];
+
+  if (gitContext) {
+    await prepareGitContext(gitContext, filePaths);
+  }
+
+  for (const filePath of filePaths) {
+    try {
+      const content = fs.readFileSync(filePath, 'utf8');
+      const result = removeFromSource(content, methodsToRemove, filePath, gitContext, options);
+
+      if (result.modified) {
+        changes.push({
+          filePath,
+          original: content,
+          code: result.code,
+          count: result.removedCount + result.wrappedCount,
+          cleanups: result.cleanups
+        });
+      }
+    } catch (error) {
+      throw new Error(`Failed to process ${filePath}: ${error.message}`);
+    }
   }
+
+  return changes;
+}
+
+/**
+ * Remove console statements from the staged content of files (pre-commit fix)
+ * The index is rewritten directly. The working tree copy gets the same change
+ * when it applies cleanly next to any unstaged edits, and is left alone otherwise.
+ * @param {string[]} filePaths - Staged files to process
+ * @param {string[]} methodsToRemove - Console methods to remove
+ * @param {object} gitContext - Git context with `stagedContent` (see createGitContext)
+ * @param {object} options - Same options as removeConsoleStatements (optional)
+ * @returns {Promise<object[]>} [{ filePath, count, workingTreeUpdated }] for files that changed
+ */
+async function removeStagedConsoleStatements(filePaths, methodsToRemove, gitContext, options = {}) {
+  const changes = [];
+  
+  await prepareGitContext(gitContext, filePaths);
   
-  // Handle regular member expression (console.log or console['log'])
-  if (callee.type === 'MemberExpression') {
-    return checkMemberExpression(callee, path, methodsToRemove);
+  for (const filePath of filePaths) {
+    try {
+      const staged = await getStagedContent(filePath, gitContext.baseDir);
+      const result = removeFromSource(staged, methodsToRemove, filePath, gitContext, options);
+      
+      if (!result.modified) {
+        continue;
+      }
+      
+      await updateStagedContent(filePath, gitContext.baseDir, result.code);
+      
+      const working = fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+      const updated = working === null ? null : applyChange(working, staged, result.code);
+      if (updated !== null) {
+        fs.writeFileSync(filePath, updated, 'utf8');
+      }
+      
+      changes.push({
+        filePath,
+        count: result.removedCount,
+        workingTreeUpdated: updated !== null
+      });
+    } catch (error) {
+      throw new Error(`Failed to process ${filePath}: ${error.message}`);
+    }
   }
   
-  return null;
+  return changes;
 }
 
 /**
- * Check if a member expression is accessing the console object
+ * Build the key that identifies a single statement for targeted removal
+ * Uses the `line` / `column` recorded by scanFile (column is 0-based).
+ * @param {string} filePath - Absolute file path
+ * @param {number} line - Start line (1-based)
+ * @param {number} column - Start column (0-based)
+ * @returns {string} `file:line:column`
  */
-function checkMemberExpression(memberExpr, path, methodsToRemove) {
-  // Check if object is 'console' identifier
-  if (memberExpr.object.type !== 'Identifier' || memberExpr.object.name !== 'console') {
-    return null;
-  }
+function getStatementKey(filePath, line, column) {
+  return `${filePath}:${line}:${column}`;
+}
+
+/**
+ * Rewrite console statements in files to call a project logger instead
+ * @param {string[]} filePaths - Files to process
+ * @param {object} migration - { callees: { method: 'logger.debug' }, import: { source, name, named }, baseDir }
+ * @param {boolean} dryRun - If true, don't actually modify files
+ * @param {object} gitContext - Git filtering context (optional)
+ * @param {object} options - Passed to removeFromSource (e.g. { loggerTargets }) (optional)
+ * @returns {Promise<object>} { migratedCount, importsAdded }
+ */
+async function migrateConsoleStatements(filePaths, migration, dryRun = false, gitContext = null, options = {}) {
+  const methodsToMigrate = Object.keys(migration.callees);
+  let migratedCount = 0;
+  let importsAdded = 0;
   
-  // Check if console is the global console (not shadowed)
-  const isGlobal = !path.scope.hasBinding('console');
-  if (!isGlobal) {
-    return null; // Don't remove shadowed console
+  if (gitContext) {
+    await prepareGitContext(gitContext, filePaths);
   }
   
-  // Get the method name
-  let method = null;
-  
-  if (memberExpr.property.type === 'Identifier' && !memberExpr.computed) {
-    // console.log or console?.log
-    method = memberExpr.property.name;
-  } else if (memberExpr.property.type === 'StringLiteral' && memberExpr.computed) {
-    // console['log']
-    method = memberExpr.property.value;
+  for (const filePath of filePaths) {
+    try {
+      const content = fs.readFileSync(filePath, 'utf8');
+      const result = removeFromSource(content, methodsToMigrate, filePath, gitContext, {
+        ...options,
+        mode: 'migrate',
+        migration
+      });
+      
+      migratedCount += result.migratedCount;
+      if (result.importAdded) importsAdded++;
+      
+      if (!dryRun && result.modified) {
+        fs.writeFileSync(filePath, result.code, 'utf8');
+      }
+    } catch (error) {
+      throw new Error(`Failed to process ${filePath}: ${error.message}`);
+    }
   }
   
-  if (!method || !methodsToRemove.includes(method)) {
+  return { migratedCount, importsAdded };
+}
+
+/**
+ * Get the alias binding a console call goes through (`log()` or `c.log()`), if any
+ */
+function getCallAliasBinding(path) {
+  const callee = path.node.callee;
+  const identifier = callee.type === 'Identifier' ? callee : callee.object;
+  
+  if (!identifier || identifier.type !== 'Identifier') {
     return null;
   }
   
-  return { method, isGlobal: true };
+  return getConsoleAliasBinding(identifier, path.scope);
 }
 
 /**
  * Remove console statements from source code
+ * Changes are made as text edits on the original source (see edits.js).
  * @param {string} sourceCode - Source code to process
  * @param {string[]} methodsToRemove - Console methods to remove
  * @param {string} filePath - Path to file being processed (for git blame)
- * @param {object} gitContext - Git filtering context (optional)
+ * @param {object} gitContext - Git filtering context, with the file's git data loaded (see prepareGitContext) (optional)
+ * @param {object} options - { mode: 'remove' | 'migrate' | 'guard', migration, guard, targets, loggerTargets } (optional)
+ *   `targets` is a Set of getStatementKey() keys; when given, only those statements are touched.
+ *   `loggerTargets` are resolved logger targets (default: console methods).
+ *   `extractSideEffects` keeps the side-effecting parts of removed statements as standalone statements.
+ *   `pairs` is 'together' (default) or 'refuse' for paired calls such as time/timeEnd (see pairs.js).
+ *   `cleanup` also removes dead code the removal leaves behind (see cleanup.js); the result lists it in `cleanups`.
+ * Vue, Svelte, Astro and HTML files are processed one script block at a time (see embedded.js).
  */
-function removeFromSource(sourceCode, methodsToRemove, filePath, gitContext = null) {
-  let removedCount = 0;
+function removeFromSource(sourceCode, methodsToRemove, filePath, gitContext = null, options = {}) {
+  if (!isEmbeddedFile(filePath)) {
+    return removeFromScript(sourceCode, methodsToRemove, filePath, gitContext, options);
+  }
   
-  // Get uncommitted lines for this file if filtering by uncommitted changes
-  let uncommittedLines = null;
-  if (gitContext && gitContext.filterUncommitted && filePath) {
-    if (!gitContext.uncommittedLinesCache.has(filePath)) {
-      uncommittedLines = getUncommittedLines(filePath, gitContext.baseDir);
-      gitContext.uncommittedLinesCache.set(filePath, uncommittedLines);
-    } else {
-      uncommittedLines = gitContext.uncommittedLinesCache.get(filePath);
+  // Vue, Svelte, Astro and HTML files: each <script> block on its own, template untouched
+  // (templates may use top-level bindings, so cleanup keeps them)
+  let importHandled = false;
+  const { code, results } = transformScripts(sourceCode, filePath, scriptSource => {
+    const scriptOptions = { ...options, keepTopLevelBindings: true };
+    
+    // Blocks share one scope, so a migration imports the logger once, in the first block using it
+    if (importHandled) {
+      scriptOptions.migration = { ...options.migration, import: null };
     }
+    const result = removeFromScript(scriptSource, methodsToRemove, filePath, gitContext, scriptOptions);
+    importHandled = importHandled || result.migratedCount > 0;
+    return result;
+  });
+  const sum = (key) => results.reduce((total, result) => total + result[key], 0);
+  
+  return {
+    code,
+    modified: results.some(result => result.modified),
+    removedCount: sum('removedCount'),
+    migratedCount: sum('migratedCount'),
+    wrappedCount: sum('wrappedCount'),
+    extractedCount: sum('extractedCount'),
+    importAdded: results.some(result => result.importAdded),
+    cleanups: results.flatMap(result => result.cleanups)
+  };
+}
+
+/**
+ * Remove console statements from a single script (see removeFromSource)
+ */
+function removeFromScript(sourceCode, methodsToRemove, filePath, gitContext = null, options = {}) {
+  const mode = options.mode || 'remove';
+  const guardSource = options.guard || DEFAULT_GUARD;
+  const guard = mode === 'guard' ? parseGuard(guardSource) : null;
+  let edits = [];
+  let cleanups = [];
+  let removedCount = 0;
+  let migratedCount = 0;
+  let wrappedCount = 0;
+  let extractedCount = 0;
+  let importAdded = false;
+  const aliasBindings = new Set();
+  
+  if (mode === 'migrate') {
+    validateMigrationCallees(options.migration);
   }
   
+  // A statement nested in one that was already removed or wrapped goes with it
+  const getCoveringEdit = (node) => edits.find(edit => node.start >= edit.start && node.end <= edit.end);
+  
   try {
-    // Parse source code
-    const ast = parse(sourceCode, {
-      sourceType: 'unambiguous',
-      plugins: [
-        'jsx',
-        'typescript',
-        'decorators-legacy',
-        'classProperties',
-        'dynamicImport',
-        'objectRestSpread',
-        'asyncGenerators',
-        'optionalChaining',
-        'nullishCoalescingOperator'
-      ]
+    // Same detection as the scanner (outer statements come before nested ones)
+    const { ast, matches, effectContext } = detectStatements(sourceCode, { loggerTargets: options.loggerTargets });
+    
+    const isEligible = (statement, suppressed) => {
+      // Keep statements disabled by an inline directive
+      if (suppressed) {
+        return false;
+      }
+      
+      // Skip statements outside the git filters (author, uncommitted lines)
+      if (!matchesGitFilters(filePath, statement.line, gitContext)) {
+        return false;
+      }
+      
+      // Skip if has side effects and user wants to skip them
+      // (migration keeps the arguments, so side effects are preserved)
+      return mode === 'migrate' || !(gitContext && gitContext.skipSideEffects && statement.hasSideEffects);
+    };
+    
+    const entries = matches.map(({ statement, suppressed }) => {
+      // Only touch explicitly selected statements when targets are given
+      const selected = methodsToRemove.includes(statement.method) &&
+        (!options.targets || options.targets.has(getStatementKey(filePath, statement.line, statement.column)));
+      return {
+        statement,
+        selected,
+        eligible: (selected || statement.pairGroup !== null) && isEligible(statement, suppressed)
+      };
     });
     
-    // Traverse and remove console statements
-    traverse(ast, {
-      CallExpression(path) {
-        const { node } = path;
-        
-        // Check if this is a console.method() call we should remove
-        const isConsoleCall = isConsoleMethodCall(node, path, methodsToRemove);
+    // Removed or wrapped calls take their pairs along (time/timeEnd, group/groupEnd, ...)
+    const selection = mode === 'migrate'
+      ? new Set(entries.filter(entry => entry.selected && entry.eligible).map(entry => entry.statement))
+      : resolvePairs(entries, options.pairs).selected;
+    
+    for (const { statement, path } of matches) {
+      const { node } = path;
+      
+      if (!selection.has(statement)) {
+        continue;
+      }
+      
+      // Aliases used by rewritten calls may become unused (see getUnusedAliasEdits)
+      const aliasBinding = getCallAliasBinding(path);
+      
+      if (mode === 'migrate') {
+        if (aliasBinding) aliasBindings.add(aliasBinding);
+        edits.push({
+          start: node.callee.start,
+          end: node.callee.end,
+          text: options.migration.callees[statement.method]
+        });
+        migratedCount++;
+        continue;
+      }
+      
+      // Nested statements are handled by the edit for the enclosing one
+      // (extracted side effects keep whatever they contain)
+      const coveringEdit = getCoveringEdit(node);
+      if (coveringEdit) {
+        if (coveringEdit.kept && coveringEdit.kept.some(range => node.start >= range.start && node.end <= range.end)) {
+          continue;
+        }
+        if (mode === 'guard') {
+          wrappedCount++;
+        } else {
+          if (aliasBinding) aliasBindings.add(aliasBinding);
+          removedCount++;
+        }
+        continue;
+      }
+      
+      // Keep the statement but only run it when the guard holds
+      if (mode === 'guard') {
+        if (isInsideGuard(path, guard)) {
+          continue;
+        }
         
-        if (isConsoleCall) {
-          const lineNumber = node.loc.start.line;
-          
-          // Apply git author filtering if enabled
-          if (gitContext && gitContext.filterMine && filePath) {
-            const isMyLine = isLineByCurrentUser(
-              filePath, 
-              lineNumber, 
-              gitContext.currentUser.email,
-              gitContext.blameCache,
-              gitContext.baseDir
-            );
-            
-            // Skip this statement if not authored by current user
-            if (!isMyLine) {
-              return;
-            }
-          }
-          
-          // Apply uncommitted line filtering if enabled
-          if (gitContext && gitContext.filterUncommitted && filePath) {
-            const isUncommitted = isLineUncommitted(lineNumber, uncommittedLines);
-            
-            // Skip this statement if not in uncommitted changes
-            if (!isUncommitted) {
-              return;
-            }
-          }
-          
-          // Skip if has side effects and user wants to skip them
-          if (gitContext && gitContext.skipSideEffects) {
-            const hasSideEffects = detectSideEffects(node.arguments);
-            if (hasSideEffects) {
-              return;
-            }
-          }
-          
-          // Check if it's an expression statement (can be safely removed)
-          if (path.parent.type === 'ExpressionStatement') {
-            path.parentPath.remove();
-            removedCount++;
-          } else {
-            // It's used in an expression (e.g., const x = console.log(y))
-            // Replace with undefined to maintain syntax
-            path.replaceWith({
-              type: 'Identifier',
-              name: 'undefined'
-            });
-            removedCount++;
-          }
+        if (path.parent.type === 'ExpressionStatement') {
+          edits.push(getGuardStatementEdit(sourceCode, path.parentPath, guardSource));
+        } else {
+          // Expression position: (guard ? console.log(y) : undefined)
+          const callSource = sourceCode.slice(node.start, node.end);
+          edits.push({
+            start: node.start,
+            end: node.end,
+            text: `(${guardSource} ? ${callSource} : undefined)`
+          });
         }
+        wrappedCount++;
+        continue;
       }
-    });
+      
+      if (aliasBinding) aliasBindings.add(aliasBinding);
+      
+      // Drop the call but keep its side effects: console.log(save()) -> save();
+      if (options.extractSideEffects && statement.hasSideEffects) {
+        const expressions = getSideEffectExpressions(node.arguments, sourceCode, effectContext);
+        if (expressions.length > 0) {
+          edits.push(path.parent.type === 'ExpressionStatement'
+            ? getExtractionEdit(sourceCode, path.parentPath, expressions)
+            : {
+                start: node.start,
+                end: node.end,
+                text: `(${expressions.map(expression => expression.text).join(', ')}, undefined)`,
+                kept: expressions
+              });
+          extractedCount++;
+          removedCount++;
+          continue;
+        }
+      }
+      
+      // Check if it's an expression statement (can be safely removed)
+      if (path.parent.type === 'ExpressionStatement') {
+        edits.push(getStatementRemovalEdit(sourceCode, path.parentPath));
+      } else {
+        // It's used in an expression (e.g., const x = console.log(y))
+        // Replace with undefined to maintain syntax
+        edits.push({ start: node.start, end: node.end, text: 'undefined' });
+      }
+      removedCount++;
+    }
+    
+    // Drop alias declarations (const { log } = console) nothing uses anymore
+    edits.push(...getUnusedAliasEdits(sourceCode, aliasBindings, edits));
+    
+    // Empty blocks, unused variables and imports that only logging needed
+    if (options.cleanup && mode === 'remove') {
+      ({ edits, cleanups } = getCleanupEdits(ast, sourceCode, edits, effectContext, {
+        keepTopLevelBindings: options.keepTopLevelBindings
+      }));
+    }
     
-    // Generate code from modified AST
-    const output = generate(ast, {
-      retainLines: true, // Try to keep line numbers similar
-      compact: false,
-      comments: true
-    }, sourceCode);
+    // Add the logger import/require when the migrated code needs it
+    if (migratedCount > 0 && options.migration.import) {
+      const importEdit = getLoggerImportEdit(ast, sourceCode, options.migration, filePath);
+      if (importEdit) {
+        edits.push(importEdit);
+        importAdded = true;
+      }
+    }
     
     return {
-      code: output.code,
-      modified: removedCount > 0,
-      removedCount
+      code: applyEdits(sourceCode, edits),
+      modified: edits.length > 0,
+      removedCount,
+      migratedCount,
+      wrappedCount,
+      extractedCount,
+      importAdded,
+      cleanups
     };
     
   } catch (error) {
@@ -269,13 +443,323 @@ function removeFromSource(sourceCode, methodsToRemove, filePath, gitContext = nu
   }
 }
 
+/**
+ * Build edits removing alias declarations whose every reference has been edited away
+ * Removing one alias can free up the alias it was built from
+ * (`const c = console; const { log } = c;`), so this repeats until nothing changes.
+ * Only single-declarator statements are removed; exported aliases are kept.
+ * @param {string} sourceCode - Original source
+ * @param {Set} aliasBindings - Bindings used by removed or migrated calls
+ * @param {object[]} edits - Edits collected so far
+ * @returns {object[]} Additional edits
+ */
+function getUnusedAliasEdits(sourceCode, aliasBindings, edits) {
+  const aliasEdits = [];
+  const removedDeclarations = new Set();
+  const pending = [...aliasBindings];
+  
+  const isEdited = (node) => edits.concat(aliasEdits).some(edit =>
+    node.start >= edit.start && node.end <= edit.end
+  );
+  
+  while (pending.length > 0) {
+    const binding = pending.shift();
+    const declarator = binding.path;
+    const declaration = declarator.parentPath;
+    
+    if (removedDeclarations.has(declaration.node) ||
+        declaration.node.declarations.length !== 1 ||
+        !Array.isArray(declaration.container)) {
+      continue;
+    }
+    
+    // Every name the declarator binds (all of `const { log, warn } = console`) must be unused
+    const names = Object.keys(declarator.getBindingIdentifiers());
+    const isUnused = names.every(name => {
+      const nameBinding = declarator.scope.getBinding(name);
+      return nameBinding && nameBinding.referencePaths.every(ref => isEdited(ref.node));
+    });
+    
+    if (!isUnused) {
+      continue;
+    }
+    
+    aliasEdits.push(getStatementRemovalEdit(sourceCode, declaration));
+    removedDeclarations.add(declaration.node);
+    
+    // The alias this one was built from may now be unused too
+    const initPath = declarator.get('init');
+    const identifiers = initPath.isIdentifier() ? [initPath] : [];
+    initPath.traverse({
+      ReferencedIdentifier(refPath) {
+        identifiers.push(refPath);
+      }
+    });
+    identifiers.forEach(refPath => {
+      const initBinding = getConsoleAliasBinding(refPath.node, refPath.scope);
+      if (initBinding) pending.push(initBinding);
+    });
+  }
+  
+  return aliasEdits;
+}
+
+/**
+ * Build the edit that replaces an expression statement with its side effects
+ * `console.log('saved', save(), n++);` becomes `save();` and `n++;` on their own lines.
+ * @param {string} sourceCode - Original source
+ * @param {object} statementPath - Babel path of the ExpressionStatement
+ * @param {object[]} expressions - Side-effecting expressions (see getSideEffectExpressions)
+ * @returns {object} Edit { start, end, text, kept } where `kept` are the extracted ranges
+ */
+function getExtractionEdit(sourceCode, statementPath, expressions) {
+  const { node } = statementPath;
+  
+  // Guard against ASI joining an extracted `(a || b)` or `[...x]` to the previous line
+  const statements = expressions.map(({ text }) =>
+    /^[([`+\-/]/.test(text) ? `;${text};` : `${text};`
+  );
+  
+  if (!statementPath.listKey) {
+    const text = statements.length === 1 ? statements[0] : `{ ${statements.join(' ')} }`;
+    return { start: node.start, end: node.end, text, kept: expressions };
+  }
+  
+  const line = getLineContext(sourceCode, node.start, node.end);
+  const newline = sourceCode.includes('\r\n') ? '\r\n' : '\n';
+  const separator = /^[ \t]*$/.test(line.before) ? `${newline}${line.before}` : ' ';
+  
+  return { start: node.start, end: node.end, text: statements.join(separator), kept: expressions };
+}
+
+/**
+ * Build the edit that wraps an expression statement in `if (guard) { ... }`
+ * Continuation lines of multi-line statements are left untouched so template
+ * literals and strings keep their exact contents.
+ */
+function getGuardStatementEdit(sourceCode, statementPath, guardSource) {
+  const { node } = statementPath;
+  const statementSource = sourceCode.slice(node.start, node.end);
+  
+  if (!statementPath.listKey) {
+    // Braces avoid changing which `if` a following `else` belongs to
+    return { start: node.start, end: node.end, text: `{ if (${guardSource}) { ${statementSource} } }` };
+  }
+  
+  const line = getLineContext(sourceCode, node.start, node.end);
+  if (!/^[ \t]*$/.test(line.before) || !/^[ \t]*(\/\/.*)?\r?$/.test(line.after)) {
+    // Statement shares its line with other code - keep it on one line
+    return { start: node.start, end: node.end, text: `if (${guardSource}) { ${statementSource} }` };
+  }
+  
+  const indent = line.before;
+  const indentUnit = indent.includes('\t') ? '\t' : '  ';
+  const newline = sourceCode.includes('\r\n') ? '\r\n' : '\n';
+  
+  return {
+    start: node.start,
+    end: node.end,
+    text: `if (${guardSource}) {${newline}${indent}${indentUnit}${statementSource}${newline}${indent}}`
+  };
+}
+
+/**
+ * Parse a guard condition such as `__DEV__`
+ * @param {string} guardSource - Guard expression source
+ * @returns {object} Expression node
+ */
+function parseGuard(guardSource) {
+  try {
+    return parseExpression(guardSource);
+  } catch (error) {
+    throw new Error(`Invalid guard condition "${guardSource}": ${error.message}`);
+  }
+}
+
+/**
+ * Check whether a console call already only runs when the guard holds
+ * Matches `if (guard) { ... }`, `guard && console.log()` and `guard ? console.log() : x`.
+ */
+function isInsideGuard(path, guard) {
+  let child = path;
+  let current = path.parentPath;
+  
+  while (current && !current.isFunction() && !current.isProgram()) {
+    const { node } = current;
+    
+    if (current.isIfStatement() && child.key === 'consequent' && t.isNodesEquivalent(node.test, guard)) {
+      return true;
+    }
+    if (current.isConditionalExpression() && child.key === 'consequent' && t.isNodesEquivalent(node.test, guard)) {
+      return true;
+    }
+    if (current.isLogicalExpression({ operator: '&&' }) && child.key === 'right' && t.isNodesEquivalent(node.left, guard)) {
+      return true;
+    }
+    
+    child = current;
+    current = current.parentPath;
+  }
+  
+  return false;
+}
+
+/**
+ * Validate the configured callee strings (e.g. 'logger.debug')
+ * @param {object} migration - Migration options with a `callees` map (and an `import`)
+ * @throws {Error} If a callee is not an identifier or member chain, or is not the imported logger
+ */
+function validateMigrationCallees(migration) {
+  Object.keys(migration.callees).forEach(method => {
+    const calleeSource = migration.callees[method];
+    let callee;
+    try {
+      callee = parseExpression(calleeSource);
+    } catch (error) {
+      throw new Error(`Invalid logger callee "${calleeSource}" for ${formatMethod(method)}`);
+    }
+    
+    if (!getRootIdentifier(callee)) {
+      throw new Error(`Invalid logger callee "${calleeSource}" for ${formatMethod(method)} (expected e.g. logger.debug)`);
+    }
+  });
+  
+  // The import brings in a single name, so every callee must hang off it
+  if (migration.import) {
+    const roots = [...new Set(Object.values(migration.callees).map(callee => getRootIdentifier(parseExpression(callee))))];
+    const name = migration.import.name || roots[0];
+    const others = roots.filter(root => root !== name);
+    if (others.length > 0) {
+      throw new Error(
+        `The logger import only brings in "${name}", but the mappings also use ${others.map(root => `"${root}"`).join(', ')} ` +
+        `(map every method to ${name}.*, or migrate without an import and import the loggers yourself)`
+      );
+    }
+  }
+}
+
+/**
+ * Get the root identifier name of `a.b.c` style expressions
+ * @returns {string|null} Identifier name, or null for unsupported expressions
+ */
+function getRootIdentifier(node) {
+  if (t.isIdentifier(node)) {
+    return node.name;
+  }
+  if (t.isMemberExpression(node) && !node.computed) {
+    return getRootIdentifier(node.object);
+  }
+  return null;
+}
+
+/**
+ * Build the edit that inserts the logger import (ESM) or require (CommonJS)
+ * @param {object} ast - Parsed file
+ * @param {string} sourceCode - Original source
+ * @param {object} migration - Migration options ({ callees, import, baseDir })
+ * @param {string} filePath - File being processed (for relative import paths)
+ * @returns {object|null} Edit, or null when the logger is already in scope
+ */
+function getLoggerImportEdit(ast, sourceCode, migration, filePath) {
+  const importSpec = migration.import;
+  const firstCallee = migration.callees[Object.keys(migration.callees)[0]];
+  const name = importSpec.name || getRootIdentifier(parseExpression(firstCallee));
+  let hasBinding = false;
+  
+  traverse(ast, {
+    Program(programPath) {
+      hasBinding = programPath.scope.hasBinding(name);
+      programPath.stop();
+    }
+  });
+  
+  if (hasBinding) {
+    return null;
+  }
+  
+  const quote = detectQuote(ast);
+  const source = `${quote}${resolveImportSource(importSpec.source, filePath, migration.baseDir)}${quote}`;
+  const isModule = ast.program.sourceType === 'module';
+  const newline = sourceCode.includes('\r\n') ? '\r\n' : '\n';
+  
+  const declaration = isModule
+    ? `import ${importSpec.named ? `{ ${name} }` : name} from ${source};`
+    : `const ${importSpec.named ? `{ ${name} }` : name} = require(${source});`;
+  
+  // ESM: after the last import; CommonJS: after directives / hashbang, or at the top
+  const body = ast.program.body;
+  const lastImport = isModule
+    ? body.filter(statement => statement.type === 'ImportDeclaration').pop()
+    : null;
+  const directives = ast.program.directives;
+  const anchor = lastImport ||
+    (directives.length > 0 ? directives[directives.length - 1] : null) ||
+    ast.program.interpreter;
+  
+  if (anchor) {
+    return { start: anchor.end, end: anchor.end, text: `${newline}${declaration}` };
+  }
+  
+  if (body.length === 0) {
+    return { start: 0, end: 0, text: `${declaration}${newline}` };
+  }
+  
+  // A first statement sharing its line (`<script>console.log(x)`) gets the declaration in front of it
+  const line = getLineContext(sourceCode, body[0].start, body[0].start);
+  if (!/^[ \t]*$/.test(line.before)) {
+    return { start: body[0].start, end: body[0].start, text: `${declaration} ` };
+  }
+  return { start: line.lineStart, end: line.lineStart, text: `${declaration}${newline}` };
+}
+
+/**
+ * Detect the file's preferred string quote from its first string literal
+ */
+function detectQuote(ast) {
+  let quote = "'";
+  
+  traverse(ast, {
+    StringLiteral(stringPath) {
+      const raw = stringPath.node.extra && stringPath.node.extra.raw;
+      if (raw) {
+        quote = raw[0];
+        stringPath.stop();
+      }
+    }
+  });
+  
+  return quote;
+}
+
+/**
+ * Make a relative import source relative to the file being migrated
+ * Sources are relative to `baseDir` (usually the config directory); package names are kept as-is.
+ */
+function resolveImportSource(source, filePath, baseDir) {
+  if (!source.startsWith('.') || !filePath || !baseDir) {
+    return source;
+  }
+  
+  const target = path.resolve(baseDir, source);
+  let relative = path.relative(path.dirname(filePath), target).split(path.sep).join('/');
+  if (!relative.startsWith('.')) {
+    relative = `./${relative}`;
+  }
+  return relative;
+}
+
 /**
  * Create backup of files before modification
+ * @param {string[]} filePaths - Files to back up
+ * @param {string} baseDir - Directory the archive paths are relative to
+ * @param {string} backupDir - Where to write the archive (default: OS temp directory)
  */
-async function createBackup(filePaths, baseDir) {
+async function createBackup(filePaths, baseDir, backupDir = null) {
   const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
   const backupFileName = `log-sweep-backup-${timestamp}.tar.gz`;
-  const backupPath = path.join(os.tmpdir(), backupFileName);
+  const targetDir = backupDir || os.tmpdir();
+  fs.mkdirSync(targetDir, { recursive: true });
+  const backupPath = path.join(targetDir, backupFileName);
   
   // Create backup archive
   await tar.create(
@@ -302,8 +786,14 @@ async function restoreBackup(backupPath) {
 }
 
 module.exports = {
+  DEFAULT_GUARD,
   removeConsoleStatements,
+  migrateConsoleStatements,
   removeFromSource,
+  validateMigrationCallees,
+  getRemovalChanges,
+  removeStagedConsoleStatements,
+  getStatementKey,
   createBackup,
   restoreBackup
 };
@@ -0,0 +1,32 @@
+/**
+ * Checkstyle Reporter
+ * Checkstyle XML, understood by most CI annotation plugins
+ */
+
+const { listStatements, toRelativePath, escapeXml, describeStatement, formatMethod } = require('./utils');
+
+function checkstyleReporter(results, context) {
+  const byFile = new Map();
+  listStatements(results).forEach(({ file, stmt }) => {
+    if (!byFile.has(file)) byFile.set(file, []);
+    byFile.get(file).push(stmt);
+  });
+
+  const lines = ['<?xml version="1.0" encoding="utf-8"?>', '<checkstyle version="4.3">'];
+
+  byFile.forEach((statements, file) => {
+    lines.push(`  <file name="${escapeXml(toRelativePath(file, context))}">`);
+    statements.forEach(stmt => {
+      lines.push(
+        `    <error line="${stmt.line}" column="${stmt.column + 1}" severity="warning" ` +
+        `message="${escapeXml(describeStatement(stmt))}" source="log-sweep.${escapeXml(formatMethod(stmt.method))}" />`
+      );
+    });
+    lines.push('  </file>');
+  });
+
+  lines.push('</checkstyle>');
+  return lines.join('\n');
+}
+
+module.exports = checkstyleReporter;
@@ -0,0 +1,35 @@
+/**
+ * CSV Reporter
+ * One row per console statement, for spreadsheets and ad-hoc analysis
+ */
+
+const { listStatements, toRelativePath } = require('./utils');
+
+const COLUMNS = ['file', 'line', 'column', 'endLine', 'endColumn', 'method', 'hasSideEffects', 'code'];
+
+/**
+ * Quote a CSV field when it contains separators, quotes or newlines
+ */
+function escapeCsv(value) {
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvReporter(results, context) {
+  const rows = listStatements(results).map(({ file, stmt }) => [
+    toRelativePath(file, context),
+    stmt.line,
+    stmt.column + 1,
+    stmt.endLine,
+    stmt.endColumn + 1,
+    stmt.method,
+    stmt.hasSideEffects,
+    stmt.code
+  ]);
+
+  return [COLUMNS, ...rows]
+    .map(row => row.map(escapeCsv).join(','))
+    .join('\n');
+}
+
+module.exports = csvReporter;
@@ -0,0 +1,70 @@
+/**
+ * Reporters Module
+ * Format scan results for terminals, files and CI integrations
+ *
+ * A reporter is a function `(results, context) => string`, where context is
+ * { cwd, version }. Custom reporters are CommonJS modules exporting either
+ * such a function or an object with a `report` function.
+ */
+
+const path = require('path');
+
+const BUILTIN_REPORTERS = {
+  pretty: () => require('./pretty'),
+  json: () => require('./json'),
+  csv: () => require('./csv'),
+  markdown: () => require('./markdown'),
+  checkstyle: () => require('./checkstyle'),
+  junit: () => require('./junit'),
+  sarif: () => require('./sarif')
+};
+
+/**
+ * Resolve a reporter by built-in name or module path
+ * @param {string} format - Built-in reporter name, or path/package of a custom reporter
+ * @param {string} cwd - Directory relative module paths are resolved against
+ * @returns {function} Reporter function
+ */
+function getReporter(format, cwd = process.cwd()) {
+  if (BUILTIN_REPORTERS[format]) {
+    return BUILTIN_REPORTERS[format]();
+  }
+
+  let reporterModule;
+  try {
+    const isPath = format.startsWith('.') || path.isAbsolute(format);
+    const modulePath = isPath
+      ? path.resolve(cwd, format)
+      : require.resolve(format, { paths: [cwd] });
+    reporterModule = require(modulePath);
+  } catch (error) {
+    throw new Error(
+      `Unknown format "${format}". Use one of: ${Object.keys(BUILTIN_REPORTERS).join(', ')}, or a path to a reporter module (${error.message})`
+    );
+  }
+
+  const reporter = typeof reporterModule === 'function' ? reporterModule : reporterModule && reporterModule.report;
+  if (typeof reporter !== 'function') {
+    throw new Error(`Reporter module "${format}" must export a function or an object with a report() function`);
+  }
+
+  return reporter;
+}
+
+/**
+ * Format scan results with the given reporter
+ * @param {object} results - Scan results from scanDirectory
+ * @param {string} format - Reporter name or module path
+ * @param {object} context - { cwd, version }
+ * @returns {string} Formatted report
+ */
+function formatResults(results, format, context) {
+  const reporter = getReporter(format, context.cwd);
+  return String(reporter(results, context));
+}
+
+module.exports = {
+  BUILTIN_REPORTERS: Object.keys(BUILTIN_REPORTERS),
+  getReporter,
+  formatResults
+};
@@ -0,0 +1,10 @@
+/**
+ * JSON Reporter
+ * Raw scan results, as written by `scan --output` before reporters existed
+ */
+
+function jsonReporter(results) {
+  return JSON.stringify(results, null, 2);
+}
+
+module.exports = jsonReporter;
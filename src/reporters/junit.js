@@ -0,0 +1,36 @@
+/**
+ * JUnit Reporter
+ * One test suite per file and one failing test case per console statement
+ */
+
+const { listStatements, toRelativePath, escapeXml, describeStatement, formatMethod } = require('./utils');
+
+function junitReporter(results, context) {
+  const byFile = new Map();
+  listStatements(results).forEach(({ file, stmt }) => {
+    if (!byFile.has(file)) byFile.set(file, []);
+    byFile.get(file).push(stmt);
+  });
+
+  const lines = [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    `<testsuites name="log-sweep" tests="${results.totalCount}" failures="${results.totalCount}">`
+  ];
+
+  byFile.forEach((statements, file) => {
+    const relPath = escapeXml(toRelativePath(file, context));
+    lines.push(`  <testsuite name="${relPath}" tests="${statements.length}" failures="${statements.length}">`);
+    statements.forEach(stmt => {
+      const name = `${formatMethod(stmt.method)} at line ${stmt.line}, column ${stmt.column + 1}`;
+      lines.push(`    <testcase classname="${relPath}" name="${escapeXml(name)}">`);
+      lines.push(`      <failure message="${escapeXml(describeStatement(stmt))}" type="${escapeXml(formatMethod(stmt.method))}">${escapeXml(stmt.code)}</failure>`);
+      lines.push('    </testcase>');
+    });
+    lines.push('  </testsuite>');
+  });
+
+  lines.push('</testsuites>');
+  return lines.join('\n');
+}
+
+module.exports = junitReporter;
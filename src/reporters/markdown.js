@@ -0,0 +1,52 @@
+/**
+ * Markdown Reporter
+ * Summary and per-file tables, suitable for PR descriptions
+ */
+
+const { listStatements, toRelativePath } = require('./utils');
+
+/**
+ * Escape characters that would break a Markdown table cell or inline HTML
+ */
+function escapeCell(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/\|/g, '\\|')
+    .replace(/\r?\n/g, ' ');
+}
+
+function markdownReporter(results, context) {
+  const lines = ['## Console Statement Report', ''];
+
+  lines.push(`- **Total console statements:** ${results.totalCount}`);
+  lines.push(`- **Files with console statements:** ${results.fileCount}`);
+  if (results.suppressedCount > 0) {
+    lines.push(`- **Suppressed by comments:** ${results.suppressedCount}`);
+  }
+
+  if (results.totalCount === 0) {
+    return lines.join('\n');
+  }
+
+  lines.push('', '### By Method', '', '| Method | Count | Files |', '| --- | ---: | ---: |');
+  Object.keys(results.byMethod)
+    .filter(method => results.byMethod[method].count > 0)
+    .sort((a, b) => results.byMethod[b].count - results.byMethod[a].count)
+    .forEach(method => {
+      const data = results.byMethod[method];
+      lines.push(`| \`${method}\` | ${data.count} | ${data.files.length} |`);
+    });
+
+  lines.push('', '### Statements', '', '| Location | Method | Code |', '| --- | --- | --- |');
+  listStatements(results).forEach(({ file, stmt }) => {
+    const location = `${toRelativePath(file, context)}:${stmt.line}:${stmt.column + 1}`;
+    const warning = stmt.hasSideEffects ? ' ⚠️' : '';
+    lines.push(`| ${escapeCell(location)} | \`${stmt.method}\`${warning} | <code>${escapeCell(stmt.code)}</code> |`);
+  });
+
+  return lines.join('\n');
+}
+
+module.exports = markdownReporter;
@@ -0,0 +1,93 @@
+/**
+ * Pretty Reporter
+ * Colored terminal summary (default `scan` output)
+ */
+
+const chalk = require('chalk');
+const path = require('path');
+
+// results.byAge groups (scan --blame), youngest first; `stale` ones are highlighted
+const AGE_LABELS = [
+  { key: 'uncommitted', label: 'Not committed yet' },
+  { key: 'week', label: 'Under a week' },
+  { key: 'month', label: '1 week - 1 month' },
+  { key: 'halfYear', label: '1 - 6 months' },
+  { key: 'year', label: '6 - 12 months', stale: true },
+  { key: 'older', label: 'Over a year', stale: true }
+];
+
+function prettyReporter(results, context) {
+  const lines = [];
+  
+  lines.push(chalk.white.bold('\n📊 Scan Results:\n'));
+  
+  // Summary
+  lines.push(chalk.white(`Total console statements: ${chalk.yellow.bold(results.totalCount)}`));
+  lines.push(chalk.white(`Files with console statements: ${chalk.yellow.bold(results.fileCount)}`));
+  if (results.suppressedCount > 0) {
+    lines.push(chalk.white(`Suppressed by comments: ${chalk.gray.bold(results.suppressedCount)}`));
+  }
+  
+  // By method
+  lines.push(chalk.white.bold('\n📋 By Method:\n'));
+  const foundMethods = Object.keys(results.byMethod)
+    .filter(method => results.byMethod[method].count > 0);
+  const width = Math.max(8, ...foundMethods.map(method => method.length));
+  foundMethods
+    .sort((a, b) => results.byMethod[b].count - results.byMethod[a].count)
+    .forEach(method => {
+      const data = results.byMethod[method];
+      const color = method === 'error' ? chalk.red : 
+                    method === 'warn' ? chalk.yellow :
+                    method === 'log' ? chalk.blue : chalk.gray;
+      lines.push(color(`  ${method.padEnd(width)} : ${data.count.toString().padStart(4)} occurrence${data.count === 1 ? '' : 's'}`));
+    });
+  
+  // Top files
+  const sortedFiles = Object.entries(results.byFile)
+    .sort((a, b) => b[1].count - a[1].count)
+    .slice(0, 10);
+  
+  if (sortedFiles.length > 0) {
+    lines.push(chalk.white.bold('\n📁 Top Files:\n'));
+    sortedFiles.forEach(([file, data], index) => {
+      const relPath = path.relative(context.cwd, file);
+      lines.push(chalk.gray(`  ${(index + 1).toString().padStart(2)}. ${relPath} (${data.count})`));
+    });
+    
+    if (Object.keys(results.byFile).length > 10) {
+      lines.push(chalk.gray(`  ... and ${Object.keys(results.byFile).length - 10} more files`));
+    }
+  }
+  
+  // By author and age (scan --blame)
+  const authors = results.byAuthor ? Object.values(results.byAuthor) : [];
+  if (authors.length > 0) {
+    lines.push(chalk.white.bold('\n👤 By Author:\n'));
+    authors
+      .sort((a, b) => b.count - a.count || a.oldest.localeCompare(b.oldest))
+      .slice(0, 10)
+      .forEach(({ author, email, count, oldest }) => {
+        lines.push(chalk.gray(`  ${count.toString().padStart(4)}  ${author} <${email}> (oldest ${oldest.slice(0, 10)})`));
+      });
+    
+    if (authors.length > 10) {
+      lines.push(chalk.gray(`  ... and ${authors.length - 10} more authors`));
+    }
+  }
+  
+  if (results.byAge && results.totalCount > 0) {
+    lines.push(chalk.white.bold('\n⏳ By Age:\n'));
+    const labelWidth = Math.max(...AGE_LABELS.map(({ label }) => label.length));
+    AGE_LABELS
+      .filter(({ key }) => results.byAge[key] > 0)
+      .forEach(({ key, label, stale }) => {
+        const line = `  ${label.padEnd(labelWidth)} : ${results.byAge[key].toString().padStart(4)}`;
+        lines.push(stale ? chalk.yellow(line) : chalk.gray(line));
+      });
+  }
+  
+  return lines.join('\n');
+}
+
+module.exports = prettyReporter;
@@ -0,0 +1,60 @@
+/**
+ * SARIF Reporter
+ * SARIF 2.1.0 log for code scanning dashboards (e.g. GitHub code scanning)
+ */
+
+const { listStatements, toRelativePath, describeStatement, formatMethod, getRuleId } = require('./utils');
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const INFORMATION_URI = 'https://github.com/AmElmo/log-sweep';
+
+function sarifReporter(results, context) {
+  const methods = Object.keys(results.byMethod)
+    .filter(method => results.byMethod[method].count > 0);
+
+  const rules = methods.map(method => ({
+    id: getRuleId(method),
+    name: getRuleId(method).split('-').map(part => part.charAt(0).toUpperCase() + part.slice(1)).join(''),
+    shortDescription: { text: `${formatMethod(method)} statement` },
+    defaultConfiguration: { level: 'warning' }
+  }));
+
+  const sarifResults = listStatements(results).map(({ file, stmt }) => ({
+    ruleId: getRuleId(stmt.method),
+    ruleIndex: methods.indexOf(stmt.method),
+    level: 'warning',
+    message: { text: describeStatement(stmt) },
+    locations: [{
+      physicalLocation: {
+        artifactLocation: { uri: toRelativePath(file, context) },
+        region: {
+          startLine: stmt.line,
+          startColumn: stmt.column + 1,
+          endLine: stmt.endLine,
+          endColumn: stmt.endColumn + 1,
+          snippet: { text: stmt.code }
+        }
+      }
+    }]
+  }));
+
+  const log = {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'log-sweep',
+          version: context.version,
+          informationUri: INFORMATION_URI,
+          rules
+        }
+      },
+      results: sarifResults
+    }]
+  };
+
+  return JSON.stringify(log, null, 2);
+}
+
+module.exports = sarifReporter;
@@ -0,0 +1,70 @@
+/**
+ * Reporter Utilities
+ * Shared helpers for building reports from scan results
+ */
+
+const path = require('path');
+const { formatMethod } = require('../targets');
+
+/**
+ * Flatten scan results into a list of statements with their file
+ * Sorted by file, then line, then column.
+ * @param {object} results - Scan results from scanDirectory
+ * @returns {object[]} [{ file, stmt }]
+ */
+function listStatements(results) {
+  const entries = [];
+
+  Object.keys(results.byFile).sort().forEach(file => {
+    results.byFile[file].statements.forEach(stmt => {
+      entries.push({ file, stmt });
+    });
+  });
+
+  return entries.sort((a, b) =>
+    a.file.localeCompare(b.file) || a.stmt.line - b.stmt.line || a.stmt.column - b.stmt.column
+  );
+}
+
+/**
+ * Get a file path relative to the report's base directory, with forward slashes
+ */
+function toRelativePath(file, context) {
+  return path.relative(context.cwd, file).split(path.sep).join('/');
+}
+
+/**
+ * Escape a string for use in XML text and attributes
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Identifier-safe rule id for a method (`console-log`, `logger-debug`)
+ */
+function getRuleId(method) {
+  return formatMethod(method).replace(/[^A-Za-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * Human-readable message for a statement
+ */
+function describeStatement(stmt) {
+  const suffix = stmt.hasSideEffects ? ' (arguments have potential side effects)' : '';
+  return `Unexpected ${formatMethod(stmt.method)} statement${suffix}`;
+}
+
+module.exports = {
+  listStatements,
+  toRelativePath,
+  escapeXml,
+  describeStatement,
+  formatMethod,
+  getRuleId
+};
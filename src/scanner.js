@@ -5,217 +5,168 @@
 
 const fs = require('fs');
 const path = require('path');
-const { parse } = require('@babel/parser');
-const traverse = require('@babel/traverse').default;
 const { glob } = require('glob');
+const { minimatch } = require('minimatch');
 const { 
   isGitRepository, 
-  getCurrentGitUser, 
   getUncommittedFiles,
-  isLineByCurrentUser,
+  getStagedFiles,
+  getFilesChangedSince,
+  getStagedContent,
+  getLineBlame,
   isFileUncommitted,
-  getUncommittedLines,
-  isLineUncommitted
+  hasGitFilters,
+  createGitContext,
+  prepareGitContext
 } = require('./git');
+const { detectStatements, matchesGitFilters } = require('./detector');
+const { resolveTargets, getTargetMethods } = require('./targets');
+const { getWorkerCount, scanFilesInParallel } = require('./pool');
+const { hashContent, loadScanCache } = require('./cache');
+const { EMBEDDED_EXTENSIONS, getScriptSources } = require('./embedded');
 
-/**
- * Check if a call expression is a console method call
- * Supports: console.log(), console['log'](), console?.log(), etc.
- * @param {object} node - AST node to check
- * @param {object} path - Babel path object
- * @returns {object|null} { method: string, isGlobal: boolean } or null
- */
-function isConsoleMethodCall(node, path) {
-  const callee = node.callee;
-  
-  // Handle optional call expression (console?.log?.())
-  if (callee.type === 'OptionalMemberExpression') {
-    return checkMemberExpression(callee, path);
-  }
-  
-  // Handle regular member expression (console.log or console['log'])
-  if (callee.type === 'MemberExpression') {
-    return checkMemberExpression(callee, path);
-  }
-  
-  return null;
-}
+// JavaScript and TypeScript files, plus files with embedded scripts (see embedded.js)
+const EXTENSIONS = ['js', 'jsx', 'ts', 'tsx', 'mjs', 'cjs', ...EMBEDDED_EXTENSIONS];
+const SOURCE_FILE_REGEX = new RegExp(`\\.(${EXTENSIONS.join('|')})$`);
 
-/**
- * Check if a member expression is accessing the console object
- * @param {object} memberExpr - MemberExpression or OptionalMemberExpression node
- * @param {object} path - Babel path object
- * @returns {object|null} { method: string, isGlobal: boolean } or null
- */
-function checkMemberExpression(memberExpr, path) {
-  // Check if object is 'console' identifier
-  if (memberExpr.object.type !== 'Identifier' || memberExpr.object.name !== 'console') {
-    return null;
-  }
-  
-  // Check if console is the global console (not shadowed)
-  const isGlobal = !path.scope.hasBinding('console');
-  
-  // Get the method name
-  let method = null;
-  
-  if (memberExpr.property.type === 'Identifier' && !memberExpr.computed) {
-    // console.log or console?.log
-    method = memberExpr.property.name;
-  } else if (memberExpr.property.type === 'StringLiteral' && memberExpr.computed) {
-    // console['log']
-    method = memberExpr.property.value;
-  }
-  
-  if (!method) {
-    return null;
-  }
-  
-  // Check if it's a known console method
-  const knownMethods = [
-    'log', 'warn', 'info', 'debug', 'error', 'trace', 'table', 'dir', 'dirxml',
-    'assert', 'count', 'countReset', 'time', 'timeEnd', 'timeLog', 'timeStamp',
-    'group', 'groupCollapsed', 'groupEnd', 'profile', 'profileEnd', 'clear'
-  ];
-  
-  if (!knownMethods.includes(method)) {
-    return null;
-  }
-  
-  return { method, isGlobal };
-}
-
-/**
- * Detect potential side effects in console arguments
- * @param {array} args - Array of argument nodes
- * @returns {boolean} True if side effects detected
- */
-function detectSideEffects(args) {
-  let hasSideEffects = false;
-  
-  // Helper to recursively check node for side effects
-  function checkNode(node) {
-    if (!node || hasSideEffects) return;
-    
-    // Update expressions: ++, --
-    if (node.type === 'UpdateExpression') {
-      hasSideEffects = true;
-      return;
-    }
-    // Assignment expressions: =, +=, etc.
-    if (node.type === 'AssignmentExpression') {
-      hasSideEffects = true;
-      return;
-    }
-    // Await expressions
-    if (node.type === 'AwaitExpression') {
-      hasSideEffects = true;
-      return;
-    }
-    // Yield expressions
-    if (node.type === 'YieldExpression') {
-      hasSideEffects = true;
-      return;
-    }
-    
-    // Recursively check child nodes
-    for (const key in node) {
-      if (key === 'loc' || key === 'type') continue;
-      const child = node[key];
-      if (Array.isArray(child)) {
-        child.forEach(checkNode);
-      } else if (child && typeof child === 'object' && child.type) {
-        checkNode(child);
-      }
-    }
-  }
-  
-  // Check all arguments
-  for (const arg of args) {
-    checkNode(arg);
-    if (hasSideEffects) break;
-  }
-  
-  return hasSideEffects;
-}
+// Age groups of blamed statements (results.byAge), by days since their commit
+const AGE_GROUPS = [
+  { key: 'week', maxDays: 7 },
+  { key: 'month', maxDays: 30 },
+  { key: 'halfYear', maxDays: 182 },
+  { key: 'year', maxDays: 365 },
+  { key: 'older', maxDays: Infinity }
+];
+const GLOB_CHARS_REGEX = /[*?{}[\]]/;
 
 /**
  * Scan a directory for console statements
  * @param {string} directory - Directory to scan
  * @param {string[]} excludePatterns - Patterns to exclude
- * @param {object} gitOptions - Git filtering options: { gitMine: boolean, gitUncommitted: boolean }
+ * @param {object} gitOptions - Git filtering options: { gitMine: boolean, gitUncommitted: boolean, gitSince: string, gitStaged: boolean,
+ *   gitAuthor: string[], gitTeams, gitBefore: string, gitAfter: string } (see createGitContext)
+ *   `gitSince` is a base ref (e.g. main): only changes since the branch forked from it are kept.
+ * @param {object} scanOptions - Extra options: { include: string[], loggerTargets: object[], concurrency: number, onProgress }
+ *   `include` globs restrict the scan; `loggerTargets` are resolved targets (default: console methods).
+ *   `concurrency` caps the worker threads used for large scans (1 scans on the main thread);
+ *   `onProgress(done, total)` is called as files are scanned.
+ *   `cache` reuses the detection of unchanged files from previous scans (stored in `cacheDir`,
+ *   and dropped when the effective `config` changes).
+ *   `blame` adds the author, commit and date of each statement (`statement.blame`) and
+ *   breaks results down by author (`byAuthor`) and age (`byAge`, see AGE_GROUPS).
  */
-async function scanDirectory(directory, excludePatterns = [], gitOptions = {}) {
+async function scanDirectory(directory, excludePatterns = [], gitOptions = {}, scanOptions = {}) {
+  const loggerTargets = scanOptions.loggerTargets || resolveTargets();
   const results = {
     totalCount: 0,
     fileCount: 0,
-    byMethod: initializeMethodStats(),
+    byMethod: initializeMethodStats(loggerTargets),
     byFile: {},
+    suppressedCount: 0,
     gitFiltered: false,
     gitFilterInfo: null
   };
   
   // Setup git filtering if requested
   let gitContext = null;
-  if (gitOptions.gitMine || gitOptions.gitUncommitted) {
-    if (!isGitRepository(directory)) {
+  if (hasGitFilters(gitOptions)) {
+    if (!(await isGitRepository(directory))) {
       throw new Error('Git filtering requested but directory is not a git repository');
     }
     
-    gitContext = {
-      enabled: true,
-      filterMine: gitOptions.gitMine,
-      filterUncommitted: gitOptions.gitUncommitted,
-      currentUser: null,
-      uncommittedFiles: null,
-      uncommittedLinesCache: new Map(), // Cache for line-level uncommitted changes
-      blameCache: new Map(),
-      baseDir: directory
-    };
-    
-    if (gitOptions.gitMine) {
-      gitContext.currentUser = getCurrentGitUser(directory);
-      results.gitFiltered = true;
-      results.gitFilterInfo = `Filtered to console statements by: ${gitContext.currentUser.name} <${gitContext.currentUser.email}>`;
+    gitContext = await createGitContext(directory, gitOptions, { blame: Boolean(scanOptions.blame) });
+    results.gitFiltered = true;
+    results.gitFilterInfo = getGitFilterInfo(gitContext);
+  } else if (scanOptions.blame) {
+    if (!(await isGitRepository(directory))) {
+      throw new Error('Blame requested but directory is not a git repository');
     }
     
-    if (gitOptions.gitUncommitted) {
-      gitContext.uncommittedFiles = getUncommittedFiles(directory);
-      results.gitFiltered = true;
-      results.gitFilterInfo = gitOptions.gitMine 
-        ? `${results.gitFilterInfo} (uncommitted changes only)`
-        : 'Filtered to uncommitted changes only';
-    }
+    gitContext = await createGitContext(directory, gitOptions, { blame: true });
+  }
+  
+  if (scanOptions.blame) {
+    results.byAuthor = {};
+    results.byAge = { uncommitted: 0 };
+    AGE_GROUPS.forEach(group => {
+      results.byAge[group.key] = 0;
+    });
   }
   
-  // Find all JavaScript files
-  let files = await findJavaScriptFiles(directory, excludePatterns);
+  // Find all JavaScript files (staged ones straight from the index, even if gone from disk)
+  let files = gitContext && gitContext.stagedContent
+    ? Array.from(await getStagedFiles(directory)).filter(createFileFilter(directory, excludePatterns, scanOptions.include || [])).sort()
+    : await findJavaScriptFiles(directory, excludePatterns, scanOptions.include || []);
   
-  // Filter to uncommitted files if requested
+  // Only files with changes in range can have statements in range
   if (gitContext && gitContext.filterUncommitted) {
-    files = files.filter(file => isFileUncommitted(file, gitContext.uncommittedFiles));
+    const uncommittedFiles = await getUncommittedFiles(directory);
+    files = files.filter(file => isFileUncommitted(file, uncommittedFiles));
+  }
+  if (gitContext && gitContext.filterStaged && !gitContext.stagedContent) {
+    const stagedFiles = await getStagedFiles(directory);
+    files = files.filter(file => stagedFiles.has(file));
+  }
+  if (gitContext && gitContext.sinceBase) {
+    const changedFiles = await getFilesChangedSince(directory, gitContext.sinceBase);
+    files = files.filter(file => changedFiles.has(file));
   }
   
-  // Scan each file
-  for (const file of files) {
-    try {
-      const fileResults = await scanFile(file, gitContext);
+  // Changed lines of every file at once; blame waits until a file turns out to have statements
+  if (gitContext) {
+    await prepareGitContext(gitContext, files, { blame: false });
+  }
+  
+  const cache = scanOptions.cache
+    ? loadScanCache(directory, { cacheDir: scanOptions.cacheDir, loggerTargets, config: scanOptions.config })
+    : null;
+  
+  // Scan each file, on worker threads when there are enough files to share
+  const workers = getWorkerCount(files.length, scanOptions.concurrency);
+  if (workers > 1) {
+    const outcomes = await scanFilesInParallel(files, {
+      workers,
+      loggerTargets,
+      gitContext,
+      cache,
+      onProgress: scanOptions.onProgress
+    });
+    
+    // Aggregated in file order, so results match the sequential scan
+    outcomes.forEach((outcome, index) => {
+      addFileResults(results, files[index], outcome.result, outcome.error);
+    });
+  } else {
+    // Files are parsed one by one, while git reads the ones already parsed
+    let done = 0;
+    const pending = [];
+    for (const file of files) {
+      pending.push(scanFile(file, gitContext, loggerTargets, cache).then(
+        result => ({ result }),
+        error => ({ error: error.message })
+      ).finally(() => {
+        done++;
+        if (scanOptions.onProgress) {
+          scanOptions.onProgress(done, files.length);
+        }
+      }));
       
-      if (fileResults.statements.length > 0) {
-        results.byFile[file] = fileResults;
-        results.fileCount++;
-        results.totalCount += fileResults.count;
-        
-        // Update method statistics
-        fileResults.statements.forEach(stmt => {
-          results.byMethod[stmt.method].count++;
-          results.byMethod[stmt.method].files.add(file);
-        });
-      }
+      // Let the spinner render and git output come in between files
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    
+    (await Promise.all(pending)).forEach((outcome, index) => {
+      addFileResults(results, files[index], outcome.result, outcome.error);
+    });
+  }
+  
+  if (cache) {
+    try {
+      cache.save();
     } catch (error) {
-      // Skip files that can't be parsed (minified, non-standard syntax, etc.)
+      // A cache that can't be written only makes the next scan slower
       if (process.env.DEBUG) {
-        console.error(`Warning: Could not parse ${file}: ${error.message}`);
+        console.error(`Warning: Could not write scan cache: ${error.message}`);
       }
     }
   }
@@ -229,117 +180,238 @@ async function scanDirectory(directory, excludePatterns = [], gitOptions = {}) {
 }
 
 /**
- * Scan a single file for console statements
- * @param {string} filePath - Path to file
- * @param {object} gitContext - Git filtering context (optional)
+ * Describe the git filters of a scan
+ * @param {object} gitContext - Git context from createGitContext()
+ * @returns {string} e.g. "Filtered to console statements by: Jane <jane@example.com> (staged changes only)"
  */
-async function scanFile(filePath, gitContext = null) {
-  const content = fs.readFileSync(filePath, 'utf8');
-  const statements = [];
+function getGitFilterInfo(gitContext) {
+  const changes = [];
+  if (gitContext.filterUncommitted) changes.push('uncommitted changes');
+  if (gitContext.filterStaged) changes.push('staged changes');
+  if (gitContext.sinceBase) changes.push(`changes since ${gitContext.sinceRef} (${gitContext.sinceBase.slice(0, 7)})`);
+  if (gitContext.dateRange) changes.push(getDateRangeInfo(gitContext.dateRange));
   
-  try {
-    // Parse with Babel (handles modern JS syntax)
-    const ast = parse(content, {
-      sourceType: 'unambiguous', // Auto-detect module vs script
-      plugins: [
-        'jsx',
-        'typescript',
-        'decorators-legacy',
-        'classProperties',
-        'dynamicImport',
-        'objectRestSpread',
-        'asyncGenerators',
-        'optionalChaining',
-        'nullishCoalescingOperator'
-      ],
-      errorRecovery: true
-    });
+  const authors = [];
+  if (gitContext.filterMine) {
+    const { name, email } = gitContext.currentUser;
+    authors.push(`${name} <${email}>`);
+  }
+  if (gitContext.authors) authors.push(...gitContext.authorSpecs);
+  
+  if (authors.length === 0) {
+    return `Filtered to ${changes.join(' and ')} only`;
+  }
+  
+  const info = `Filtered to console statements by: ${authors.join(', ')}`;
+  return changes.length > 0 ? `${info} (${changes.join(' and ')} only)` : info;
+}
+
+/**
+ * Describe a commit date range (e.g. "lines committed before 2024-01-31")
+ */
+function getDateRangeInfo({ before, after }) {
+  const format = (time) => new Date(time * 1000).toISOString().slice(0, 10);
+  const bounds = [];
+  if (after !== null) bounds.push(`after ${format(after)}`);
+  if (before !== null) bounds.push(`before ${format(before)}`);
+  return `lines committed ${bounds.join(' and ')}`;
+}
+
+/**
+ * Add the results of one file to the scan results
+ * @param {object} results - Scan results being built
+ * @param {string} file - File path
+ * @param {object} fileResults - scanFile() results, or null when the file failed
+ * @param {string} error - Why the file failed (optional)
+ */
+function addFileResults(results, file, fileResults, error = null) {
+  if (!fileResults) {
+    // Skip files that can't be parsed (minified, non-standard syntax, etc.)
+    if (process.env.DEBUG) {
+      console.error(`Warning: Could not parse ${file}: ${error}`);
+    }
+    return;
+  }
+  
+  results.suppressedCount += fileResults.suppressed;
+  
+  if (fileResults.statements.length > 0) {
+    results.byFile[file] = fileResults;
+    results.fileCount++;
+    results.totalCount += fileResults.count;
     
-    // Traverse AST and find console statements
-    traverse(ast, {
-      CallExpression(path) {
-        const { node } = path;
-        
-        // Check if this is a console.method() call
-        // Support direct property access (console.log) and optional chaining (console?.log)
-        const isConsoleCall = isConsoleMethodCall(node, path);
-        
-        if (isConsoleCall) {
-          const { method, isGlobal } = isConsoleCall;
-          const loc = node.loc;
-          const lineNumber = loc.start.line;
-          
-          // Skip if console is shadowed (not the global console)
-          if (!isGlobal) {
-            return;
-          }
-          
-          // Apply git filtering if enabled
-          if (gitContext && gitContext.filterMine) {
-            const isMyLine = isLineByCurrentUser(
-              filePath, 
-              lineNumber, 
-              gitContext.currentUser.email,
-              gitContext.blameCache,
-              gitContext.baseDir
-            );
-            
-            // Skip this statement if not authored by current user
-            if (!isMyLine) {
-              return;
-            }
-          }
-          
-          // Apply uncommitted line filtering if enabled
-          if (gitContext && gitContext.filterUncommitted) {
-            // Get uncommitted lines for this file (cached)
-            if (!gitContext.uncommittedLinesCache.has(filePath)) {
-              const uncommittedLines = getUncommittedLines(filePath, gitContext.baseDir);
-              gitContext.uncommittedLinesCache.set(filePath, uncommittedLines);
-            }
-            
-            const uncommittedLines = gitContext.uncommittedLinesCache.get(filePath);
-            const isUncommitted = isLineUncommitted(lineNumber, uncommittedLines);
-            
-            // Skip this statement if not in uncommitted changes
-            if (!isUncommitted) {
-              return;
-            }
-          }
-          
-          // Detect potential side effects in arguments
-          const hasSideEffects = detectSideEffects(node.arguments);
-          
-          statements.push({
-            method,
-            line: lineNumber,
-            column: loc.start.column,
-            endLine: loc.end.line,
-            endColumn: loc.end.column,
-            code: getCodeSnippet(content, loc),
-            hasSideEffects: hasSideEffects
-          });
-        }
+    // Update method statistics
+    fileResults.statements.forEach(stmt => {
+      // Open-ended targets (no methods list) add their methods as they are found
+      if (!results.byMethod[stmt.method]) {
+        results.byMethod[stmt.method] = { count: 0, files: new Set() };
+      }
+      results.byMethod[stmt.method].count++;
+      results.byMethod[stmt.method].files.add(file);
+      
+      if (results.byAuthor) {
+        addBlameStats(results, stmt.blame);
       }
     });
+  }
+}
+
+/**
+ * Count a blamed statement in the author and age breakdowns
+ * @param {object} results - Scan results being built
+ * @param {object|null} blame - statement.blame (null when not committed yet)
+ */
+function addBlameStats(results, blame) {
+  if (!blame) {
+    results.byAge.uncommitted++;
+    return;
+  }
+  
+  const key = `${blame.author} <${blame.email}>`;
+  if (!results.byAuthor[key]) {
+    results.byAuthor[key] = { author: blame.author, email: blame.email, count: 0, oldest: blame.date };
+  }
+  const stats = results.byAuthor[key];
+  stats.count++;
+  if (blame.date < stats.oldest) {
+    stats.oldest = blame.date;
+  }
+  
+  const days = (Date.now() - Date.parse(blame.date)) / (24 * 60 * 60 * 1000);
+  results.byAge[AGE_GROUPS.find(group => days < group.maxDays).key]++;
+}
+
+/**
+ * Scan a single file for console statements
+ * @param {string} filePath - Path to file
+ * @param {object} gitContext - Git filtering context (optional; with `stagedContent`, the staged version is scanned,
+ *   and with `blame`, statements carry their blame)
+ * @param {object[]} loggerTargets - Resolved targets to match (default: console methods)
+ * @param {object} cache - Scan cache from loadScanCache() (optional)
+ */
+async function scanFile(filePath, gitContext = null, loggerTargets = resolveTargets(), cache = null) {
+  const content = gitContext && gitContext.stagedContent
+    ? await getStagedContent(filePath, gitContext.baseDir)
+    : fs.readFileSync(filePath, 'utf8');
+  const hash = cache ? hashContent(content) : null;
+  const statements = [];
+  let suppressed = 0;
+  
+  // Detection only depends on the contents; git filters are applied after the cache
+  let detected = cache ? cache.get(filePath, hash) : null;
+  if (!detected) {
+    const matches = [];
+    try {
+      // One source per <script> block for Vue, Svelte, Astro and HTML files
+      getScriptSources(content, filePath).forEach(source => {
+        matches.push(...detectStatements(source, { loggerTargets }).matches);
+      });
+    } catch (error) {
+      // Re-throw parsing errors for the caller to handle
+      throw new Error(`Parse error in ${filePath}: ${error.message}`);
+    }
     
-  } catch (error) {
-    // Re-throw parsing errors for the caller to handle
-    throw new Error(`Parse error in ${filePath}: ${error.message}`);
+    detected = matches.map(({ statement, suppressed: isSuppressed }) => ({ statement, suppressed: isSuppressed }));
+    if (cache) cache.set(filePath, hash, detected);
+  }
+  
+  // Git data (blame, and changed lines if not loaded yet) is only needed for files with statements
+  if (gitContext && detected.length > 0) {
+    await prepareGitContext(gitContext, [filePath]);
   }
   
+  detected.forEach(({ statement, suppressed: isSuppressed }) => {
+    // Skip statements outside the git filters (author, uncommitted lines)
+    if (!matchesGitFilters(filePath, statement.line, gitContext)) {
+      return;
+    }
+    
+    // Skip (but count) statements disabled by an inline directive
+    if (isSuppressed) {
+      suppressed++;
+      return;
+    }
+    
+    // Copied, so blame never ends up in the scan cache
+    statements.push(gitContext && gitContext.blame
+      ? { ...statement, blame: getStatementBlame(filePath, statement.line, gitContext) }
+      : statement);
+  });
+  
   return {
     file: filePath,
     count: statements.length,
+    suppressed,
     statements: statements.sort((a, b) => a.line - b.line)
   };
 }
 
+/**
+ * Get the author, commit and date of a statement's line
+ * @returns {object|null} { author, email, commit, date (ISO 8601) }, or null when not committed yet
+ */
+function getStatementBlame(filePath, lineNumber, gitContext) {
+  const entry = getLineBlame(filePath, lineNumber, gitContext.blameCache);
+  if (!entry) {
+    return null;
+  }
+  
+  return {
+    author: entry.name,
+    email: entry.email,
+    commit: entry.commit,
+    date: new Date(entry.time * 1000).toISOString()
+  };
+}
+
 /**
  * Find all JavaScript files in directory
+ * @param {string} directory - Directory to search
+ * @param {string[]} excludePatterns - Directory names (e.g. "test") or globs to exclude
+ * @param {string[]} includePatterns - Globs to restrict the search to (optional)
+ */
+async function findJavaScriptFiles(directory, excludePatterns, includePatterns = []) {
+  const { patterns, ignorePatterns } = getScanPatterns(directory, excludePatterns, includePatterns);
+  
+  const files = await glob(patterns, {
+    ignore: ignorePatterns,
+    nodir: true,
+    absolute: true
+  });
+  
+  return files.filter(file => SOURCE_FILE_REGEX.test(file));
+}
+
+/**
+ * Build a check for whether a single file is part of a scan
+ * Same rules as findJavaScriptFiles, for files that appear later (e.g. in watch mode).
+ * @param {string} directory - Scanned directory
+ * @param {string[]} excludePatterns - Directory names or globs to exclude
+ * @param {string[]} includePatterns - Globs to restrict the scan to (optional)
+ * @returns {function} (absoluteFilePath) => boolean
+ */
+function createFileFilter(directory, excludePatterns, includePatterns = []) {
+  const { patterns, ignorePatterns } = getScanPatterns(directory, excludePatterns, includePatterns);
+  
+  return (file) => SOURCE_FILE_REGEX.test(file) &&
+    patterns.some(pattern => minimatch(file, pattern, { dot: true })) &&
+    !ignorePatterns.some(pattern => minimatch(file, pattern, { dot: true }));
+}
+
+/**
+ * Get the globs a scan searches and ignores
+ * Include patterns replace the default "everything under directory" pattern.
+ * Plain paths (no glob characters) are treated as directories.
  */
-async function findJavaScriptFiles(directory, excludePatterns) {
-  const pattern = path.join(directory, '**/*.{js,jsx,ts,tsx,mjs,cjs}');
+function getScanPatterns(directory, excludePatterns, includePatterns) {
+  const extensions = `{${EXTENSIONS.join(',')}}`;
+  
+  const patterns = includePatterns.length > 0
+    ? includePatterns.map(p => {
+        const absolute = path.isAbsolute(p) ? p : path.join(directory, p);
+        return GLOB_CHARS_REGEX.test(p) ? absolute : path.join(absolute, `**/*.${extensions}`);
+      })
+    : [path.join(directory, `**/*.${extensions}`)];
   
   const ignorePatterns = [
     '**/node_modules/**',
@@ -347,53 +419,35 @@ async function findJavaScriptFiles(directory, excludePatterns) {
     '**/dist/**',
     '**/build/**',
     '**/*.min.js',
-    ...excludePatterns.map(p => `**/${p}/**`)
+    ...excludePatterns.map(p => toIgnorePattern(p, directory))
   ];
   
-  const files = await glob(pattern, {
-    ignore: ignorePatterns,
-    nodir: true,
-    absolute: true
-  });
-  
-  return files;
+  return { patterns, ignorePatterns };
 }
 
 /**
- * Get code snippet for a location
+ * Convert an exclude entry into a glob ignore pattern
+ * Bare names exclude matching directories anywhere; globs are used as-is
+ * (relative globs are resolved against the scanned directory).
  */
-function getCodeSnippet(content, loc) {
-  const lines = content.split('\n');
-  
-  if (loc.start.line === loc.end.line) {
-    // Single line
-    const line = lines[loc.start.line - 1];
-    return line.substring(loc.start.column, loc.end.column).trim();
-  } else {
-    // Multi-line - show first and last line
-    const firstLine = lines[loc.start.line - 1].substring(loc.start.column).trim();
-    const lastLine = lines[loc.end.line - 1].substring(0, loc.end.column).trim();
-    
-    if (loc.end.line - loc.start.line === 1) {
-      return `${firstLine} ${lastLine}`;
-    } else {
-      return `${firstLine} ... ${lastLine}`;
-    }
+function toIgnorePattern(pattern, directory) {
+  if (!GLOB_CHARS_REGEX.test(pattern) && !pattern.includes('/')) {
+    return `**/${pattern}/**`;
   }
+  if (pattern.startsWith('**') || path.isAbsolute(pattern)) {
+    return pattern;
+  }
+  return path.join(directory, pattern);
 }
 
 /**
  * Initialize method statistics object
+ * @param {object[]} loggerTargets - Resolved targets
  */
-function initializeMethodStats() {
-  const methods = [
-    'log', 'warn', 'info', 'debug', 'error', 'trace', 'table', 'dir', 'dirxml',
-    'assert', 'count', 'countReset', 'time', 'timeEnd', 'timeLog', 'timeStamp',
-    'group', 'groupCollapsed', 'groupEnd', 'profile', 'profileEnd', 'clear'
-  ];
+function initializeMethodStats(loggerTargets) {
   const stats = {};
   
-  methods.forEach(method => {
+  getTargetMethods(loggerTargets).forEach(method => {
     stats[method] = {
       count: 0,
       files: new Set()
@@ -405,6 +459,8 @@ function initializeMethodStats() {
 
 module.exports = {
   scanDirectory,
-  scanFile
+  scanFile,
+  findJavaScriptFiles,
+  createFileFilter
 };
 
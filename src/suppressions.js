@@ -0,0 +1,144 @@
+/**
+ * Suppressions Module
+ * ESLint-style inline directives that keep console statements from being reported or removed
+ *
+ * Supported directives (optionally followed by comma-separated methods and a `-- reason`):
+ *   // log-sweep-disable-next-line [methods]
+ *   // log-sweep-disable-line [methods]  (on any line of a multi-line statement)
+ *   /* log-sweep-disable [methods] *\/ ... /* log-sweep-enable [methods] *\/
+ *   /* log-sweep-disable-file [methods] *\/
+ */
+
+const DIRECTIVE_REGEX = /^\s*\**\s*log-sweep-(disable-next-line|disable-line|disable-file|disable|enable)\b(.*)$/s;
+
+/**
+ * Parse a single comment into a directive
+ * @param {object} comment - Babel comment node
+ * @returns {object|null} { type: string, methods: string[]|null, comment } or null
+ */
+function parseDirective(comment) {
+  const match = comment.value.match(DIRECTIVE_REGEX);
+  if (!match) {
+    return null;
+  }
+
+  // Strip an optional "-- reason" suffix
+  const rest = match[2].split(/\s--(\s|$)/)[0];
+  const methods = rest
+    .split(/[\s,]+/)
+    .map(method => method.replace(/^\*+|\*+$/g, ''))
+    .filter(Boolean);
+
+  return {
+    type: match[1],
+    methods: methods.length > 0 ? methods : null,
+    comment
+  };
+}
+
+/**
+ * Build a matcher for the suppression directives in a file
+ * @param {object[]} comments - Comments from the parsed AST (ast.comments)
+ * @returns {object} { isSuppressed(node, method): boolean, hasDirectives: boolean }
+ */
+function createSuppressionMatcher(comments = []) {
+  const directives = comments
+    .map(parseDirective)
+    .filter(Boolean)
+    .sort((a, b) => a.comment.start - b.comment.start);
+
+  // line -> methods[] | null (null = all methods)
+  const nextLineDirectives = new Map();
+  const lineDirectives = new Map();
+  const blockDirectives = [];
+  let fileMethods = undefined; // undefined = no file-level directive
+
+  const addLine = (lines, line, methods) => {
+    if (!lines.has(line)) {
+      lines.set(line, []);
+    }
+    lines.get(line).push(methods);
+  };
+
+  const matchesLine = (lines, line, method) => {
+    const entries = lines.get(line);
+    return Boolean(entries) && entries.some(methods => methods === null || methods.includes(method));
+  };
+
+  for (const directive of directives) {
+    const { type, methods, comment } = directive;
+
+    if (type === 'disable-next-line') {
+      addLine(nextLineDirectives, comment.loc.end.line + 1, methods);
+    } else if (type === 'disable-line') {
+      addLine(lineDirectives, comment.loc.start.line, methods);
+    } else if (type === 'disable-file') {
+      fileMethods = methods === null || fileMethods === null
+        ? null
+        : [...(fileMethods || []), ...methods];
+    } else {
+      blockDirectives.push(directive);
+    }
+  }
+
+  /**
+   * Replay disable/enable blocks up to a source offset
+   */
+  function isBlockDisabled(offset, method) {
+    let all = false;
+    const methods = new Set();
+    const reEnabled = new Set();
+
+    for (const { type, methods: scoped, comment } of blockDirectives) {
+      if (comment.end > offset) break;
+
+      if (type === 'disable') {
+        if (!scoped) {
+          all = true;
+          reEnabled.clear();
+        } else {
+          scoped.forEach(m => all ? reEnabled.delete(m) : methods.add(m));
+        }
+      } else if (!scoped) {
+        all = false;
+        methods.clear();
+        reEnabled.clear();
+      } else {
+        scoped.forEach(m => {
+          methods.delete(m);
+          if (all) reEnabled.add(m);
+        });
+      }
+    }
+
+    return (all && !reEnabled.has(method)) || methods.has(method);
+  }
+
+  function isSuppressed(node, method) {
+    if (fileMethods === null || (fileMethods && fileMethods.includes(method))) {
+      return true;
+    }
+
+    if (matchesLine(nextLineDirectives, node.loc.start.line, method)) {
+      return true;
+    }
+
+    // A multi-line call may carry its directive on the closing line
+    for (let line = node.loc.start.line; line <= node.loc.end.line; line++) {
+      if (matchesLine(lineDirectives, line, method)) {
+        return true;
+      }
+    }
+
+    return blockDirectives.length > 0 && isBlockDisabled(node.start, method);
+  }
+
+  return {
+    isSuppressed,
+    hasDirectives: directives.length > 0
+  };
+}
+
+module.exports = {
+  createSuppressionMatcher
+};
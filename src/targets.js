@@ -0,0 +1,186 @@
+/**
+ * Targets Module
+ * The logging calls log-sweep matches: console methods plus configured custom loggers
+ *
+ * Target shapes (from the "targets" config key):
+ *   { object: 'logger', methods: ['debug', 'trace'] }  logger.debug(...)       -> "logger.debug"
+ *   { object: 'this.log' }                             this.log.<any>(...)     -> "this.log.<method>"
+ *   { callee: 'dbg' }                                  dbg(...)                -> "dbg"
+ *   { factory: 'debug', name: 'debug-ns' }             debug('ns')(...)        -> "debug-ns"
+ * A target with `object: 'console'` replaces the built-in console method list.
+ */
+
+const { getConsoleCallMethod, getPropertyName } = require('./aliases');
+
+// Every standard console method
+const CONSOLE_METHODS = [
+  'log', 'warn', 'info', 'debug', 'error', 'trace', 'table', 'dir', 'dirxml',
+  'assert', 'count', 'countReset', 'time', 'timeEnd', 'timeLog', 'timeStamp',
+  'group', 'groupCollapsed', 'groupEnd', 'profile', 'profileEnd', 'clear'
+];
+
+/**
+ * Combine the built-in console target with custom targets
+ * @param {object[]} customTargets - Normalized targets from the config (optional)
+ * @returns {object[]} Targets to match
+ */
+function resolveTargets(customTargets = []) {
+  const hasConsoleTarget = customTargets.some(target => target.object === 'console');
+  return hasConsoleTarget
+    ? customTargets
+    : [{ object: 'console', methods: CONSOLE_METHODS }, ...customTargets];
+}
+
+/**
+ * Get the method name a target reports for a call
+ * Console methods keep their bare name (`log`); other objects are prefixed (`logger.debug`).
+ */
+function getTargetLabel(target, method = null) {
+  if (target.object) {
+    return target.object === 'console' ? method : `${target.object}.${method}`;
+  }
+  if (target.callee) {
+    return target.name || target.callee;
+  }
+  return target.name || `${target.factory}()`;
+}
+
+/**
+ * List every method name the targets can report
+ * Object targets without a `methods` list match any method, so they can't be enumerated.
+ * @param {object[]} targets - Resolved targets
+ * @returns {string[]} Method names
+ */
+function getTargetMethods(targets) {
+  const methods = [];
+
+  targets.forEach(target => {
+    if (target.object && !target.methods) return;
+    const labels = target.object
+      ? target.methods.map(method => getTargetLabel(target, method))
+      : [getTargetLabel(target)];
+    labels.forEach(label => {
+      if (!methods.includes(label)) methods.push(label);
+    });
+  });
+
+  return methods;
+}
+
+/**
+ * Check if a method name (as given to --methods, allow, forbid, ...) can be reported
+ * @param {object[]} targets - Resolved targets
+ * @param {string} method - Method name
+ * @returns {boolean}
+ */
+function isKnownMethod(targets, method) {
+  return getTargetMethods(targets).includes(method) ||
+    targets.some(target => target.object && !target.methods && method.startsWith(`${target.object}.`));
+}
+
+/**
+ * Get the display name of a reported method (`console.log`, `logger.debug`, `dbg`)
+ * @param {string} method - Method name from a statement
+ * @returns {string} Display name
+ */
+function formatMethod(method) {
+  return CONSOLE_METHODS.includes(method) ? `console.${method}` : method;
+}
+
+/**
+ * Build a matcher for calls to any of the targets
+ * @param {object[]} targets - Resolved targets
+ * @returns {function} (node, scope) => method name or null
+ */
+function createCallMatcher(targets) {
+  return (node, scope) => {
+    for (const target of targets) {
+      const method = matchTarget(target, node, scope);
+      if (method) {
+        return method;
+      }
+    }
+    return null;
+  };
+}
+
+/**
+ * Match a call expression against a single target
+ * @returns {string|null} Method name or null
+ */
+function matchTarget(target, node, scope) {
+  const callee = node.callee;
+
+  if (target.object === 'console') {
+    // Scope-aware, follows aliases (see aliases.js)
+    const method = getConsoleCallMethod(node, scope);
+    return method && target.methods.includes(method) ? method : null;
+  }
+
+  if (target.object) {
+    if (!isMemberExpression(callee) || getExpressionPath(callee.object) !== target.object) {
+      return null;
+    }
+    const method = getPropertyName(callee);
+    if (!method || (target.methods && !target.methods.includes(method))) {
+      return null;
+    }
+    return getTargetLabel(target, method);
+  }
+
+  if (target.callee) {
+    return getExpressionPath(callee) === target.callee ? getTargetLabel(target) : null;
+  }
+
+  // debug('ns')(...)
+  if (isFactoryCall(callee, target.factory)) {
+    return getTargetLabel(target);
+  }
+
+  // const log = debug('ns'); log(...)
+  if (callee.type === 'Identifier') {
+    const binding = scope.getBinding(callee.name);
+    if (binding && binding.constant && binding.path.isVariableDeclarator() &&
+        isFactoryCall(binding.path.node.init, target.factory)) {
+      return getTargetLabel(target);
+    }
+  }
+
+  return null;
+}
+
+function isFactoryCall(node, factory) {
+  return Boolean(node) && node.type === 'CallExpression' && getExpressionPath(node.callee) === factory;
+}
+
+function isMemberExpression(node) {
+  return node.type === 'MemberExpression' || node.type === 'OptionalMemberExpression';
+}
+
+/**
+ * Get the dotted path of an expression (`logger`, `this.logger`, `app.log`)
+ * @returns {string|null} Path or null for anything else (calls, computed access, ...)
+ */
+function getExpressionPath(node) {
+  if (node.type === 'Identifier') {
+    return node.name;
+  }
+  if (node.type === 'ThisExpression') {
+    return 'this';
+  }
+  if (isMemberExpression(node)) {
+    const object = getExpressionPath(node.object);
+    const property = getPropertyName(node);
+    return object && property ? `${object}.${property}` : null;
+  }
+  return null;
+}
+
+module.exports = {
+  CONSOLE_METHODS,
+  resolveTargets,
+  getTargetMethods,
+  isKnownMethod,
+  formatMethod,
+  createCallMatcher
+};
@@ -0,0 +1,150 @@
+/**
+ * Watch Module
+ * Watches a directory for file changes and diffs console statements between scans
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Editors write a file in several steps (truncate, write, rename); wait for them to settle
+const DEFAULT_DEBOUNCE = 100;
+
+// Never watched, however the scan is configured
+const IGNORED_DIRECTORIES = ['node_modules', '.git'];
+
+/**
+ * Watch a directory for changed, added and deleted files
+ * Uses a recursive fs.watch() where the platform supports it, and one watcher
+ * per directory otherwise.
+ * @param {string} directory - Directory to watch
+ * @param {object} options - { filter, onChange, onError, debounce }
+ *   `filter(absolutePath)` selects the files to report;
+ *   `onChange(absolutePath, exists)` is called once per burst of events on a file;
+ *   `onError(error)` is called when a watcher fails.
+ * @returns {function} Stops watching
+ */
+function watchDirectory(directory, options) {
+  const root = path.resolve(directory);
+  const debounce = options.debounce === undefined ? DEFAULT_DEBOUNCE : options.debounce;
+  const timers = new Map();
+  const watchers = new Map();
+  let closed = false;
+
+  const isIgnored = (filePath) => path.relative(root, filePath)
+    .split(path.sep)
+    .some(segment => IGNORED_DIRECTORIES.includes(segment));
+
+  // The recursive watcher sees everything under the root, ignored directories included
+  const report = (filePath) => {
+    if (closed || isIgnored(filePath) || !options.filter(filePath)) return;
+
+    clearTimeout(timers.get(filePath));
+    timers.set(filePath, setTimeout(() => {
+      timers.delete(filePath);
+      if (!closed) {
+        options.onChange(filePath, fs.existsSync(filePath));
+      }
+    }, debounce));
+  };
+
+  const handleError = (error) => {
+    if (options.onError) {
+      options.onError(error);
+    }
+  };
+
+  // Fallback: one watcher per directory, added as directories appear
+  const watchTree = (dirPath) => {
+    if (watchers.has(dirPath) || isIgnored(dirPath)) return;
+
+    let watcher;
+    try {
+      watcher = fs.watch(dirPath, (eventType, fileName) => {
+        if (!fileName) return;
+        const filePath = path.join(dirPath, fileName.toString());
+        try {
+          if (fs.statSync(filePath).isDirectory()) {
+            watchTree(filePath);
+            return;
+          }
+        } catch (error) {
+          // Deleted: reported below like any other change
+        }
+        report(filePath);
+      });
+    } catch (error) {
+      handleError(error);
+      return;
+    }
+    watcher.on('error', handleError);
+    watchers.set(dirPath, watcher);
+
+    fs.readdirSync(dirPath, { withFileTypes: true })
+      .filter(entry => entry.isDirectory())
+      .forEach(entry => watchTree(path.join(dirPath, entry.name)));
+  };
+
+  try {
+    const watcher = fs.watch(root, { recursive: true }, (eventType, fileName) => {
+      if (fileName) {
+        report(path.join(root, fileName.toString()));
+      }
+    });
+    watcher.on('error', handleError);
+    watchers.set(root, watcher);
+  } catch (error) {
+    if (error.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') {
+      throw error;
+    }
+    watchTree(root);
+  }
+
+  return () => {
+    closed = true;
+    timers.forEach(timer => clearTimeout(timer));
+    timers.clear();
+    watchers.forEach(watcher => watcher.close());
+    watchers.clear();
+  };
+}
+
+/**
+ * Diff the console statements of two scans of the same file
+ * Statements are matched by method and code rather than line, so edits
+ * elsewhere in the file don't report moved statements as new.
+ * @param {object[]} before - Statements of the previous scan
+ * @param {object[]} after - Statements of the new scan
+ * @returns {object} { added: statements only in `after`, removed: statements only in `before` }
+ */
+function diffStatements(before, after) {
+  const remaining = new Map();
+  const getKey = (statement) => `${statement.method}\0${statement.code}`;
+
+  before.forEach(statement => {
+    const key = getKey(statement);
+    if (!remaining.has(key)) {
+      remaining.set(key, []);
+    }
+    remaining.get(key).push(statement);
+  });
+
+  const added = after.filter(statement => {
+    const matches = remaining.get(getKey(statement));
+    if (matches && matches.length > 0) {
+      matches.shift();
+      return false;
+    }
+    return true;
+  });
+
+  const removed = [];
+  remaining.forEach(statements => removed.push(...statements));
+  removed.sort((a, b) => a.line - b.line);
+
+  return { added, removed };
+}
+
+module.exports = {
+  watchDirectory,
+  diffStatements
+};
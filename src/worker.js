@@ -0,0 +1,39 @@
+/**
+ * Worker Module
+ * Worker thread entry point for pool.js: scans the files it is sent one at a time
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const { scanFile } = require('./scanner');
+
+// Same filters and changed lines as the main thread, with blame local to this worker
+const gitContext = workerData.gitContext
+  ? {
+      ...workerData.gitContext,
+      enabled: true,
+      blameCache: new Map()
+    }
+  : null;
+
+parentPort.on('message', async ({ index, file, cached }) => {
+  // Stands in for the main thread's scan cache, for this file only
+  let cacheEntry = null;
+  const cache = workerData.cache
+    ? {
+        get: (filePath, hash) => {
+          cacheEntry = cached && cached.hash === hash ? cached : null;
+          return cacheEntry ? cacheEntry.detected : null;
+        },
+        set: (filePath, hash, detected) => {
+          cacheEntry = { hash, detected };
+        }
+      }
+    : null;
+
+  try {
+    const result = await scanFile(file, gitContext, workerData.loggerTargets, cache);
+    parentPort.postMessage({ index, result, cacheEntry });
+  } catch (error) {
+    parentPort.postMessage({ index, error: error.message });
+  }
+});
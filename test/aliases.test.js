@@ -0,0 +1,54 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { detectStatements } = require('../src/detector');
+const { removeFromSource } = require('../src/remover');
+
+/**
+ * List detected statements as `line:method`
+ */
+function detect(sourceCode) {
+  return detectStatements(sourceCode).matches.map(({ statement }) => `${statement.line}:${statement.method}`);
+}
+
+describe('console aliases', () => {
+  it('follows global objects, object aliases, method aliases and bind()', () => {
+    assert.deepEqual(detect([
+      'const log = console.log.bind(console);',
+      'log(1);',
+      'const a = console, b = a;',
+      'b.warn(2);',
+      'self.console.info(3);',
+      'global.console.debug(4);',
+      "window.console['error'](5);",
+      'const { trace: t } = globalThis.console;',
+      't(6);'
+    ].join('\n')), ['2:log', '4:warn', '5:info', '6:debug', '7:error', '9:trace']);
+  });
+
+  it('ignores reassigned bindings and shadowed names', () => {
+    assert.deepEqual(detect('let c = console;\nc = other;\nc.log(1);\n'), []);
+    assert.deepEqual(detect([
+      'function f(log) { log(1); }',
+      'const log = console.log;',
+      '{ const log = () => {}; log(2); }',
+      'function g(console) { console.log(3); }'
+    ].join('\n')), []);
+  });
+
+  it('removes alias declarations once nothing uses them', () => {
+    const source = 'const { log, warn } = console;\nlog(1);\nwarn(2);\n';
+
+    assert.equal(removeFromSource(source, ['log'], 'example.js').code, 'const { log, warn } = console;\nwarn(2);\n');
+    assert.equal(removeFromSource(source, ['log', 'warn'], 'example.js').code, '');
+  });
+
+  it('removes chains of aliases together', () => {
+    assert.equal(removeFromSource('const c = console;\nconst log = c.log;\nlog(1);\n', ['log'], 'example.js').code, '');
+  });
+
+  it('keeps alias declarations that are still used elsewhere', () => {
+    const source = 'const log = console.log;\nlog(1);\nexport { log };\n';
+
+    assert.equal(removeFromSource(source, ['log'], 'example.js').code, 'const log = console.log;\nexport { log };\n');
+  });
+});
@@ -0,0 +1,86 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { scanDirectory } = require('../src/scanner');
+const { createTempDir, createGitRepo, writeFiles, git, commitLine, runCli } = require('./helpers');
+
+const DAY = 24 * 60 * 60;
+
+const JANE = { name: 'Jane', email: 'jane@example.com' };
+const SAM = { name: 'Sam Lee', email: 'sam@example.com' };
+
+/**
+ * Git date for a number of days ago
+ */
+function daysAgo(days) {
+  return `${Math.floor(Date.now() / 1000) - days * DAY} +0000`;
+}
+
+/**
+ * Create a repository with statements committed 3 days, 100 days and 3 years
+ * ago, and one not committed yet
+ */
+function createAgedRepo(t) {
+  const repo = createGitRepo(t, { 'a.js': '' });
+  commitLine(repo, 'a.js', "console.log('old');", SAM, daysAgo(3 * 365));
+  commitLine(repo, 'a.js', "console.log('recent');", JANE, daysAgo(100));
+  commitLine(repo, 'a.js', "console.log('new');", JANE, daysAgo(3));
+  fs.appendFileSync(path.join(repo, 'a.js'), "console.log('wip');\n");
+  return repo;
+}
+
+describe('scan --blame', () => {
+  it('adds the author, commit and date of each statement', async (t) => {
+    const repo = createAgedRepo(t);
+    const results = await scanDirectory(repo, [], {}, { blame: true });
+    const [old, , , wip] = results.byFile[path.join(repo, 'a.js')].statements;
+    const [commit, time] = git(repo, 'log', '-1', '--format=%H %at', '--author=Sam').trim().split(' ');
+
+    assert.equal(old.blame.author, 'Sam Lee');
+    assert.equal(old.blame.email, 'sam@example.com');
+    assert.equal(old.blame.commit, commit);
+    assert.equal(old.blame.date, new Date(time * 1000).toISOString());
+    assert.equal(wip.blame, null);
+  });
+
+  it('breaks statements down by author and age', async (t) => {
+    const repo = createAgedRepo(t);
+    const results = await scanDirectory(repo, [], {}, { blame: true });
+    const jane = results.byAuthor['Jane <jane@example.com>'];
+
+    assert.deepEqual(Object.keys(results.byAuthor).sort(), ['Jane <jane@example.com>', 'Sam Lee <sam@example.com>']);
+    assert.equal(jane.count, 2);
+    assert.equal(jane.oldest, results.byFile[path.join(repo, 'a.js')].statements[1].blame.date);
+    assert.equal(results.byAuthor['Sam Lee <sam@example.com>'].count, 1);
+    assert.deepEqual(results.byAge, { uncommitted: 1, week: 1, month: 0, halfYear: 1, year: 0, older: 1 });
+  });
+
+  it('counts only the statements the git filters keep', async (t) => {
+    const repo = createAgedRepo(t);
+    const results = await scanDirectory(repo, [], { gitAuthor: ['Sam Lee'] }, { blame: true });
+
+    assert.deepEqual(Object.keys(results.byAuthor), ['Sam Lee <sam@example.com>']);
+    assert.deepEqual(results.byAge, { uncommitted: 0, week: 0, month: 0, halfYear: 0, year: 0, older: 1 });
+  });
+
+  it('prints the breakdowns and includes them in JSON output', (t) => {
+    const repo = createAgedRepo(t);
+
+    const pretty = runCli(repo, ['scan', '--blame', '--no-cache']);
+    assert.match(pretty, /2 {2}Jane <jane@example\.com> \(oldest \d{4}-\d{2}-\d{2}\)/);
+    assert.match(pretty, /Over a year\s+:\s+1/);
+    assert.match(pretty, /Not committed yet\s+:\s+1/);
+
+    const json = JSON.parse(runCli(repo, ['scan', '--blame', '--no-cache', '--format', 'json']));
+    assert.equal(json.byAge.older, 1);
+    assert.equal(json.byAuthor['Sam Lee <sam@example.com>'].count, 1);
+  });
+
+  it('requires a git repository', async (t) => {
+    const directory = createTempDir(t);
+    writeFiles(directory, { 'a.js': 'console.log(1);\n' });
+
+    await assert.rejects(scanDirectory(directory, [], {}, { blame: true }), /Blame requested but directory is not a git repository/);
+  });
+});
@@ -0,0 +1,81 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { getDefaultCacheDir, loadScanCache } = require('../src/cache');
+const { createTempDir, writeFiles } = require('./helpers');
+
+const isPosix = typeof process.getuid === 'function';
+
+describe('scan cache', () => {
+  it('lives in node_modules/.cache of the nearest project', (t) => {
+    const project = createTempDir(t);
+    writeFiles(project, { 'package.json': '{}', 'src/app.js': '' });
+
+    assert.equal(getDefaultCacheDir(path.join(project, 'src')), path.join(project, 'node_modules', '.cache', 'log-sweep'));
+  });
+
+  it('creates its directory readable only by the current user', { skip: !isPosix }, (t) => {
+    const project = createTempDir(t);
+    const cacheDir = path.join(project, 'cache');
+    writeFiles(project, { 'a.js': '' });
+    const cache = loadScanCache(project, { cacheDir });
+    cache.set(path.join(project, 'a.js'), 'hash', []);
+    cache.save();
+
+    assert.equal(fs.statSync(cacheDir).mode & 0o777, 0o700);
+    assert.deepEqual(loadScanCache(project, { cacheDir }).get(path.join(project, 'a.js'), 'hash'), []);
+  });
+
+  it('keeps the entries of files a run did not scan, and drops deleted files', (t) => {
+    const project = createTempDir(t);
+    const cacheDir = path.join(project, 'cache');
+    const [a, b, c] = ['a.js', 'b.js', 'c.js'].map(name => path.join(project, name));
+    writeFiles(project, { 'a.js': '', 'b.js': '', 'c.js': '' });
+
+    const first = loadScanCache(project, { cacheDir });
+    [a, b, c].forEach(filePath => first.set(filePath, 'hash', []));
+    first.save();
+
+    fs.unlinkSync(c);
+    const second = loadScanCache(project, { cacheDir });
+    second.set(a, 'changed', []);
+    second.save();
+
+    const third = loadScanCache(project, { cacheDir });
+    assert.deepEqual(third.get(a, 'changed'), []);
+    assert.deepEqual(third.get(b, 'hash'), []);
+    assert.equal(third.getEntry(c), null);
+  });
+
+  it('is dropped when the config or the logger targets change', (t) => {
+    const project = createTempDir(t);
+    const cacheDir = path.join(project, 'cache');
+    const filePath = path.join(project, 'a.js');
+    writeFiles(project, { 'a.js': '' });
+
+    const cache = loadScanCache(project, { cacheDir, config: { include: ['src'] } });
+    cache.set(filePath, 'hash', []);
+    cache.save();
+
+    assert.deepEqual(loadScanCache(project, { cacheDir, config: { include: ['src'] } }).get(filePath, 'hash'), []);
+    assert.equal(loadScanCache(project, { cacheDir, config: { include: ['lib'] } }).get(filePath, 'hash'), null);
+    assert.equal(loadScanCache(project, { cacheDir, loggerTargets: [] }).get(filePath, 'hash'), null);
+  });
+
+  it('refuses a directory others can write to', { skip: !isPosix }, (t) => {
+    const cacheDir = path.join(createTempDir(t), 'cache');
+    fs.mkdirSync(cacheDir);
+    fs.chmodSync(cacheDir, 0o777);
+
+    assert.throws(() => loadScanCache('/project', { cacheDir }), /Refusing to use cache directory/);
+  });
+
+  it('refuses a directory owned by another user', { skip: !isPosix || process.getuid() !== 0 }, (t) => {
+    const cacheDir = path.join(createTempDir(t), 'cache');
+    fs.mkdirSync(cacheDir, { mode: 0o700 });
+    fs.chownSync(cacheDir, 12345, 12345);
+
+    assert.throws(() => loadScanCache('/project', { cacheDir }), /Refusing to use cache directory/);
+  });
+});
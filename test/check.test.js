@@ -0,0 +1,86 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { checkResults, parseThresholds } = require('../src/checker');
+const { createTempDir, writeFiles, runCliStatus } = require('./helpers');
+
+/**
+ * Run `check` on a directory with the given files
+ */
+function check(t, files, args = []) {
+  const directory = createTempDir(t);
+  writeFiles(directory, files);
+  return runCliStatus(directory, ['check', '.', '--no-cache', ...args]);
+}
+
+describe('check', () => {
+  it('passes when only error and warn are used', (t) => {
+    const { status, stdout } = check(t, { 'a.js': "console.error('e');\nconsole.warn('w');\n" });
+
+    assert.equal(status, 0);
+    assert.match(stdout, /No disallowed console statements \(2 allowed\)/);
+  });
+
+  it('fails with file:line:column for every disallowed statement', (t) => {
+    const { status, stdout } = check(t, { 'src/a.js': "a();\n  console.log('x');\nconsole.debug(1);\n" });
+
+    assert.equal(status, 1);
+    assert.match(stdout, /src\/a\.js:2:3 log/);
+    assert.match(stdout, /src\/a\.js:3:1 debug/);
+    assert.match(stdout, /log: 1 found \(not allowed\)/);
+  });
+
+  it('applies --allow, --forbid and --max', (t) => {
+    const files = { 'a.js': "console.log(1);\nconsole.warn(1);\nconsole.warn(2);\n" };
+
+    assert.equal(check(t, files, ['--allow', 'log,warn']).status, 0);
+    assert.equal(check(t, files, ['--allow', 'log', '--forbid', 'warn']).status, 1);
+    assert.equal(check(t, files, ['--allow', 'log', '--max', 'warn=2']).status, 0);
+
+    const { status, stdout } = check(t, files, ['--allow', 'log', '--max', 'warn=1']);
+    assert.equal(status, 1);
+    assert.match(stdout, /warn: 2 found \(max 1\)/);
+  });
+
+  it('exits with a usage error for bad thresholds and unknown methods', (t) => {
+    const files = { 'a.js': 'console.log(1);\n' };
+
+    assert.equal(check(t, files, ['--max', 'warn']).status, 2);
+    assert.equal(check(t, files, ['--allow', 'bogus']).status, 2);
+  });
+});
+
+describe('checkResults', () => {
+  const results = {
+    byFile: {
+      '/b.js': { statements: [{ method: 'warn', line: 1, column: 0, code: 'console.warn()' }] },
+      '/a.js': {
+        statements: [
+          { method: 'warn', line: 3, column: 0, code: 'console.warn()' },
+          { method: 'log', line: 1, column: 0, code: 'console.log()' }
+        ]
+      }
+    }
+  };
+
+  it('reports every statement of a method over its limit, sorted by file and line', () => {
+    const report = checkResults(results, { allow: ['log'], thresholds: { warn: 1 } });
+
+    assert.equal(report.passed, false);
+    assert.deepEqual(report.violations.map(v => `${v.file}:${v.line}`), ['/a.js:3', '/b.js:1']);
+    assert.deepEqual(report.byMethod.warn, { count: 2, limit: 1, exceeded: true });
+  });
+
+  it('lets per-file overrides exempt or forbid statements', () => {
+    const report = checkResults(results, { allow: ['log', 'warn'] }, file =>
+      file === '/a.js' ? { allow: [], forbid: ['log'] } : { allow: ['warn'], forbid: [] }
+    );
+
+    assert.deepEqual(report.violations.map(v => `${v.file}:${v.method}`), ['/a.js:log']);
+    assert.equal(report.forbiddenByOverride, 1);
+  });
+
+  it('parses method=count thresholds', () => {
+    assert.deepEqual(parseThresholds(['warn=5', 'info=0']), { warn: 5, info: 0 });
+    assert.throws(() => parseThresholds(['warn=many']), /Invalid threshold/);
+  });
+});
@@ -0,0 +1,86 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { removeFromSource } = require('../src/remover');
+const { createTempDir, writeFiles, runCli } = require('./helpers');
+
+/**
+ * Remove console.log calls of a snippet with cleanup enabled
+ */
+function clean(sourceCode, options = {}) {
+  return removeFromSource(sourceCode, ['log'], 'example.js', null, { cleanup: true, ...options });
+}
+
+describe('dead code cleanup', () => {
+  it('removes imports only the removed statements used', () => {
+    const result = clean("import util from 'util';\nimport { a } from 'a';\nconsole.log(util.inspect(a));\nexport const b = a;\n");
+
+    assert.equal(result.code, "import { a } from 'a';\nexport const b = a;\n");
+    assert.deepEqual(result.cleanups, [
+      { type: 'unused-import', line: 1, code: "import util from 'util';", message: 'Unused import' }
+    ]);
+  });
+
+  it('removes requires only the removed statements used, including destructured ones', () => {
+    const result = clean("const util = require('util');\nconst { format } = require('fmt');\nconsole.log(util.inspect(1), format(2));\n");
+
+    assert.equal(result.code, '');
+    assert.deepEqual(result.cleanups.map(cleanup => cleanup.message), ['Unused require', 'Unused require']);
+  });
+
+  it('removes variables, empty ifs and empty try/catch statements left behind', () => {
+    const result = clean([
+      'function f(data) {',
+      '  const payload = JSON.stringify(data);',
+      '  if (debug) {',
+      '    console.log(payload);',
+      '  }',
+      '  try {',
+      "    console.log('x');",
+      '  } catch (e) {',
+      '    console.log(e);',
+      '  }',
+      '}',
+      ''
+    ].join('\n'));
+
+    assert.equal(result.code, 'function f(data) {\n}\n');
+    assert.deepEqual(result.cleanups.map(cleanup => cleanup.type), ['unused-variable', 'empty-if', 'empty-try']);
+  });
+
+  it('removes empty else branches and unused catch bindings', () => {
+    assert.equal(clean("if (ok) {\n  save();\n} else {\n  console.log('no');\n}\n").code, 'if (ok) {\n  save();\n}\n');
+    assert.equal(clean('try {\n  save();\n} catch (e) {\n  console.log(e);\n}\n').code, 'try {\n  save();\n} catch {\n}\n');
+  });
+
+  it('keeps impure conditions, commented blocks and code that was already dead', () => {
+    const sourceCode = "import util from 'util';\nif (check()) {\n  console.log('x');\n}\nif (a) {\n  // keep\n  console.log('y');\n}\nif (b) {}\n";
+    const result = clean(sourceCode);
+
+    assert.equal(result.code, "import util from 'util';\nif (check()) {\n}\nif (a) {\n  // keep\n}\nif (b) {}\n");
+    assert.deepEqual(result.cleanups, []);
+  });
+
+  it('keeps top-level bindings templates may use', () => {
+    const result = clean("import util from 'util';\nconsole.log(util.inspect(1));\n", { keepTopLevelBindings: true });
+
+    assert.equal(result.code, "import util from 'util';\n");
+  });
+
+  it('only runs with --cleanup or the cleanup config option', (t) => {
+    const directory = createTempDir(t);
+    const source = "const util = require('util');\nconsole.log(util.inspect(1));\n";
+    writeFiles(directory, { 'a/a.js': source, 'b/b.js': source, 'c/c.js': source, 'c/.logsweeprc': '{ "cleanup": true }' });
+
+    runCli(path.join(directory, 'a'), ['remove', '.', '--yes', '--no-cache', '--no-backup']);
+    assert.equal(fs.readFileSync(path.join(directory, 'a/a.js'), 'utf8'), "const util = require('util');\n");
+
+    const output = runCli(path.join(directory, 'b'), ['remove', '.', '--yes', '--no-cache', '--no-backup', '--cleanup']);
+    assert.equal(fs.readFileSync(path.join(directory, 'b/b.js'), 'utf8'), '');
+    assert.match(output, /b\.js:1 Unused require/);
+
+    runCli(path.join(directory, 'c'), ['remove', '.', '--yes', '--no-cache', '--no-backup']);
+    assert.equal(fs.readFileSync(path.join(directory, 'c/c.js'), 'utf8'), '');
+  });
+});
@@ -0,0 +1,121 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadConfig, getFileOverrides } = require('../src/config');
+const { createTempDir, writeFiles, runCliStatus } = require('./helpers');
+
+describe('config discovery', () => {
+  it('finds .logsweeprc in a parent directory', (t) => {
+    const root = createTempDir(t);
+    writeFiles(root, { '.logsweeprc': '{ "allow": ["info"] }', 'src/deep/a.js': '' });
+
+    const config = loadConfig(path.join(root, 'src', 'deep'));
+
+    assert.equal(config.filePath, path.join(root, '.logsweeprc'));
+    assert.deepEqual(config.allow, ['info']);
+  });
+
+  it('reads log-sweep.config.js and the package.json key', (t) => {
+    const jsRoot = createTempDir(t);
+    writeFiles(jsRoot, { 'log-sweep.config.js': "module.exports = { forbid: ['debug'] };" });
+    const pkgRoot = createTempDir(t);
+    writeFiles(pkgRoot, { 'package.json': JSON.stringify({ name: 'x', logSweep: { max: { warn: 2 } } }) });
+
+    assert.deepEqual(loadConfig(jsRoot).forbid, ['debug']);
+    assert.deepEqual(loadConfig(pkgRoot).max, { warn: 2 });
+  });
+
+  it('prefers the closest config file', (t) => {
+    const root = createTempDir(t);
+    writeFiles(root, {
+      '.logsweeprc': '{ "allow": ["info"] }',
+      'pkg/package.json': JSON.stringify({ logSweep: { allow: ['log'] } })
+    });
+
+    assert.deepEqual(loadConfig(path.join(root, 'pkg')).allow, ['log']);
+  });
+
+  it('uses defaults when there is no config', (t) => {
+    const config = loadConfig(createTempDir(t));
+
+    assert.equal(config.filePath, null);
+    assert.equal(config.exclude, null);
+    assert.equal(config.backup, true);
+    assert.deepEqual(config.git.author, null);
+  });
+
+  it('resolves paths and globs against the config directory', (t) => {
+    const root = createTempDir(t);
+    writeFiles(root, {
+      '.logsweeprc': JSON.stringify({
+        include: ['src', '**/*.mjs'],
+        exclude: ['test', 'build/out', '**/*.stories.js'],
+        backupDir: '.backups',
+        git: { author: 'jane@example.com', teams: 'teams.json' }
+      })
+    });
+
+    const config = loadConfig(root);
+
+    assert.deepEqual(config.include, [path.join(root, 'src'), '**/*.mjs']);
+    assert.deepEqual(config.exclude, ['test', path.join(root, 'build/out'), '**/*.stories.js']);
+    assert.equal(config.backupDir, path.join(root, '.backups'));
+    assert.deepEqual(config.git.author, ['jane@example.com']);
+    assert.equal(config.git.teams, path.join(root, 'teams.json'));
+  });
+
+  it('rejects invalid values with the config path', (t) => {
+    const root = createTempDir(t);
+    const configPath = path.join(root, 'bad.json');
+    writeFiles(root, { 'bad.json': '{ "sideEffects": "sometimes" }', 'broken.json': '{' });
+
+    assert.throws(() => loadConfig(root, configPath), new RegExp(`Invalid config in ${configPath}: "sideEffects"`));
+    assert.throws(() => loadConfig(root, path.join(root, 'broken.json')), /Could not parse/);
+    assert.throws(() => loadConfig(root, path.join(root, 'missing.json')), /Config file not found/);
+  });
+});
+
+describe('config overrides', () => {
+  it('apply per path, later overrides winning', (t) => {
+    const root = createTempDir(t);
+    writeFiles(root, {
+      '.logsweeprc': JSON.stringify({
+        overrides: [
+          { files: ['scripts/**'], allow: ['log', 'debug'] },
+          { files: ['scripts/release/**'], forbid: ['log'] }
+        ]
+      })
+    });
+    const config = loadConfig(root);
+
+    assert.deepEqual(getFileOverrides(config, path.join(root, 'scripts', 'a.js')), { allow: ['log', 'debug'], forbid: [] });
+    assert.deepEqual(getFileOverrides(config, path.join(root, 'scripts', 'release', 'a.js')), { allow: ['debug'], forbid: ['log'] });
+    assert.equal(getFileOverrides(config, path.join(root, 'src', 'a.js')), null);
+  });
+
+  it('feed check and remove through the CLI', (t) => {
+    const root = createTempDir(t);
+    writeFiles(root, {
+      '.logsweeprc': JSON.stringify({
+        exclude: ['vendor'],
+        overrides: [{ files: ['scripts/**'], allow: ['log'] }]
+      }),
+      'src/a.js': 'console.log(1);\n',
+      'scripts/build.js': 'console.log(2);\n',
+      'vendor/lib.js': 'console.log(3);\n'
+    });
+
+    const { status, stdout } = runCliStatus(root, ['check', '.', '--no-cache']);
+
+    assert.equal(status, 1);
+    assert.match(stdout, /src\/a\.js:1:1 log/);
+    assert.doesNotMatch(stdout, /scripts|vendor/);
+    assert.equal(runCliStatus(root, ['check', '.', '--no-cache', '--allow', 'log']).status, 0);
+
+    assert.equal(runCliStatus(root, ['remove', '.', '--yes', '--no-cache', '--no-backup', '--methods', 'log']).status, 0);
+    assert.equal(fs.readFileSync(path.join(root, 'src/a.js'), 'utf8'), '');
+    assert.equal(fs.readFileSync(path.join(root, 'scripts/build.js'), 'utf8'), 'console.log(2);\n');
+    assert.equal(fs.readFileSync(path.join(root, 'vendor/lib.js'), 'utf8'), 'console.log(3);\n');
+  });
+});
@@ -0,0 +1,41 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { scanFile } = require('../src/scanner');
+const { removeFromSource, getStatementKey } = require('../src/remover');
+const { createTempDir } = require('./helpers');
+
+const CORPUS_DIR = path.join(__dirname, 'fixtures', 'corpus');
+
+describe('scan and remove agree on the fixture corpus', () => {
+  for (const fileName of fs.readdirSync(CORPUS_DIR)) {
+    it(fileName, async (t) => {
+      const filePath = path.join(CORPUS_DIR, fileName);
+      const source = fs.readFileSync(filePath, 'utf8');
+      const scanned = await scanFile(filePath);
+      const methods = [...new Set(scanned.statements.map(statement => statement.method))];
+      const keys = new Set(scanned.statements.map(statement =>
+        getStatementKey(filePath, statement.line, statement.column)
+      ));
+
+      assert.ok(scanned.count > 0, 'fixture has console statements');
+
+      // Every statement the scan reports is found and removed, one by one
+      const targeted = removeFromSource(source, methods, filePath, null, { targets: keys });
+      assert.equal(targeted.removedCount, scanned.count);
+
+      // Removing by method touches exactly the same statements
+      const removed = removeFromSource(source, methods, filePath);
+      assert.equal(removed.removedCount, scanned.count);
+      assert.equal(removed.code, targeted.code);
+
+      // Only suppressed statements are left for the scan to find
+      const outputPath = path.join(createTempDir(t), fileName);
+      fs.writeFileSync(outputPath, removed.code);
+      const rescanned = await scanFile(outputPath);
+      assert.equal(rescanned.count, 0);
+      assert.equal(rescanned.suppressed, scanned.suppressed);
+    });
+  }
+});
@@ -0,0 +1,45 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createFilePatch } = require('../src/diff');
+const { createGitRepo, git, runCli } = require('./helpers');
+
+describe('createFilePatch', () => {
+  it('adds no "No newline" marker when a removal empties a file', () => {
+    const patch = createFilePatch('/repo/only.js', 'console.log(1);\n', '', '/repo');
+
+    assert.equal(patch, [
+      'diff --git a/only.js b/only.js',
+      '--- a/only.js',
+      '+++ b/only.js',
+      '@@ -1 +0,0 @@',
+      '-console.log(1);',
+      ''
+    ].join('\n'));
+  });
+
+  it('keeps the marker when the original had no final newline', () => {
+    const patch = createFilePatch('/repo/only.js', 'console.log(1);', '', '/repo');
+
+    assert.match(patch, /-console\.log\(1\);\n\\ No newline at end of file\n$/);
+  });
+});
+
+describe('remove --patch', () => {
+  it('writes a patch git apply accepts', (t) => {
+    const repo = createGitRepo(t, {
+      'only.js': 'console.log(1);\n',
+      'no-newline.js': 'console.log(2);',
+      'src/app.js': 'a();\nconsole.log(3);\nb();\n',
+      'src/tail.js': 'a();\nconsole.log(4);'
+    });
+
+    runCli(repo, ['remove', '.', '--yes', '--dry-run', '--no-backup', '--no-cache', '--methods', 'log', '--patch', 'out.patch']);
+
+    git(repo, 'apply', '--check', 'out.patch');
+    git(repo, 'apply', 'out.patch');
+    assert.equal(fs.readFileSync(path.join(repo, 'only.js'), 'utf8'), '');
+    assert.equal(fs.readFileSync(path.join(repo, 'src/app.js'), 'utf8'), 'a();\nb();\n');
+  });
+});
@@ -0,0 +1,74 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { removeFromSource } = require('../src/remover');
+
+/**
+ * Remove console.log calls from a snippet
+ */
+function remove(sourceCode) {
+  return removeFromSource(sourceCode, ['log'], 'example.js').code;
+}
+
+describe('format-preserving removal', () => {
+  it('leaves every byte outside the removed statements untouched', () => {
+    const source = [
+      "import {a,b} from \"./lib\"",
+      '',
+      '',
+      'const  x = { \'quoted\': "double", spaced :  (1+2) }   // keep me',
+      'function run( ) {',
+      '\tconsole.log(x)',
+      '\treturn a(  b  )',
+      '}',
+      '/* trailing */'
+    ].join('\n');
+    const expected = source.replace('\tconsole.log(x)\n', '');
+
+    assert.equal(remove(source), expected);
+  });
+
+  it('keeps CRLF line endings and surrounding blank lines', () => {
+    const source = 'a();\r\n\r\n  console.log(1);\r\n\r\nb();\r\n';
+
+    assert.equal(remove(source), 'a();\r\n\r\n\r\nb();\r\n');
+  });
+
+  it('only removes the statement from a shared line', () => {
+    assert.equal(remove('a(); console.log(1);\nconsole.log(2); b();\n'), 'a();\nb();\n');
+  });
+
+  it('returns the source unchanged when nothing matches', () => {
+    const source = "const s = 'console.log(1)' ;   console.warn( 1 )\n";
+
+    assert.equal(remove(source), source);
+  });
+
+  it('keeps a leading `;` on the next line', () => {
+    assert.equal(
+      remove('const x = foo()\nconsole.log(x)\n;(async () => {})()\n'),
+      'const x = foo()\n;(async () => {})()\n'
+    );
+    assert.equal(
+      remove('const x = foo()\nconsole.log(x)\n;[1,2].forEach(f)\n'),
+      'const x = foo()\n;[1,2].forEach(f)\n'
+    );
+  });
+
+  it('leaves a `;` when the next line would continue the previous one', () => {
+    assert.equal(
+      remove('const x = foo()\nconsole.log(x);\n(async () => {})()\n'),
+      'const x = foo()\n;\n(async () => {})()\n'
+    );
+    assert.equal(
+      remove('const x = foo()\nconsole.log(x);\n`a`.trim()\n'),
+      'const x = foo()\n;\n`a`.trim()\n'
+    );
+  });
+
+  it('adds no `;` after a terminated statement', () => {
+    assert.equal(
+      remove('const x = foo();\nconsole.log(x);\n[1, 2].forEach(f);\n'),
+      'const x = foo();\n[1, 2].forEach(f);\n'
+    );
+  });
+});
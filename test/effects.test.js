@@ -0,0 +1,46 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseExpression } = require('@babel/parser');
+const fs = require('fs');
+const path = require('path');
+const { analyzeSideEffects } = require('../src/effects');
+const { createTempDir, writeFiles, runCli } = require('./helpers');
+
+/**
+ * Classify the argument of `console.log(<expression>)`
+ */
+function classify(expression) {
+  return analyzeSideEffects([parseExpression(expression)]);
+}
+
+describe('side-effect analysis', () => {
+  it('treats read-only methods of literals and built-ins as pure', () => {
+    assert.equal(classify("'a,b'.split(',').map(s => s.length)"), 'pure');
+    assert.equal(classify('[1, 2].includes(x)'), 'pure');
+    assert.equal(classify('Object.keys(user).join(", ")'), 'pure');
+    assert.equal(classify('new Date().toISOString()'), 'pure');
+    assert.equal(classify('JSON.stringify(user)'), 'pure');
+  });
+
+  it('treats read-only method names on other receivers as possible', () => {
+    assert.equal(classify('http.get(url)'), 'possible');
+    assert.equal(classify("location.replace('/x')"), 'possible');
+    assert.equal(classify('cache.has(key)'), 'possible');
+    assert.equal(classify('items.map(i => i.id)'), 'possible');
+  });
+
+  it('treats mutating methods and updates as impure on any receiver', () => {
+    assert.equal(classify('items.push(1)'), 'impure');
+    assert.equal(classify("'a'.split('').push(1)"), 'impure');
+    assert.equal(classify('count++'), 'impure');
+  });
+
+  it('keeps logging calls with possible side effects when removing headlessly', (t) => {
+    const directory = createTempDir(t);
+    writeFiles(directory, { 'a.js': "console.log(http.get(url));\nconsole.log('a,b'.split(','));\n" });
+
+    runCli(directory, ['remove', '.', '--yes', '--no-cache', '--no-backup']);
+
+    assert.equal(fs.readFileSync(path.join(directory, 'a.js'), 'utf8'), 'console.log(http.get(url));\n');
+  });
+});
@@ -0,0 +1,82 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { scanFile } = require('../src/scanner');
+const { removeFromSource } = require('../src/remover');
+const { getScriptBlocks } = require('../src/embedded');
+const { createTempDir, writeFiles, runCli } = require('./helpers');
+
+const WIDGET_PATH = path.join(__dirname, 'fixtures', 'corpus', 'widget.vue');
+
+/**
+ * Remove console.log and console.debug calls from the scripts of a file
+ */
+function remove(sourceCode, fileName, options = {}) {
+  return removeFromSource(sourceCode, ['log', 'debug'], fileName, null, options).code;
+}
+
+describe('embedded scripts', () => {
+  it('reports statements of every script block with lines of the original file', async () => {
+    const result = await scanFile(WIDGET_PATH);
+
+    assert.deepEqual(result.statements.map(statement => `${statement.line} ${statement.method}`), ['8 log', '15 debug']);
+  });
+
+  it('splices cleaned Vue scripts back, leaving the template untouched', () => {
+    const source = fs.readFileSync(WIDGET_PATH, 'utf8');
+
+    assert.equal(
+      remove(source, 'widget.vue'),
+      source.replace("    console.log('data');\n", '').replace("console.debug('setup');\n", '')
+    );
+  });
+
+  it('keeps markup between Svelte scripts', () => {
+    assert.equal(
+      remove('<script>\n  let n = 1;\n</script>\n<div>{n}</div>\n<script>console.log(n);</script>\n', 'counter.svelte'),
+      '<script>\n  let n = 1;\n</script>\n<div>{n}</div>\n<script></script>\n'
+    );
+  });
+
+  it('skips commented, external, non-JavaScript and other-language scripts', () => {
+    const html = [
+      '<!-- <script>console.log(1)</script> -->',
+      '<script src="x.js"></script>',
+      '<script type="application/ld+json">{"a": 1}</script>',
+      '<script type="module">',
+      "  console.log('m'); go();",
+      '</script>',
+      ''
+    ].join('\n');
+    const vue = '<script lang="ts">\nconst x: number = 1;\nconsole.log(x);\n</script>\n<script lang="coffee">console.log 1</script>\n';
+
+    assert.equal(remove(html, 'index.html'), html.replace("console.log('m'); ", ''));
+    assert.equal(getScriptBlocks(html, 'index.html').length, 1);
+    assert.equal(remove(vue, 'typed.vue'), vue.replace('console.log(x);\n', ''));
+  });
+
+  it('cleans Astro frontmatter but not template expressions', () => {
+    assert.equal(
+      remove("---\nconsole.log('fm');\nconst x = 1;\n---\n<p>{console.log(x)}</p>\n", 'page.astro'),
+      '---\nconst x = 1;\n---\n<p>{console.log(x)}</p>\n'
+    );
+  });
+
+  it('keeps top-level bindings on cleanup, since templates may use them', () => {
+    assert.equal(
+      remove("<script>\nimport util from 'util';\nconsole.log(util.inspect(1));\n</script>\n", 'app.vue', { cleanup: true }),
+      "<script>\nimport util from 'util';\n</script>\n"
+    );
+  });
+
+  it('removes statements from components through the CLI', (t) => {
+    const directory = createTempDir(t);
+    const source = fs.readFileSync(WIDGET_PATH, 'utf8');
+    writeFiles(directory, { 'widget.vue': source });
+
+    runCli(directory, ['remove', '.', '--yes', '--no-cache', '--no-backup']);
+
+    assert.equal(fs.readFileSync(path.join(directory, 'widget.vue'), 'utf8'), remove(source, 'widget.vue'));
+  });
+});
@@ -0,0 +1,162 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { scanDirectory } = require('../src/scanner');
+const { createGitRepo, writeFiles, git, commitLine, runCli, runCliStatus } = require('./helpers');
+
+/**
+ * Scan a repository and list its statements as `file:line code`
+ */
+async function scanStatements(directory, gitOptions) {
+  const results = await scanDirectory(directory, [], gitOptions);
+  return Object.keys(results.byFile).sort().flatMap(file => results.byFile[file].statements.map(statement =>
+    `${path.relative(directory, file)}:${statement.line} ${statement.code}`
+  ));
+}
+
+describe('--git-since', () => {
+  /**
+   * Create a repository where `feature` forked from `main`, after which main
+   * dropped a statement the branch still has
+   */
+  function createForkedRepo(t) {
+    const repo = createGitRepo(t, { 'a.js': "console.log('old');\n", 'b.js': "console.log('untouched');\n" });
+    git(repo, 'branch', '-M', 'main');
+    git(repo, 'checkout', '-q', '-b', 'feature');
+    git(repo, 'checkout', '-q', 'main');
+    writeFiles(repo, { 'a.js': '' });
+    git(repo, 'commit', '-q', '-am', 'drop old log');
+    git(repo, 'checkout', '-q', 'feature');
+
+    fs.appendFileSync(path.join(repo, 'a.js'), "console.log('committed');\n");
+    git(repo, 'commit', '-q', '-am', 'feature work');
+    fs.appendFileSync(path.join(repo, 'a.js'), "console.log('modified');\n");
+    writeFiles(repo, { 'c.js': "console.log('untracked');\n" });
+    return repo;
+  }
+
+  it('keeps statements added since the branch forked, committed or not', async (t) => {
+    const repo = createForkedRepo(t);
+
+    assert.deepEqual(await scanStatements(repo, { gitSince: 'main' }), [
+      "a.js:2 console.log('committed')",
+      "a.js:3 console.log('modified')",
+      "c.js:1 console.log('untracked')"
+    ]);
+  });
+
+  it('describes the filter and rejects unknown refs', (t) => {
+    const repo = createForkedRepo(t);
+
+    assert.match(runCli(repo, ['scan', '--git-since', 'main', '--no-cache']), /changes since main \([0-9a-f]{7}\)/);
+
+    const result = runCliStatus(repo, ['scan', '--git-since', 'no-such-branch', '--no-cache']);
+    assert.notEqual(result.status, 0);
+    assert.match(result.stderr, /Could not find a common ancestor of HEAD and "no-such-branch"/);
+  });
+});
+
+describe('--git-staged', () => {
+  /**
+   * Create a repository with a staged statement, and an unstaged one on top
+   */
+  function createStagedRepo(t) {
+    const repo = createGitRepo(t, { 'a.js': "console.log('committed');\n", 'b.js': '' });
+    fs.appendFileSync(path.join(repo, 'a.js'), "console.log('staged');\n");
+    git(repo, 'add', 'a.js');
+    fs.appendFileSync(path.join(repo, 'a.js'), "console.log('unstaged');\n");
+    writeFiles(repo, { 'b.js': "console.log('not added');\n" });
+    return repo;
+  }
+
+  it('keeps only statements on staged lines', async (t) => {
+    const repo = createStagedRepo(t);
+
+    assert.deepEqual(await scanStatements(repo, { gitStaged: true }), ["a.js:2 console.log('staged')"]);
+  });
+
+  it('removes only staged statements from the working tree', (t) => {
+    const repo = createStagedRepo(t);
+
+    runCli(repo, ['remove', '.', '--yes', '--git-staged', '--no-cache', '--no-backup']);
+
+    assert.equal(fs.readFileSync(path.join(repo, 'a.js'), 'utf8'), "console.log('committed');\nconsole.log('unstaged');\n");
+    assert.equal(fs.readFileSync(path.join(repo, 'b.js'), 'utf8'), "console.log('not added');\n");
+  });
+
+  it('checks the staged version of files in the staged command', (t) => {
+    const repo = createStagedRepo(t);
+    writeFiles(repo, { 'a.js': '' });
+
+    const result = runCliStatus(repo, ['staged', '--no-cache']);
+    assert.equal(result.status, 1);
+    assert.match(result.stdout + result.stderr, /a\.js:2:1 log/);
+    assert.doesNotMatch(result.stdout + result.stderr, /b\.js/);
+  });
+});
+
+describe('--git-author, --git-before and --git-after', () => {
+  /**
+   * Create a repository with lines by three authors over four years, and an
+   * uncommitted one; Alex committed under an old address .mailmap maps
+   */
+  function createHistoryRepo(t) {
+    const repo = createGitRepo(t, { 'a.js': '' });
+    commitLine(repo, 'a.js', "console.log('alex');", { name: 'Alex', email: 'alex-old@example.com' }, '2020-01-01T12:00:00');
+    git(repo, 'tag', 'v1');
+    commitLine(repo, 'a.js', "console.log('sam');", { name: 'Sam Lee', email: 'sam@agency.com' }, '2022-06-01T12:00:00');
+    commitLine(repo, 'a.js', "console.log('jane');", { name: 'Jane', email: 'jane@example.com' }, '2024-03-01T12:00:00');
+    fs.appendFileSync(path.join(repo, 'a.js'), "console.log('wip');\n");
+    writeFiles(repo, {
+      '.mailmap': 'Alex <alex@example.com> <alex-old@example.com>\n',
+      '.logsweepteams': JSON.stringify({ contractors: ['*@agency.com'], alumni: ['alex@example.com', '@contractors'] })
+    });
+    return repo;
+  }
+
+  /**
+   * Scan the history repository and list the logged names
+   */
+  async function scanNames(repo, gitOptions) {
+    return (await scanStatements(repo, gitOptions)).map(statement => statement.match(/'(\w+)'/)[1]);
+  }
+
+  it('matches authors by email, name or glob, through .mailmap', async (t) => {
+    const repo = createHistoryRepo(t);
+
+    assert.deepEqual(await scanNames(repo, { gitAuthor: ['jane@example.com'] }), ['jane']);
+    assert.deepEqual(await scanNames(repo, { gitAuthor: ['sam lee', 'JANE'] }), ['sam', 'jane']);
+    assert.deepEqual(await scanNames(repo, { gitAuthor: ['*@agency.com'] }), ['sam']);
+    assert.deepEqual(await scanNames(repo, { gitAuthor: ['alex@example.com'] }), ['alex']);
+    assert.deepEqual(await scanNames(repo, { gitAuthor: ['alex-old@example.com'] }), ['alex']);
+  });
+
+  it('expands teams from .logsweepteams, the config or a teams file', async (t) => {
+    const repo = createHistoryRepo(t);
+
+    assert.deepEqual(await scanNames(repo, { gitAuthor: ['@alumni'] }), ['alex', 'sam']);
+    assert.deepEqual(await scanNames(repo, { gitAuthor: ['@core'], gitTeams: { core: ['Jane'] } }), ['jane']);
+    await assert.rejects(scanNames(repo, { gitAuthor: ['@core'] }), /Unknown team: core \(known teams: contractors, alumni\)/);
+    await assert.rejects(scanNames(repo, { gitAuthor: ['@core'], gitTeams: 'missing.json' }), /Teams file not found/);
+  });
+
+  it('filters by commit date, counting uncommitted lines as committed now', async (t) => {
+    const repo = createHistoryRepo(t);
+
+    assert.deepEqual(await scanNames(repo, { gitBefore: '2021-01-01' }), ['alex']);
+    assert.deepEqual(await scanNames(repo, { gitAfter: '2023-01-01' }), ['jane', 'wip']);
+    assert.deepEqual(await scanNames(repo, { gitAfter: '2021-01-01', gitBefore: '2023-01-01' }), ['sam']);
+    assert.deepEqual(await scanNames(repo, { gitBefore: 'v1' }), ['alex']);
+    assert.deepEqual(await scanNames(repo, { gitAfter: 'v1' }), ['sam', 'jane', 'wip']);
+    await assert.rejects(scanNames(repo, { gitBefore: 'someday' }), /Invalid date: someday/);
+  });
+
+  it('removes only the statements of the given authors', (t) => {
+    const repo = createHistoryRepo(t);
+
+    runCli(repo, ['remove', '.', '--yes', '--git-author', '@alumni', '--no-cache', '--no-backup']);
+
+    assert.equal(fs.readFileSync(path.join(repo, 'a.js'), 'utf8'), "console.log('jane');\nconsole.log('wip');\n");
+  });
+});
@@ -0,0 +1,12 @@
+const log = console.log;
+const { warn, error: fail } = console;
+const c = console;
+
+log('alias');
+warn('destructured');
+fail('renamed');
+c.info('object alias');
+window.console.log('window');
+globalThis.console.debug('globalThis');
+console?.log('optional');
+console['log']('computed');
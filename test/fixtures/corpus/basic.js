@@ -0,0 +1,18 @@
+const value = compute();
+console.log('value', value);
+console.info(`info ${value}`);
+console.warn('warn');
+console.error(new Error('boom'));
+console.debug(value, { nested: true });
+console.table([value]);
+
+function run() {
+  if (value) console.log('inline if');
+  for (const item of [1, 2]) {
+    console.log(item);
+  }
+  return () => console.log('arrow body');
+}
+
+const result = console.log('used as a value');
+run(console.log('as an argument'));
@@ -0,0 +1,4 @@
+export function Button({ label }) {
+  console.log('render', label);
+  return <button onClick={() => console.info('click')}>{label}</button>;
+}
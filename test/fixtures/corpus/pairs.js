@@ -0,0 +1,8 @@
+console.time('load');
+console.group('section');
+console.log('inside');
+console.groupEnd();
+console.timeEnd('load');
+console.count();
+console.assert(true, 'ok');
+console.trace();
@@ -0,0 +1,9 @@
+'use strict';
+
+function strictParams(a, a) {
+  console.warn(a);
+}
+
+const frozen = 1;
+frozen = 2;
+console.log(frozen);
@@ -0,0 +1,20 @@
+function withParam(console) {
+  console.log('parameter, not the global console');
+}
+
+function withLocal() {
+  const console = { log() {} };
+  console.log('local, not the global console');
+}
+
+class Logger {
+  log() {}
+  run() {
+    this.log('method, not console');
+  }
+}
+
+console.log('global');
+withParam({ log() {} });
+withLocal();
+new Logger().run();
@@ -0,0 +1,13 @@
+let count = 0;
+console.log('count', count++);
+console.log('saved', save());
+console.log('pure', count, 'text');
+console.log(await load());
+
+function save() {
+  return true;
+}
+
+async function load() {
+  return 1;
+}
@@ -0,0 +1,15 @@
+// log-sweep-disable-next-line
+console.log('kept by next-line');
+
+console.log('kept by same line'); // log-sweep-disable-line
+
+console.log(
+  'kept by closing line'
+); // log-sweep-disable-line
+
+/* log-sweep-disable warn */
+console.warn('kept in block');
+console.log('removed in block');
+/* log-sweep-enable warn */
+
+console.info('removed');
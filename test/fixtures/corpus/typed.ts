@@ -0,0 +1,9 @@
+interface Point {
+  x: number;
+}
+
+const point: Point = { x: 1 };
+console.log(point as Point);
+
+enum Level { Debug }
+console.debug(Level.Debug, ['a'] as const);
@@ -0,0 +1,129 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const {
+  isGitRepository,
+  getFileBlame,
+  getUncommittedFiles,
+  getLinesChangedSince,
+  getStagedLines,
+  getStagedContent,
+  getMergeBase,
+  getDateCutoff
+} = require('../src/git');
+const { createTempDir, createGitRepo, writeFiles, git } = require('./helpers');
+
+// Paths git quotes in its output, or a shell would expand
+const ODD_NAMES = ['it\'s "quoted".js', 'cost $HOME.js', 'with space.js', 'café.js', 'star*.js'];
+
+describe('git layer', () => {
+  it('tells git repositories from other directories', async (t) => {
+    assert.equal(await isGitRepository(createGitRepo(t, { 'a.js': '' })), true);
+    assert.equal(await isGitRepository(createTempDir(t)), false);
+  });
+
+  it('maps changed lines of every file from one diff', async (t) => {
+    const repo = createGitRepo(t, {
+      'src/a.js': 'one();\ntwo();\n',
+      'src/b.js': 'one();\n',
+      'src/same.js': 'one();\n'
+    });
+    writeFiles(repo, {
+      'src/a.js': 'one();\nconsole.log(1);\ntwo();\n',
+      'src/b.js': 'one();\nconsole.log(2);\nconsole.log(3);\n',
+      'src/new.js': 'console.log(4);\n'
+    });
+    const file = (name) => path.join(repo, 'src', name);
+
+    const lines = await getLinesChangedSince(path.join(repo, 'src'),
+      ['a.js', 'b.js', 'same.js', 'new.js'].map(file), 'HEAD');
+
+    assert.deepEqual(lines.get(file('a.js')), new Set([2]));
+    assert.deepEqual(lines.get(file('b.js')), new Set([2, 3]));
+    assert.equal(lines.get(file('same.js')), null);
+    assert.equal(lines.get(file('new.js')), 'all');
+  });
+
+  it('handles paths with quotes, $, spaces, non-ASCII and glob characters', async (t) => {
+    const files = Object.fromEntries(ODD_NAMES.map(name => [name, 'one();\n']));
+    const repo = createGitRepo(t, files);
+    const filePaths = ODD_NAMES.map(name => path.join(repo, name));
+    writeFiles(repo, Object.fromEntries(ODD_NAMES.map(name => [name, 'one();\nconsole.log(1);\n'])));
+    git(repo, 'add', '-A');
+
+    const [uncommitted, changed, staged] = await Promise.all([
+      getUncommittedFiles(repo),
+      getLinesChangedSince(repo, filePaths, 'HEAD'),
+      getStagedLines(repo, filePaths)
+    ]);
+
+    for (const filePath of filePaths) {
+      assert.ok(uncommitted.has(filePath), filePath);
+      assert.deepEqual(changed.get(filePath), new Set([2]), filePath);
+      assert.deepEqual(staged.get(filePath), new Set([2]), filePath);
+      assert.equal(await getStagedContent(filePath, repo), 'one();\nconsole.log(1);\n');
+    }
+  });
+
+  it('ignores the user\'s diff prefix settings', async (t) => {
+    for (const [key, value] of [['diff.mnemonicPrefix', 'true'], ['diff.noprefix', 'true']]) {
+      const repo = createGitRepo(t, { 'a.js': 'one();\n' });
+      git(repo, 'config', key, value);
+      writeFiles(repo, { 'a.js': 'one();\nconsole.log(1);\n' });
+      git(repo, 'add', 'a.js');
+      const filePath = path.join(repo, 'a.js');
+
+      assert.deepEqual((await getStagedLines(repo, [filePath])).get(filePath), new Set([2]), key);
+      assert.deepEqual((await getLinesChangedSince(repo, [filePath], 'HEAD')).get(filePath), new Set([2]), key);
+    }
+  });
+
+  it('numbers staged lines as in the working tree', async (t) => {
+    const repo = createGitRepo(t, { 'a.js': 'one();\ntwo();\n' });
+    writeFiles(repo, { 'a.js': 'one();\nconsole.log(1);\ntwo();\n' });
+    git(repo, 'add', 'a.js');
+    writeFiles(repo, { 'a.js': 'zero();\none();\nconsole.log(1);\ntwo();\n' });
+    const filePath = path.join(repo, 'a.js');
+
+    assert.deepEqual((await getStagedLines(repo, [filePath])).get(filePath), new Set([3]));
+    assert.deepEqual((await getStagedLines(repo, [filePath], true)).get(filePath), new Set([2]));
+  });
+
+  it('blames every line with its author and commit time', async (t) => {
+    const repo = createGitRepo(t, { 'a.js': 'one();\ntwo();\n' });
+    writeFiles(repo, { 'a.js': 'one();\ntwo();\nthree();\n' });
+
+    const blame = await getFileBlame(path.join(repo, 'a.js'), repo);
+
+    assert.equal(blame.size, 3);
+    assert.equal(blame.get(1).email, 'test@example.com');
+    assert.equal(blame.get(1).committed, true);
+    assert.equal(typeof blame.get(1).time, 'number');
+    assert.equal(blame.get(3).committed, false);
+  });
+
+  it('blames files in SHA-256 repositories', async (t) => {
+    const repo = createTempDir(t);
+    git(repo, 'init', '-q', '--object-format=sha256');
+    writeFiles(repo, { 'a.js': 'one();\n' });
+    git(repo, 'add', 'a.js');
+    git(repo, 'commit', '-q', '-m', 'initial');
+    writeFiles(repo, { 'a.js': 'one();\ntwo();\n' });
+
+    const blame = await getFileBlame(path.join(repo, 'a.js'), repo);
+
+    assert.equal(blame.get(1).commit, git(repo, 'rev-parse', 'HEAD').trim());
+    assert.equal(blame.get(1).commit.length, 64);
+    assert.equal(blame.get(2).committed, false);
+  });
+
+  it('never passes refs starting with - on to git', async (t) => {
+    const repo = createGitRepo(t, { 'a.js': '' });
+    git(repo, 'tag', 'v1');
+
+    assert.match(await getMergeBase(repo, 'v1'), /^[0-9a-f]{40}$/);
+    await assert.rejects(getMergeBase(repo, '--output=out.txt'), /Invalid git ref: --output=out\.txt/);
+    await assert.rejects(getDateCutoff(repo, '-p'), /Invalid date: -p/);
+    assert.equal(typeof await getDateCutoff(repo, 'v1'), 'number');
+  });
+});
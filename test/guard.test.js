@@ -0,0 +1,59 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { removeFromSource } = require('../src/remover');
+const { createTempDir, writeFiles, runCli } = require('./helpers');
+
+/**
+ * Wrap console.log calls of a snippet in a guard
+ */
+function wrap(sourceCode, guard) {
+  return removeFromSource(sourceCode, ['log'], 'example.js', null, { mode: 'guard', guard });
+}
+
+describe('guard mode', () => {
+  it('wraps statements on their own lines in an indented block', () => {
+    const result = wrap("function f() {\n  console.log('x');\n}\n");
+
+    assert.equal(result.code, "function f() {\n  if (process.env.NODE_ENV !== 'production') {\n    console.log('x');\n  }\n}\n");
+    assert.equal(result.wrappedCount, 1);
+  });
+
+  it('keeps statements sharing a line, and else branches, where they are', () => {
+    assert.equal(wrap('a(); console.log(1);\n', '__DEV__').code, 'a(); if (__DEV__) { console.log(1); }\n');
+    assert.equal(
+      wrap('if (a) console.log(1);\nelse b();\n', '__DEV__').code,
+      'if (a) { if (__DEV__) { console.log(1); } }\nelse b();\n'
+    );
+  });
+
+  it('guards calls used as values with a conditional', () => {
+    assert.equal(wrap('const x = console.log(1);\n', '__DEV__').code, 'const x = (__DEV__ ? console.log(1) : undefined);\n');
+  });
+
+  it('leaves template literal contents untouched', () => {
+    assert.equal(wrap('console.log(`a\n  b`);\n', '__DEV__').code, 'if (__DEV__) {\n  console.log(`a\n  b`);\n}\n');
+  });
+
+  it('skips calls that are already guarded', () => {
+    const source = 'if (__DEV__) {\n  console.log(1);\n}\n__DEV__ && console.log(2);\n';
+    const result = wrap(source, '__DEV__');
+
+    assert.equal(result.code, source);
+    assert.equal(result.wrappedCount, 0);
+  });
+
+  it('rejects invalid guard conditions', () => {
+    assert.throws(() => wrap('console.log(1);\n', 'a +'), /Invalid guard condition "a \+"/);
+  });
+
+  it('reads the guard from the config for remove --wrap', (t) => {
+    const directory = createTempDir(t);
+    writeFiles(directory, { '.logsweeprc': '{ "guard": "__DEV__" }', 'a.js': 'console.log(1);\n' });
+
+    runCli(directory, ['remove', '.', '--wrap', '--yes', '--no-backup', '--no-cache', '--methods', 'log']);
+
+    assert.equal(fs.readFileSync(path.join(directory, 'a.js'), 'utf8'), 'if (__DEV__) {\n  console.log(1);\n}\n');
+  });
+});
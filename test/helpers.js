@@ -0,0 +1,148 @@
+/**
+ * Test Helpers
+ * Temporary directories, fixture files and git repositories for tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync, spawnSync } = require('child_process');
+
+const CLI_PATH = path.join(__dirname, '..', 'src', 'cli.js');
+
+/**
+ * Create a temporary directory, removed when the test finishes
+ * @param {object} t - node:test context
+ * @returns {string} Directory path
+ */
+function createTempDir(t) {
+  const directory = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'log-sweep-test-')));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  return directory;
+}
+
+/**
+ * Write files into a directory
+ * @param {string} directory - Target directory
+ * @param {object} files - Map of relative path to contents
+ */
+function writeFiles(directory, files) {
+  for (const [relPath, contents] of Object.entries(files)) {
+    const filePath = path.join(directory, relPath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, contents);
+  }
+}
+
+/**
+ * Run git in a directory, ignoring the user's global and system config
+ * @param {string} directory - Working directory
+ * @param {...string} args - Arguments after `git`
+ * @returns {string} Standard output
+ */
+function git(directory, ...args) {
+  return execFileSync('git', args, { cwd: directory, env: getGitEnv(), encoding: 'utf8' });
+}
+
+/**
+ * Environment for git runs in tests: no user config, fixed identity
+ * @param {object} extra - Extra variables (e.g. GIT_CONFIG_* entries)
+ */
+function getGitEnv(extra = {}) {
+  const env = { ...process.env };
+  Object.keys(env)
+    .filter(name => name.startsWith('GIT_'))
+    .forEach(name => delete env[name]);
+
+  return {
+    ...env,
+    GIT_CONFIG_GLOBAL: os.devNull,
+    GIT_CONFIG_NOSYSTEM: '1',
+    GIT_AUTHOR_NAME: 'Test User',
+    GIT_AUTHOR_EMAIL: 'test@example.com',
+    GIT_COMMITTER_NAME: 'Test User',
+    GIT_COMMITTER_EMAIL: 'test@example.com',
+    ...extra
+  };
+}
+
+/**
+ * Create a git repository with an initial commit of the given files
+ * @param {object} t - node:test context
+ * @param {object} files - Map of relative path to contents
+ * @returns {string} Repository path
+ */
+function createGitRepo(t, files) {
+  const directory = createTempDir(t);
+  git(directory, 'init', '-q');
+  git(directory, 'config', 'user.name', 'Test User');
+  git(directory, 'config', 'user.email', 'test@example.com');
+  writeFiles(directory, files);
+  git(directory, 'add', '-A');
+  git(directory, 'commit', '-q', '-m', 'initial');
+  return directory;
+}
+
+/**
+ * Append a line to a file and commit it as another author, at a given date
+ * @param {string} directory - Repository path
+ * @param {string} filePath - File to append to (relative)
+ * @param {string} line - Line to append
+ * @param {object} author - { name, email }
+ * @param {string} date - Author and commit date, in any format git accepts
+ */
+function commitLine(directory, filePath, line, author, date) {
+  fs.appendFileSync(path.join(directory, filePath), `${line}\n`);
+  git(directory, 'add', filePath);
+  execFileSync('git', ['commit', '-q', '-m', line], {
+    cwd: directory,
+    env: getGitEnv({
+      GIT_AUTHOR_NAME: author.name,
+      GIT_AUTHOR_EMAIL: author.email,
+      GIT_AUTHOR_DATE: date,
+      GIT_COMMITTER_DATE: date
+    })
+  });
+}
+
+/**
+ * Run the log-sweep CLI
+ * @param {string} directory - Working directory
+ * @param {string[]} args - CLI arguments
+ * @returns {string} Standard output
+ */
+function runCli(directory, args) {
+  return execFileSync(process.execPath, [CLI_PATH, ...args], {
+    cwd: directory,
+    env: { ...getGitEnv(), FORCE_COLOR: '0' },
+    encoding: 'utf8',
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+}
+
+/**
+ * Run the log-sweep CLI without failing on a non-zero exit
+ * @param {string} directory - Working directory
+ * @param {string[]} args - CLI arguments
+ * @returns {object} { status, stdout, stderr }
+ */
+function runCliStatus(directory, args) {
+  const result = spawnSync(process.execPath, [CLI_PATH, ...args], {
+    cwd: directory,
+    env: { ...getGitEnv(), FORCE_COLOR: '0' },
+    encoding: 'utf8',
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+module.exports = {
+  createTempDir,
+  writeFiles,
+  git,
+  getGitEnv,
+  createGitRepo,
+  commitLine,
+  runCli,
+  runCliStatus
+};
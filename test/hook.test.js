@@ -0,0 +1,53 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createTempDir, createGitRepo, writeFiles, git, runCli, runCliStatus } = require('./helpers');
+
+describe('hook install / uninstall', () => {
+  it('installs and uninstalls the pre-commit hook', (t) => {
+    const repo = createGitRepo(t, { 'a.js': '' });
+    const hookPath = path.join(repo, '.git', 'hooks', 'pre-commit');
+
+    assert.match(runCli(repo, ['hook', 'install', '--fix']), /Installed pre-commit hook/);
+    assert.match(fs.readFileSync(hookPath, 'utf8'), /exec log-sweep staged --fix/);
+    assert.equal(fs.statSync(hookPath).mode & 0o111, 0o111);
+
+    assert.match(runCli(repo, ['hook', 'uninstall']), /Removed pre-commit hook/);
+    assert.equal(fs.existsSync(hookPath), false);
+    assert.match(runCli(repo, ['hook', 'uninstall']), /No pre-commit hook installed/);
+  });
+
+  it('keeps other hooks unless forced, then backs them up', (t) => {
+    const repo = createGitRepo(t, { 'a.js': '' });
+    const hookPath = path.join(repo, '.git', 'hooks', 'pre-commit');
+    writeFiles(repo, { '.git/hooks/pre-commit': '#!/bin/sh\nnpm test\n' });
+
+    assert.match(runCliStatus(repo, ['hook', 'install']).stderr, /A pre-commit hook already exists/);
+    assert.match(runCliStatus(repo, ['hook', 'uninstall']).stderr, /was not installed by log-sweep/);
+
+    runCli(repo, ['hook', 'install', '--force']);
+    assert.equal(fs.readFileSync(`${hookPath}.backup`, 'utf8'), '#!/bin/sh\nnpm test\n');
+    assert.match(fs.readFileSync(hookPath, 'utf8'), /exec log-sweep staged$/m);
+  });
+
+  it('honors core.hooksPath, and refuses disabled hooks', (t) => {
+    const repo = createGitRepo(t, { 'a.js': '' });
+
+    git(repo, 'config', 'core.hooksPath', '.githooks');
+    runCli(repo, ['hook', 'install']);
+    assert.ok(fs.existsSync(path.join(repo, '.githooks', 'pre-commit')));
+
+    git(repo, 'config', 'core.hooksPath', '/dev/null');
+    const result = runCliStatus(repo, ['hook', 'install', '--force']);
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /Git hooks are disabled/);
+  });
+
+  it('fails outside a git repository', (t) => {
+    const result = runCliStatus(createTempDir(t), ['hook', 'install']);
+
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /Not a git repository/);
+  });
+});
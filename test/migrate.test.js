@@ -0,0 +1,71 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { removeFromSource, validateMigrationCallees } = require('../src/remover');
+const { createTempDir, writeFiles, runCliStatus } = require('./helpers');
+
+/**
+ * Migrate a snippet with the given mappings and import
+ */
+function migrate(sourceCode, callees, importSpec = null, filePath = 'example.js') {
+  return removeFromSource(sourceCode, Object.keys(callees), filePath, null, {
+    mode: 'migrate',
+    migration: { callees, import: importSpec, baseDir: null }
+  });
+}
+
+describe('migrate', () => {
+  it('rewrites console calls to the logger and imports it once', () => {
+    const result = migrate(
+      "import a from 'a';\nconsole.log('x');\nconsole.error(err);\n",
+      { log: 'logger.debug', error: 'logger.error' },
+      { source: './logger', name: null, named: false }
+    );
+
+    assert.equal(result.code, "import a from 'a';\nimport logger from './logger';\nlogger.debug('x');\nlogger.error(err);\n");
+    assert.equal(result.migratedCount, 2);
+    assert.equal(result.importAdded, true);
+  });
+
+  it('uses require in CommonJS files and skips loggers already in scope', () => {
+    const importSpec = { source: 'pino-logger', name: null, named: true };
+
+    assert.equal(
+      migrate("'use strict';\nconsole.log(1);\n", { log: 'logger.info' }, importSpec).code,
+      "'use strict';\nconst { logger } = require('pino-logger');\nlogger.info(1);\n"
+    );
+    assert.equal(
+      migrate("const logger = make();\nconsole.log(1);\n", { log: 'logger.info' }, importSpec).code,
+      'const logger = make();\nlogger.info(1);\n'
+    );
+  });
+
+  it('rejects mappings to loggers the import does not bring in', () => {
+    const migration = {
+      callees: { log: 'logger.debug', error: 'errLog.error' },
+      import: { source: './logger', name: null, named: false }
+    };
+
+    assert.throws(() => validateMigrationCallees(migration), /only brings in "logger", but the mappings also use "errLog"/);
+    assert.throws(
+      () => validateMigrationCallees({ ...migration, callees: { log: 'logger.debug' }, import: { ...migration.import, name: 'log' } }),
+      /only brings in "log"/
+    );
+    assert.doesNotThrow(() => validateMigrationCallees({ ...migration, import: null }));
+  });
+
+  it('exits with a usage error before touching files', (t) => {
+    const directory = createTempDir(t);
+    writeFiles(directory, { 'a.js': "console.log('x');\nconsole.error('y');\n" });
+
+    const { status, stderr } = runCliStatus(directory, [
+      'migrate', '.', '--yes', '--no-backup', '--no-cache',
+      '--to', 'log=logger.debug', 'error=errLog.error', '--import', './logger'
+    ]);
+
+    assert.equal(status, 2);
+    assert.match(stderr, /errLog/);
+    assert.equal(fs.readFileSync(path.join(directory, 'a.js'), 'utf8'), "console.log('x');\nconsole.error('y');\n");
+  });
+});
@@ -0,0 +1,55 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { detectStatements } = require('../src/detector');
+const { removeFromSource } = require('../src/remover');
+
+/**
+ * Get `method pairGroup` for every statement of a snippet
+ */
+function getPairGroups(sourceCode) {
+  return detectStatements(sourceCode).matches.map(({ statement }) => `${statement.method} ${statement.pairGroup}`);
+}
+
+describe('paired calls', () => {
+  it('links opening calls with their partners by label', () => {
+    assert.deepEqual(getPairGroups("console.time('a');\nconsole.timeLog('a');\nconsole.timeEnd('a');\nconsole.timeEnd('b');\n"), [
+      'time time:a',
+      'timeLog time:a',
+      'timeEnd time:a',
+      'timeEnd null'
+    ]);
+    assert.deepEqual(getPairGroups('console.count();\nconsole.countReset();\n'), [
+      'count count:default',
+      'countReset count:default'
+    ]);
+  });
+
+  it('does not link repeated opening calls without a partner', () => {
+    assert.deepEqual(getPairGroups("console.count('hits');\nconsole.count('hits');\nconsole.time('x');\nconsole.time('x');\n"), [
+      'count null',
+      'count null',
+      'time null',
+      'time null'
+    ]);
+  });
+
+  it('links groups by nesting within a function', () => {
+    assert.deepEqual(getPairGroups('console.group();\nconsole.group();\nconsole.groupEnd();\nconsole.groupEnd();\nconsole.group();\n'), [
+      'group group:1',
+      'group group:2',
+      'groupEnd group:2',
+      'groupEnd group:1',
+      'group null'
+    ]);
+  });
+
+  it('removes the partners of selected calls, or keeps the pair with refuse', () => {
+    const sourceCode = "console.time('a');\nwork();\nconsole.timeEnd('a');\nconsole.count('hits');\nconsole.count('hits');\n";
+
+    assert.equal(removeFromSource(sourceCode, ['time', 'count'], 'example.js').code, 'work();\n');
+    assert.equal(
+      removeFromSource(sourceCode, ['time', 'count'], 'example.js', null, { pairs: 'refuse' }).code,
+      "console.time('a');\nwork();\nconsole.timeEnd('a');\n"
+    );
+  });
+});
@@ -0,0 +1,46 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { removeConsoleStatements, getStatementKey } = require('../src/remover');
+const { scanFile } = require('../src/scanner');
+const { createTempDir, writeFiles, runCliStatus } = require('./helpers');
+
+describe('targeted removal', () => {
+  it('removes only the statements whose keys are given', async (t) => {
+    const directory = createTempDir(t);
+    writeFiles(directory, { 'a.js': "console.log(1);\nconsole.log(2); console.log(3);\n" });
+    const filePath = path.join(directory, 'a.js');
+    const { statements } = await scanFile(filePath);
+    const targets = new Set([statements[0], statements[2]].map(stmt => getStatementKey(filePath, stmt.line, stmt.column)));
+
+    const removed = await removeConsoleStatements([filePath], ['log'], false, null, { targets });
+
+    assert.equal(removed, 2);
+    assert.equal(fs.readFileSync(filePath, 'utf8'), 'console.log(2);\n');
+  });
+
+  it('removes nothing when no key matches', async (t) => {
+    const directory = createTempDir(t);
+    writeFiles(directory, { 'a.js': 'console.log(1);\n' });
+    const filePath = path.join(directory, 'a.js');
+
+    const removed = await removeConsoleStatements([filePath], ['log'], false, null, { targets: new Set([getStatementKey(filePath, 9, 0)]) });
+
+    assert.equal(removed, 0);
+    assert.equal(fs.readFileSync(filePath, 'utf8'), 'console.log(1);\n');
+  });
+});
+
+describe('remove --pick', () => {
+  it('can\'t be combined with --yes', (t) => {
+    const directory = createTempDir(t);
+    writeFiles(directory, { 'a.js': 'console.log(1);\n' });
+
+    const { status, stderr } = runCliStatus(directory, ['remove', '.', '--pick', '--yes', '--no-backup']);
+
+    assert.equal(status, 2);
+    assert.match(stderr, /--pick .* can't be combined with --yes/);
+    assert.equal(fs.readFileSync(path.join(directory, 'a.js'), 'utf8'), 'console.log(1);\n');
+  });
+});
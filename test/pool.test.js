@@ -0,0 +1,52 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { scanDirectory } = require('../src/scanner');
+const { createGitRepo, getGitEnv, git } = require('./helpers');
+
+const CORPUS_DIR = path.join(__dirname, 'fixtures', 'corpus');
+
+// Enough copies of the corpus for the scan to share files between two workers
+const COPIES = 6;
+
+/**
+ * Create a repository with copies of the corpus, where another author added a
+ * statement to some of the files
+ */
+function createCorpusRepo(t) {
+  const files = {};
+  for (let copy = 0; copy < COPIES; copy++) {
+    for (const fileName of fs.readdirSync(CORPUS_DIR)) {
+      files[`copy-${copy}/${fileName}`] = fs.readFileSync(path.join(CORPUS_DIR, fileName), 'utf8');
+    }
+  }
+  const directory = createGitRepo(t, files);
+
+  for (let copy = 0; copy < COPIES; copy += 2) {
+    fs.appendFileSync(path.join(directory, `copy-${copy}`, 'basic.js'), "console.log('added later');\n");
+  }
+  git(directory, 'add', '-A');
+  execFileSync('git', ['commit', '-q', '-m', 'more logging'], {
+    cwd: directory,
+    env: getGitEnv({ GIT_AUTHOR_NAME: 'Other Author', GIT_AUTHOR_EMAIL: 'other@example.com' })
+  });
+
+  return directory;
+}
+
+describe('parallel scans', () => {
+  it('match the sequential scan, with and without git filters', async (t) => {
+    const directory = createCorpusRepo(t);
+    const scan = (gitOptions, concurrency) => scanDirectory(directory, [], gitOptions, { concurrency, blame: true });
+
+    const sequential = await scan({}, 1);
+    assert.equal(sequential.fileCount, COPIES * fs.readdirSync(CORPUS_DIR).length);
+    assert.deepEqual(await scan({}, 2), sequential);
+
+    const filtered = await scan({ gitAuthor: ['other@example.com'] }, 1);
+    assert.equal(filtered.totalCount, COPIES / 2);
+    assert.deepEqual(await scan({ gitAuthor: ['other@example.com'] }, 2), filtered);
+  });
+});
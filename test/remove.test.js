@@ -0,0 +1,81 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createTempDir, writeFiles, runCli, runCliStatus } = require('./helpers');
+
+const SOURCE = [
+  'let n = 0;',
+  "console.log('a');",
+  "console.warn('w');",
+  "console.log('n', n++);",
+  'console.debug(save());',
+  ''
+].join('\n');
+
+/**
+ * Run a headless removal on a copy of SOURCE and return the file afterwards
+ */
+function removeHeadless(t, args) {
+  const directory = createTempDir(t);
+  writeFiles(directory, { 'a.js': SOURCE });
+  runCli(directory, ['remove', '.', '--yes', '--no-cache', '--no-backup', ...args]);
+  return fs.readFileSync(path.join(directory, 'a.js'), 'utf8');
+}
+
+describe('remove --yes', () => {
+  it('removes every method except error and warn by default, skipping side effects', (t) => {
+    assert.equal(removeHeadless(t, []), [
+      'let n = 0;',
+      "console.warn('w');",
+      "console.log('n', n++);",
+      'console.debug(save());',
+      ''
+    ].join('\n'));
+  });
+
+  it('removes only the given --methods', (t) => {
+    assert.equal(removeHeadless(t, ['--methods', 'warn']), SOURCE.replace("console.warn('w');\n", ''));
+  });
+
+  it('removes statements with side effects with --side-effects remove', (t) => {
+    assert.equal(removeHeadless(t, ['--methods', 'log,debug', '--side-effects', 'remove']), "let n = 0;\nconsole.warn('w');\n");
+  });
+
+  it('keeps the side effects with --side-effects extract', (t) => {
+    assert.equal(
+      removeHeadless(t, ['--methods', 'log,debug', '--side-effects', 'extract']),
+      "let n = 0;\nconsole.warn('w');\nn++;\nsave();\n"
+    );
+  });
+
+  it('leaves files alone with --dry-run', (t) => {
+    const directory = createTempDir(t);
+    writeFiles(directory, { 'a.js': SOURCE });
+
+    const { status, stderr } = runCliStatus(directory, ['remove', '.', '--yes', '--dry-run', '--no-cache', '--methods', 'log']);
+
+    assert.equal(status, 0);
+    assert.match(stderr, /Would remove 1 statement/);
+    assert.equal(fs.readFileSync(path.join(directory, 'a.js'), 'utf8'), SOURCE);
+  });
+
+  it('writes a backup archive unless --no-backup is given', (t) => {
+    const directory = createTempDir(t);
+    const backupDir = path.join(directory, 'backups');
+    writeFiles(directory, { 'src/a.js': SOURCE, '.logsweeprc': JSON.stringify({ backupDir }) });
+
+    runCli(directory, ['remove', 'src', '--yes', '--no-cache', '--methods', 'log']);
+
+    assert.equal(fs.readdirSync(backupDir).filter(name => name.endsWith('.tar.gz')).length, 1);
+  });
+
+  it('exits with a usage error for unknown methods and modes', (t) => {
+    const directory = createTempDir(t);
+    writeFiles(directory, { 'a.js': SOURCE });
+
+    assert.equal(runCliStatus(directory, ['remove', '.', '--yes', '--methods', 'bogus']).status, 2);
+    assert.equal(runCliStatus(directory, ['remove', '.', '--yes', '--side-effects', 'maybe']).status, 2);
+    assert.equal(fs.readFileSync(path.join(directory, 'a.js'), 'utf8'), SOURCE);
+  });
+});
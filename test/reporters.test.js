@@ -0,0 +1,102 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { scanDirectory } = require('../src/scanner');
+const { formatResults, getReporter } = require('../src/reporters');
+const { writeFiles, runCli, createTempDir } = require('./helpers');
+
+describe('reporters', () => {
+  let directory;
+  let results;
+  let context;
+
+  before(async () => {
+    directory = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'log-sweep-test-')));
+    writeFiles(directory, {
+      'src/a.js': "console.log('a, \"b\"');\nconsole.warn(x++);\n",
+      'src/b.js': "console.debug('<&>');\n"
+    });
+    results = await scanDirectory(directory, [], {}, { cache: false });
+    context = { cwd: directory, version: '9.9.9' };
+  });
+
+  after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  it('json: the raw results', () => {
+    const report = JSON.parse(formatResults(results, 'json', context));
+
+    assert.equal(report.totalCount, 3);
+    assert.deepEqual(Object.keys(report.byFile).sort(), ['src/a.js', 'src/b.js'].map(file => path.join(directory, file)));
+  });
+
+  it('csv: one quoted row per statement', () => {
+    const rows = formatResults(results, 'csv', context).split('\n');
+
+    assert.deepEqual(rows, [
+      'file,line,column,endLine,endColumn,method,hasSideEffects,code',
+      'src/a.js,1,1,1,22,log,false,"console.log(\'a, ""b""\')"',
+      'src/a.js,2,1,2,18,warn,true,console.warn(x++)',
+      "src/b.js,1,1,1,21,debug,false,console.debug('<&>')"
+    ]);
+  });
+
+  it('markdown: summary, per-method table and escaped statements', () => {
+    const report = formatResults(results, 'markdown', context);
+
+    assert.match(report, /\*\*Total console statements:\*\* 3/);
+    assert.match(report, /\| `log` \| 1 \| 1 \|/);
+    assert.match(report, /\| src\/a\.js:2:1 \| `warn` ⚠️ \|/);
+    assert.match(report, /<code>console\.debug\('&lt;&amp;&gt;'\)<\/code>/);
+  });
+
+  it('checkstyle: one error per statement, grouped by file', () => {
+    const report = formatResults(results, 'checkstyle', context);
+
+    assert.match(report, /^<\?xml version="1\.0" encoding="utf-8"\?>\n<checkstyle version="4\.3">/);
+    assert.equal((report.match(/<file name=/g) || []).length, 2);
+    assert.match(report, /<error line="2" column="1" severity="warning" message="Unexpected console\.warn statement \(arguments have potential side effects\)" source="log-sweep\.console\.warn" \/>/);
+  });
+
+  it('junit: one failing test case per statement', () => {
+    const report = formatResults(results, 'junit', context);
+
+    assert.match(report, /<testsuites name="log-sweep" tests="3" failures="3">/);
+    assert.match(report, /<testsuite name="src\/b\.js" tests="1" failures="1">/);
+    assert.match(report, /console\.debug\(&apos;&lt;&amp;&gt;&apos;\)<\/failure>/);
+  });
+
+  it('sarif: rules per method and results with regions', () => {
+    const [run] = JSON.parse(formatResults(results, 'sarif', context)).runs;
+
+    assert.equal(run.tool.driver.version, '9.9.9');
+    assert.deepEqual(run.tool.driver.rules.map(rule => rule.id), ['console-log', 'console-warn', 'console-debug']);
+    assert.equal(run.results.length, 3);
+    assert.deepEqual(run.results[2].locations[0].physicalLocation, {
+      artifactLocation: { uri: 'src/b.js' },
+      region: { startLine: 1, startColumn: 1, endLine: 1, endColumn: 21, snippet: { text: "console.debug('<&>')" } }
+    });
+    assert.equal(run.results[2].ruleIndex, 2);
+  });
+
+  it('loads custom reporters from a module path', (t) => {
+    const reporterDir = createTempDir(t);
+    writeFiles(reporterDir, {
+      'function.js': 'module.exports = (results, context) => `fn ${results.totalCount} ${context.version}`;',
+      'object.js': 'module.exports = { report: (results) => `obj ${results.fileCount}` };',
+      'invalid.js': 'module.exports = 42;'
+    });
+
+    assert.equal(formatResults(results, path.join(reporterDir, 'function.js'), context), 'fn 3 9.9.9');
+    assert.equal(formatResults(results, './object.js', { ...context, cwd: reporterDir }), 'obj 2');
+    assert.throws(() => getReporter(path.join(reporterDir, 'invalid.js')), /must export a function/);
+    assert.throws(() => getReporter('no-such-format'), /Unknown format "no-such-format"/);
+  });
+
+  it('writes machine-readable reports alone on stdout', () => {
+    const report = JSON.parse(runCli(directory, ['scan', '.', '--no-cache', '--format', 'sarif']));
+
+    assert.equal(report.runs[0].results.length, 3);
+  });
+});
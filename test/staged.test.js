@@ -0,0 +1,35 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createGitRepo, writeFiles, git, runCli } = require('./helpers');
+
+describe('staged --fix', () => {
+  it('removes statements from the index and the file on disk', (t) => {
+    const repo = createGitRepo(t, { 'app.js': 'a();\n' });
+    writeFiles(repo, { 'app.js': 'a();\nconsole.log(1);\nb();\n' });
+    git(repo, 'add', 'app.js');
+    writeFiles(repo, { 'app.js': 'a();\nconsole.log(1);\nb();\nc();\n' });
+
+    const output = runCli(repo, ['staged', '--fix', '--no-cache']);
+
+    assert.match(output, /removed 1 statement from the commit/);
+    assert.doesNotMatch(output, /was not changed/);
+    assert.equal(git(repo, 'show', ':app.js'), 'a();\nb();\n');
+    assert.equal(fs.readFileSync(path.join(repo, 'app.js'), 'utf8'), 'a();\nb();\nc();\n');
+  });
+
+  it('warns when the file on disk can\'t be updated', (t) => {
+    const repo = createGitRepo(t, { 'app.js': 'a();\n' });
+    writeFiles(repo, { 'app.js': 'a();\nconsole.log(1);\n' });
+    git(repo, 'add', 'app.js');
+    writeFiles(repo, { 'app.js': 'a();\nconsole.log(2);\n' });
+
+    const output = runCli(repo, ['staged', '--fix', '--no-cache']);
+
+    assert.match(output, /app\.js on disk was not changed/);
+    assert.match(output, /re-sync/);
+    assert.equal(git(repo, 'show', ':app.js'), 'a();\n');
+    assert.equal(fs.readFileSync(path.join(repo, 'app.js'), 'utf8'), 'a();\nconsole.log(2);\n');
+  });
+});
@@ -0,0 +1,34 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { removeFromSource } = require('../src/remover');
+
+/**
+ * Remove console.log and console.warn calls from a snippet
+ */
+function remove(sourceCode) {
+  return removeFromSource(sourceCode, ['log', 'warn'], 'example.js').code;
+}
+
+describe('suppression comments', () => {
+  it('honors log-sweep-disable-line on any line of a multi-line statement', () => {
+    const first = 'console.log( // log-sweep-disable-line\n  banner\n);\n';
+    const last = 'console.log(\n  banner\n); // log-sweep-disable-line\n';
+
+    assert.equal(remove(first), first);
+    assert.equal(remove(last), last);
+  });
+
+  it('scopes log-sweep-disable-line to its methods', () => {
+    assert.equal(
+      remove('console.log(\n  banner\n); // log-sweep-disable-line warn\n'),
+      '// log-sweep-disable-line warn\n'
+    );
+  });
+
+  it('applies log-sweep-disable-next-line to the statement starting on the next line', () => {
+    const source = '// log-sweep-disable-next-line\nconsole.log(\n  banner\n);\n';
+
+    assert.equal(remove(source), source);
+    assert.equal(remove('console.log(\n  // log-sweep-disable-next-line\n  banner\n);\n'), '');
+  });
+});
@@ -0,0 +1,65 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { detectStatements } = require('../src/detector');
+const { resolveTargets, isKnownMethod, formatMethod } = require('../src/targets');
+const { createTempDir, writeFiles, runCli } = require('./helpers');
+
+const TARGETS = resolveTargets([
+  { object: 'logger', methods: ['debug'] },
+  { object: 'this.log' },
+  { callee: 'dbg' },
+  { factory: 'debug', name: 'debug-ns' }
+]);
+
+/**
+ * List detected statements as `line:method`
+ */
+function detect(sourceCode, loggerTargets) {
+  return detectStatements(sourceCode, { loggerTargets }).matches
+    .map(({ statement }) => `${statement.line}:${statement.method}`);
+}
+
+describe('logger targets', () => {
+  it('match object methods, callees and factories next to console', () => {
+    assert.deepEqual(detect([
+      'logger.debug(1);',
+      'logger.info(2);',
+      'class A { m() { this.log.info(3); } }',
+      'dbg(4);',
+      "debug('ns')(5);",
+      "const d = debug('x');",
+      'd(6);',
+      'console.log(7);'
+    ].join('\n'), TARGETS), ['1:logger.debug', '3:this.log.info', '4:dbg', '5:debug-ns', '7:debug-ns', '8:log']);
+  });
+
+  it('replace the console methods with a console target', () => {
+    const targets = resolveTargets([{ object: 'console', methods: ['log'] }]);
+
+    assert.deepEqual(detect('console.log(1);\nconsole.warn(2);\n', targets), ['1:log']);
+  });
+
+  it('know which method names exist', () => {
+    assert.equal(isKnownMethod(TARGETS, 'log'), true);
+    assert.equal(isKnownMethod(TARGETS, 'logger.debug'), true);
+    assert.equal(isKnownMethod(TARGETS, 'logger.info'), false);
+    assert.equal(isKnownMethod(TARGETS, 'this.log.anything'), true);
+    assert.equal(isKnownMethod(TARGETS, 'debug-ns'), true);
+    assert.equal(formatMethod('log'), 'console.log');
+    assert.equal(formatMethod('logger.debug'), 'logger.debug');
+  });
+
+  it('are read from the config and removed by name', (t) => {
+    const directory = createTempDir(t);
+    writeFiles(directory, {
+      '.logsweeprc': JSON.stringify({ targets: [{ object: 'logger', methods: ['debug', 'info'] }] }),
+      'a.js': "logger.debug('x');\nlogger.info('y');\nconsole.log('z');\n"
+    });
+
+    runCli(directory, ['remove', '.', '--yes', '--no-backup', '--no-cache', '--methods', 'logger.debug,log']);
+
+    assert.equal(fs.readFileSync(path.join(directory, 'a.js'), 'utf8'), "logger.info('y');\n");
+  });
+});
@@ -0,0 +1,56 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { watchDirectory, diffStatements } = require('../src/watch');
+const { createTempDir, writeFiles } = require('./helpers');
+
+// Time given to the watchers to deliver events that should not be reported
+const SETTLE_TIME = 300;
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('watch mode', () => {
+  it('reports changed files, but nothing under node_modules or .git', async (t) => {
+    const directory = createTempDir(t);
+    writeFiles(directory, { 'src/a.js': '', 'node_modules/lib/index.js': '', '.git/hooks/x.js': '' });
+
+    const changes = [];
+    let resolveChange;
+    const changed = new Promise(resolve => {
+      resolveChange = resolve;
+    });
+    const stop = watchDirectory(directory, {
+      filter: () => true,
+      onChange: (filePath, exists) => {
+        changes.push([path.relative(directory, filePath), exists]);
+        resolveChange();
+      },
+      debounce: 10
+    });
+    t.after(stop);
+
+    await delay(50);
+    fs.writeFileSync(path.join(directory, 'node_modules/lib/index.js'), 'console.log(1);\n');
+    fs.writeFileSync(path.join(directory, '.git/hooks/x.js'), 'console.log(1);\n');
+    fs.writeFileSync(path.join(directory, 'src/a.js'), 'console.log(1);\n');
+
+    await Promise.race([changed, delay(5000)]);
+    await delay(SETTLE_TIME);
+
+    assert.deepEqual(changes, [[path.join('src', 'a.js'), true]]);
+  });
+
+  it('matches statements by method and code rather than line', () => {
+    const before = [
+      { method: 'log', code: "console.log('a')", line: 1 },
+      { method: 'log', code: "console.log('b')", line: 2 }
+    ];
+    const after = [
+      { method: 'log', code: "console.log('a')", line: 5 },
+      { method: 'warn', code: "console.warn('c')", line: 6 }
+    ];
+
+    assert.deepEqual(diffStatements(before, after), { added: [after[1]], removed: [before[1]] });
+  });
+});